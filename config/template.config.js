@@ -38,6 +38,14 @@ module.exports = {
     '{domainName}/Extensions'
   ],
   
+  // Keys every template vnext.config.json must declare
+  requiredConfigKeys: [
+    'version',
+    'domain',
+    'paths',
+    'exports'
+  ],
+  
   // Placeholder Replacements
   placeholders: {
     '{packageName}': 'projectName',
@@ -2,28 +2,74 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { program } = require('commander');
+const os = require('os');
+const { program, InvalidArgumentError } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
+const semver = require('semver');
 const RefResolver = require('./lib/ref-resolver');
 const TemplateManager = require('./lib/template-manager');
 const SchemaManager = require('./lib/schema-manager');
+const ComponentGenerator = require('./lib/component-generator');
+const TemplateUpgrader = require('./lib/template-upgrader');
+const TemplateManifest = require('./lib/template-manifest');
+const TemplateHooks = require('./lib/template-hooks');
+const Workspace = require('./lib/workspace');
+const ValidationReport = require('./lib/validation-report');
+const ValidationWatcher = require('./lib/validation-watcher');
+const ValidationCache = require('./lib/validation-cache');
+const ValidationPool = require('./lib/validation-pool');
+const ComponentValidator = require('./lib/component-validator');
+const ComponentFixer = require('./lib/component-fixer');
+const DomainIndex = require('./lib/domain-index');
+const ExportsChecker = require('./lib/exports-checker');
+const DataValidator = require('./lib/data-validator');
+const { isOffline, enableOffline, printOfflineHint } = require('./lib/offline');
+const IgnoreRules = require('./lib/ignore-rules');
 const packageJson = require('./package.json');
 
 program
   .name('vnext')
   .description(packageJson.description)
-  .version(packageJson.version);
+  .version(packageJson.version)
+  .option('--offline', 'Use only cached schema packages, templates and ref packages (same as VNEXT_OFFLINE=1)')
+  .hook('preAction', () => {
+    if (program.opts().offline) {
+      enableOffline();
+    }
+  });
 
 // Create command (existing functionality)
 program
   .command('create [project-name]')
   .description('Create a new vNext domain project')
-  .option('-v, --version <version>', 'Template version to use (latest, v1.0.0, etc.)', 'latest')
+  .option('-v, --template-version <version>', 'Template version to use (latest, v1.0.0, etc.)', 'latest')
   .option('--list-versions', 'List available template versions and exit')
   .option('--refresh-template', 'Force refresh template cache')
+  .option('--template <source>', 'Template source: local folder, .tgz file or git URL (git+https://...#tag)')
+  .option('--domain <domain>', 'Domain name (default: derived from project name)')
+  .option('--description <text>', 'Domain description for vnext.config.json and package.json')
+  .option('--runtime-version <version>', 'Runtime version for vnext.config.json (selects the schema package)')
+  .option('--answers <file>', 'JSON file with answers (projectName, domain, description, runtimeVersion, exports, variables)')
+  .option('--var <name=value>', 'Template variable declared by the template manifest (repeatable)', collectTemplateVariable, {})
+  .option('-y, --yes', 'Accept defaults and template post-create steps without prompting')
+  .option('--no-hooks', 'Do not run template post-create steps')
+  .option('--merge', 'Create into an existing directory: add missing files, keep files that differ')
+  .option('--force', 'Create into an existing directory and replace files that differ from the template')
+  .option('--workspace', 'Add the project as a domain of the current workspace (creates vnext.workspace.json if needed)')
+  .option('--dry-run', 'Show the files the template would generate without writing anything')
+  .option('--json', 'With --dry-run, print the preview as JSON')
   .action(async (projectName, options) => {
     try {
+      if (options.json && !options.dryRun) {
+        throw new Error('--json is only supported together with --dry-run');
+      }
+      
+      // Keep stdout for the JSON document only
+      if (options.json) {
+        routeLogsToStderr();
+      }
+      
       // Initialize template manager
       const templateManager = new TemplateManager();
       
@@ -46,88 +92,178 @@ program
         return;
       }
       
-      let name = projectName;
-      
-      // Get project name if not provided
-      if (!name) {
-        const answers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'projectName',
-            message: 'What is your project name?',
-            validate: (input) => {
-              if (input.trim() === '') {
-                return 'Project name is required';
-              }
-              return true;
-            }
-          }
-        ]);
-        name = answers.projectName;
-      }
-
-      // Convert project name to domain name format (lowercase, hyphen-separated)
-      const domainName = convertToDomainFormat(name);
+      // Collect project settings from arguments, answers file and prompts
+      const settings = await resolveCreateSettings(projectName, options.json ? { ...options, yes: true } : options);
+      const name = settings.projectName;
+      const domainName = settings.domain;
       
       // Show domain conversion to user
-      if (domainName !== name) {
+      if (settings.domainDerived && domainName !== name) {
         console.log(chalk.blue(`📝 Domain name: "${name}" → "${domainName}" (formatted for domain usage)`));
       } else {
         console.log(chalk.blue(`📝 Domain name: "${domainName}"`));
       }
 
-      const targetPath = path.join(process.cwd(), name);
+      // Workspace members are created in the workspace root
+      let workspace = null;
+      if (options.workspace) {
+        workspace = await Workspace.find(process.cwd());
+        if (workspace) {
+          const members = await workspace.getMembers();
+          const existingMember = members.find(member => member.config.domain === domainName);
+          if (existingMember) {
+            console.log(chalk.red(`Error: Domain ${domainName} already exists in workspace member '${existingMember.name}'`));
+            process.exit(1);
+          }
+        }
+      }
+
+      const targetPath = path.join(workspace ? workspace.rootPath : process.cwd(), name);
       
-      // Check if directory already exists
+      // Preview only: render in memory and report, nothing is written
+      if (options.dryRun) {
+        await previewProject(templateManager, settings, targetPath, options);
+        return;
+      }
+      
+      // Check if directory already exists (allowed with --merge or --force)
       if (await fs.pathExists(targetPath)) {
-        console.log(chalk.red(`Error: Directory ${name} already exists`));
-        process.exit(1);
+        if (!options.merge && !options.force) {
+          console.log(chalk.red(`Error: Directory ${name} already exists`));
+          console.log(chalk.gray('Use --merge to add template files to it, or --force to also replace files that differ'));
+          process.exit(1);
+        }
+        if (!(await fs.stat(targetPath)).isDirectory()) {
+          console.log(chalk.red(`Error: ${name} exists and is not a directory`));
+          process.exit(1);
+        }
       }
 
-      // Create project directory
-      await fs.ensureDir(targetPath);
+      await scaffoldProject(templateManager, settings, targetPath, {
+        ...options,
+        existing: await fs.pathExists(targetPath)
+      });
       
-      // Force refresh template cache if requested
-      if (options.refreshTemplate) {
-        await templateManager.updateTemplate();
+      if (options.workspace) {
+        workspace = workspace || await Workspace.create(process.cwd());
+        await workspace.addMember(targetPath);
+        console.log(chalk.green(`\n🧩 Added ${name} to workspace ${workspace.name} (${path.join(workspace.rootPath, Workspace.fileName)})`));
       }
       
-      // Ensure template is available (download specific version if not cached)
-      console.log(chalk.blue(`🔖 Using template version: ${options.version}`));
-      await templateManager.ensureTemplate(options.version);
-      
-      // Copy template files with Git-based template
-      await templateManager.copyTemplate(targetPath, name, domainName);
+    } catch (error) {
+      console.error(chalk.red('Error creating project:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Init command (scaffold into the current directory)
+program
+  .command('init')
+  .description('Scaffold a vNext domain project into the current directory')
+  .option('-v, --template-version <version>', 'Template version to use (latest, v1.0.0, etc.)', 'latest')
+  .option('--refresh-template', 'Force refresh template cache')
+  .option('--template <source>', 'Template source: local folder, .tgz file or git URL (git+https://...#tag)')
+  .option('--name <name>', 'Project name (default: current directory name)')
+  .option('--domain <domain>', 'Domain name (default: derived from project name)')
+  .option('--description <text>', 'Domain description for vnext.config.json and package.json')
+  .option('--runtime-version <version>', 'Runtime version for vnext.config.json (selects the schema package)')
+  .option('--answers <file>', 'JSON file with answers (domain, description, runtimeVersion, exports, variables)')
+  .option('--var <name=value>', 'Template variable declared by the template manifest (repeatable)', collectTemplateVariable, {})
+  .option('-y, --yes', 'Accept defaults and template post-create steps without prompting')
+  .option('--no-hooks', 'Do not run template post-create steps')
+  .option('--force', 'Replace files that differ from the template')
+  .action(async (options) => {
+    try {
+      const templateManager = new TemplateManager();
+      const targetPath = process.cwd();
       
-      console.log(chalk.green(`✅ Successfully created ${name}`));
-      console.log(chalk.blue('📁 Project structure:'));
-      console.log(`
-├── ${domainName}/
-│   ├── Workflows/
-│   ├── Functions/
-│   ├── Views/
-│   ├── Extensions/
-│   ├── Schemas/
-│   └── Tasks/
-├── .vscode/
-├── vnext.config.json
-├── .cursorrules
-├── README.md
-└── package.json
-      `);
+      const settings = await resolveCreateSettings(options.name || path.basename(targetPath), options);
+      console.log(chalk.blue(`📝 Domain name: "${settings.domain}"`));
       
-      console.log(chalk.blue(`\n📋 Template Info:`));
-      console.log(`Template Version: ${templateManager.currentVersion}`);
-      console.log(`Repository: ${templateManager.options.templateRepo}`);
+      await scaffoldProject(templateManager, settings, targetPath, {
+        ...options,
+        existing: true,
+        inPlace: true
+      });
       
+    } catch (error) {
+      console.error(chalk.red('Error initializing project:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Add component command (scaffold a new component file)
+program
+  .command('add <type> <key>')
+  .description(`Generate a new component (${ComponentGenerator.getComponentTypes().join(', ')})`)
+  .option('-v, --component-version <version>', 'Component version', '1.0.0')
+  .option('--flow-version <version>', 'Flow version', '1.0.0')
+  .option('--schema-type <type>', 'Schema type for schema components (workflow, task, ...)')
+  .option('--export', 'Add the generated component to config.exports')
+  .option('--force', 'Overwrite the component if it already exists')
+  .action(async (type, key, options) => {
+    try {
+      const configPath = path.join(process.cwd(), 'vnext.config.json');
+      if (!(await fs.pathExists(configPath))) {
+        console.log(chalk.red('❌ vnext.config.json not found. Run this command in an vNext domain project.'));
+        process.exit(1);
+      }
+
+      // Validate type before touching the schema cache
+      const typeDefinition = ComponentGenerator.getTypeDefinition(type);
+
+      console.log(chalk.blue(`🧩 Generating ${type} component: ${key}`));
+
+      // Runtime schemas are used to pre-fill required properties
+      const schemaManager = new SchemaManager();
+      let schemaPath = null;
+
+      try {
+        schemaPath = await schemaManager.ensureSchemasForConfig(configPath);
+        console.log(chalk.green(`🔖 Using schemas from runtime version: ${schemaManager.currentVersion}`));
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not load runtime schemas: ${error.message}`));
+        console.log(chalk.yellow(`⚠️  Generating component without schema defaults`));
+      }
+
+      const generator = new ComponentGenerator({ schemaPath });
+      const result = await generator.generate(type, key, {
+        version: options.componentVersion,
+        flowVersion: options.flowVersion,
+        schemaType: options.schemaType,
+        force: options.force
+      });
+
+      console.log(chalk.green(`✅ Created ${result.relativePath}`));
+
+      if (options.export) {
+        const added = await generator.addExport(typeDefinition.category, result.filename);
+        if (added) {
+          console.log(chalk.green(`✅ Added ${result.filename} to exports.${typeDefinition.category}`));
+        } else {
+          console.log(chalk.gray(`  ${result.filename} already in exports.${typeDefinition.category}`));
+        }
+      }
+
+      // Validate the generated file right away
+      if (schemaPath) {
+        const resolver = new RefResolver({ schemaPath });
+        await resolver.loadValidationConfig(configPath);
+
+        try {
+          await resolver.validateComponentSchema(result.content, result.relativePath);
+          console.log(chalk.green('✅ Generated component passes schema validation'));
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️  Generated component needs completion: ${error.message}`));
+        }
+      }
+
       console.log(chalk.yellow('\n🚀 Next steps:'));
-      console.log(`  cd ${name}`);
-      console.log('  npm install');
-      console.log('  vnext validate --resolve-refs');
-      console.log('  code .');
-      
+      console.log(`  Edit ${result.relativePath}`);
+      console.log(`  vnext validate ${result.relativePath}`);
+
     } catch (error) {
-      console.error(chalk.red('Error creating project:'), error.message);
+      console.error(chalk.red('Error adding component:'), error.message);
       process.exit(1);
     }
   });
@@ -138,8 +274,50 @@ program
   .description('Validate domain components and resolve references (optionally specify a single file)')
   .option('--resolve-refs', 'Resolve and validate all ref references')
   .option('--strict', 'Enable strict validation mode')
+  .option('--format <format>', 'Output format: text, json, junit or sarif', 'text')
+  .option('--output <file>', 'Write the json, junit or sarif report to a file instead of stdout')
+  .option('--watch', 'Keep running and re-validate changed files and the components referencing them')
+  .option('--no-cache', 'Re-validate all files, ignoring the validation cache in .vnext-cache')
+  .option('-j, --jobs <n>', 'Number of worker threads validating files in parallel (1 validates in-process)', parseJobs, os.cpus().length)
+  .option('--fix', 'Repair keys, versions, domain, flow and filenames, and update refs to renamed files')
+  .option('--dry-run', 'With --fix, show the changes without writing them')
   .action(async (file, options) => {
     try {
+      const structured = options.format !== 'text';
+      if (options.dryRun && !options.fix) {
+        throw new Error('--dry-run requires --fix');
+      }
+      if (options.fix && options.watch) {
+        throw new Error('--fix cannot be combined with --watch');
+      }
+      if (options.watch && (structured || file)) {
+        throw new Error('--watch validates the whole domain with text output; it cannot be combined with a file or --format');
+      }
+      if (structured && !ValidationReport.formats.includes(options.format)) {
+        throw new Error(`Invalid format '${options.format}'. Use one of: text, ${ValidationReport.formats.join(', ')}`);
+      }
+      if (options.output && !structured) {
+        throw new Error('--output requires --format json, junit or sarif');
+      }
+      
+      // Keep stdout for the report only
+      if (structured) {
+        routeLogsToStderr();
+      }
+      
+      // At a workspace root, run the command in every member domain
+      if (structured && !options.output && await fs.pathExists(path.join(process.cwd(), Workspace.fileName)) &&
+          !(await fs.pathExists(path.join(process.cwd(), 'vnext.config.json')))) {
+        throw new Error('Use --output with --format at a workspace root (one report is written per member)');
+      }
+      if (options.watch && !(await fs.pathExists(path.join(process.cwd(), 'vnext.config.json'))) &&
+          await fs.pathExists(path.join(process.cwd(), Workspace.fileName))) {
+        throw new Error('Run validate --watch inside a workspace member folder');
+      }
+      if (await runInWorkspaceMembers('validate', file)) {
+        return;
+      }
+      
       console.log(chalk.blue('🔍 Validating domain components...'));
       
       // Load vnext.config.json
@@ -160,6 +338,10 @@ program
         console.log(chalk.green(`🔖 Using schemas from runtime version: ${schemaManager.currentVersion}`));
       } catch (error) {
         console.log(chalk.red(`❌ Failed to load runtime schemas: ${error.message}`));
+        if (isOffline()) {
+          printOfflineHint();
+          process.exit(1);
+        }
         console.log(chalk.red(`❌ Schema validation requires NPM access to download schema package.`));
         console.log(chalk.yellow(`💡 Possible solutions:`));
         console.log(chalk.yellow(`   - Check your internet connection`));
@@ -186,6 +368,40 @@ program
       let validRefs = 0;
       let schemaValidationPassed = 0;
       let schemaValidationFailed = 0;
+      const report = new ValidationReport({ toolVersion: packageJson.version, domain: config.domain });
+      const cache = await createValidationCache(resolver, schemaManager, config, options);
+
+      const scanPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
+      const ignoreRules = await IgnoreRules.load(process.cwd(), config);
+
+      // Watch mode: schemas and compiled validators stay loaded, only affected files are re-validated
+      if (options.watch) {
+        const validator = new ComponentValidator({ resolver, domain: config.domain, resolveRefs: options.resolveRefs });
+        const domainIndex = new DomainIndex({ projectRoot: process.cwd(), domain: config.domain });
+        const watcher = new ValidationWatcher({
+          rootPath: scanPath,
+          projectRoot: process.cwd(),
+          domain: config.domain,
+          listFiles: () => findJsonFiles(scanPath, ignoreRules),
+          isIgnored: (filePath, isDirectory) => ignoreRules.ignores(filePath, isDirectory),
+          validateFile: (filePath) => validator.validateFile(filePath),
+          beforeRun: async () => {
+            resolver.clearCache();
+            await domainIndex.build(await findJsonFiles(scanPath, ignoreRules));
+          },
+          annotateResult: (result, filePath) => domainIndex.apply(result, filePath),
+          header: `🔖 Schemas ${schemaManager.currentVersion} · References ${options.resolveRefs ? 'resolved' : 'not resolved (use --resolve-refs)'}`
+        });
+        
+        process.on('SIGINT', () => {
+          watcher.stop();
+          console.log(chalk.gray('\n👋 Stopped watching'));
+          process.exit(0);
+        });
+        
+        await watcher.start();
+        return;
+      }
 
       let jsonFiles = [];
       
@@ -206,65 +422,73 @@ program
         console.log(chalk.blue(`🔍 Validating single file: ${file}`));
       } else {
         // Scan all JSON files
-        const scanPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
-        jsonFiles = await findJsonFiles(scanPath);
+        jsonFiles = await findJsonFiles(scanPath, ignoreRules);
         console.log(chalk.blue(`🔍 Validating all components in ${config.domain}...`));
       }
+      
+      // Mechanical repairs before validation
+      if (options.fix) {
+        const fixer = new ComponentFixer({ resolver, projectRoot: process.cwd(), domain: config.domain });
+        const changes = await fixer.plan(jsonFiles, await findJsonFiles(scanPath, ignoreRules));
+        fixer.printChanges(changes, options.dryRun);
+        
+        if (options.dryRun) {
+          return;
+        }
+        
+        const renamed = await fixer.apply(changes);
+        jsonFiles = jsonFiles.map(filePath => renamed.get(filePath) || filePath).sort();
+        resolver.clearCache();
+        console.log('');
+      }
 
-      for (const filePath of jsonFiles) {
+      const results = await validateComponentFiles(resolver, jsonFiles, config, options, cache);
+      
+      // Domain-wide checks need every component, also when validating a single file
+      const domainIndex = await new DomainIndex({ projectRoot: process.cwd(), domain: config.domain }).build(await findJsonFiles(scanPath, ignoreRules));
+      domainIndex.printFindings(jsonFiles);
+      
+      // The export list is checked when the whole domain is validated
+      const exportsChecker = new ExportsChecker({ projectRoot: process.cwd(), config, resolver, domainIndex });
+      if (!file) {
+        await exportsChecker.check(new Map(jsonFiles.map((filePath, index) => [filePath, results[index]])));
+        exportsChecker.printFindings();
+      }
+      
+      for (const [index, fileResult] of results.entries()) {
+        const result = exportsChecker.apply(domainIndex.apply(fileResult, jsonFiles[index]), jsonFiles[index]);
         totalFiles++;
         
-        try {
-          const content = await fs.readJSON(filePath);
-          console.log(chalk.gray(`📄 Validating: ${path.relative(process.cwd(), filePath)}`));
-          
-          // Always perform schema validation
-          let fileSchemaValid = true;
-          try {
-            await resolver.validateComponentSchema(content, path.relative(process.cwd(), filePath));
-            console.log(chalk.green(`  ✅ Schema validation passed`));
-            schemaValidationPassed++;
-          } catch (error) {
-            fileSchemaValid = false;
-            console.log(chalk.red(`  ❌ Schema validation failed: ${error.message}`));
-            schemaValidationFailed++;
-          }
-          
-          // Perform reference resolution if requested
-          if (options.resolveRefs) {
-            const validation = await resolver.validateAllReferences(content, config.domain);
-            
-            totalRefs += validation.resolvedRefs.length;
-            validRefs += validation.resolvedRefs.filter(r => r.status === 'success').length;
-            
-            if (validation.valid && fileSchemaValid) {
-              validFiles++;
-              console.log(chalk.green(`  ✅ Complete validation passed (${validation.validationDetails.successful}/${validation.validationDetails.total} refs resolved)`));
-              
-              // Show detailed validation info in verbose mode
-              if (validation.validationDetails.total > 0) {
-                validation.resolvedRefs.forEach(ref => {
-                  if (ref.status === 'success' && ref.details) {
-                    console.log(chalk.gray(`    📄 ${ref.details.componentType}: ${ref.details.key}@${ref.details.version} (${ref.details.domain})`));
-                  }
-                });
-              }
-            } else {
-              if (!validation.valid) {
-                console.log(chalk.red(`  ❌ Reference validation failed (${validation.validationDetails.failed}/${validation.validationDetails.total} refs failed):`));
-                validation.errors.forEach(error => {
-                  console.log(chalk.red(`    - ${error.ref}:`));
-                  console.log(chalk.red(`      ${error.error}`));
-                });
-              }
-            }
-          } else {
-            if (fileSchemaValid) {
-              validFiles++;
-            }
-          }
-        } catch (error) {
-          console.log(chalk.red(`  ❌ Error: ${error.message}`));
+        if (result.schemaValid === true) {
+          schemaValidationPassed++;
+        } else if (result.schemaValid === false) {
+          schemaValidationFailed++;
+        }
+        if (result.valid) {
+          validFiles++;
+        }
+        if (result.record.references) {
+          totalRefs += result.record.references.total;
+          validRefs += result.record.references.resolved;
+        }
+        
+        report.addFile(result.record);
+      }
+      
+      const configRecord = exportsChecker.getConfigRecord();
+      if (configRecord) {
+        report.addFile(configRecord);
+      }
+      
+      await cache.save();
+
+      if (structured) {
+        const rendered = report.format(options.format);
+        if (options.output) {
+          await fs.outputFile(path.resolve(process.cwd(), options.output), `${rendered}\n`);
+          console.log(chalk.green(`📝 ${options.format} report written to ${options.output}`));
+        } else {
+          process.stdout.write(`${rendered}\n`);
         }
       }
 
@@ -274,9 +498,27 @@ program
       if (options.resolveRefs) {
         console.log(`References: ${validRefs}/${totalRefs} resolved`);
       }
+      const countFindings = (list, prefix) => report.files.reduce((sum, record) =>
+        sum + record[list].filter(entry => entry.rule && (prefix ? entry.rule.startsWith(prefix) : !/^(workflow|domain|exports)\//.test(entry.rule))).length, 0);
+      const lintErrors = countFindings('errors', null);
+      const workflowErrors = countFindings('errors', 'workflow/');
+      const domainErrors = countFindings('errors', 'domain/');
+      console.log(`Lint: ${lintErrors} errors, ${countFindings('warnings', null)} warnings`);
+      if (report.files.some(record => record.componentType === 'workflow')) {
+        console.log(`Workflow state machines: ${workflowErrors} errors, ${countFindings('warnings', 'workflow/')} warnings`);
+      }
+      console.log(`Domain index: ${domainErrors} errors, ${countFindings('warnings', 'domain/')} warnings`);
+      const exportsErrors = exportsChecker.errorCount;
+      if (!file) {
+        console.log(`Exports: ${exportsChecker.size} exported, ${exportsErrors} errors`);
+      }
+      if (cache.hits > 0) {
+        console.log(chalk.gray(`Cache: ${cache.hits} unchanged files skipped (use --no-cache to re-validate everything)`));
+      }
       
       const allValidationsPassed = validFiles === totalFiles && 
                                    schemaValidationFailed === 0 && 
+                                   exportsErrors === 0 &&
                                    (options.resolveRefs ? validRefs === totalRefs : true);
       
       if (allValidationsPassed) {
@@ -289,6 +531,18 @@ program
         if (options.resolveRefs && validRefs < totalRefs) {
           console.log(chalk.red(`❌ ${totalRefs - validRefs} references failed to resolve`));
         }
+        if (lintErrors > 0) {
+          console.log(chalk.red(`❌ ${lintErrors} lint errors`));
+        }
+        if (workflowErrors > 0) {
+          console.log(chalk.red(`❌ ${workflowErrors} workflow state machine errors`));
+        }
+        if (domainErrors > 0) {
+          console.log(chalk.red(`❌ ${domainErrors} duplicate component or domain mismatch errors`));
+        }
+        if (exportsErrors > 0) {
+          console.log(chalk.red(`❌ ${exportsErrors} exports errors`));
+        }
         process.exit(1);
       }
 
@@ -298,6 +552,57 @@ program
     }
   });
 
+// Validate data payloads against a schema component
+program
+  .command('validate-data <schema-key> <payload>')
+  .description('Validate JSON payloads (a file or a directory) against a sys-schemas component, found by key (key or key@version) or ref')
+  .action(async (schemaKey, payload) => {
+    try {
+      const configPath = path.join(process.cwd(), 'vnext.config.json');
+      if (!(await fs.pathExists(configPath))) {
+        console.log(chalk.red('❌ vnext.config.json not found. Run this command in an vNext domain project.'));
+        process.exit(1);
+      }
+      
+      const config = await fs.readJSON(configPath);
+      const resolver = new RefResolver();
+      await resolver.loadValidationConfig(configPath);
+      
+      const payloadPath = path.resolve(process.cwd(), payload);
+      if (!(await fs.pathExists(payloadPath))) {
+        throw new Error(`Payload not found: ${payload}`);
+      }
+      const payloadFiles = (await fs.stat(payloadPath)).isDirectory() ? (await findJsonFiles(payloadPath)).sort() : [payloadPath];
+      
+      const validator = new DataValidator({ resolver, projectRoot: process.cwd(), domain: config.domain });
+      const scanPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
+      const ignoreRules = await IgnoreRules.load(process.cwd(), config);
+      const { component, source } = await validator.findSchemaComponent(schemaKey, await findJsonFiles(scanPath, ignoreRules));
+      console.log(chalk.blue(`🔍 Validating ${payloadFiles.length} payload${payloadFiles.length === 1 ? '' : 's'} against ${component.key}@${component.version} (${source})`));
+      
+      const validate = await validator.compile(component);
+      let invalid = 0;
+      for (const filePath of payloadFiles) {
+        const result = await validator.validateFile(filePath, validate);
+        validator.printResult(result);
+        if (!result.valid) {
+          invalid++;
+        }
+      }
+      
+      console.log(chalk.blue('\n📊 Data Validation Summary:'));
+      console.log(`Payloads: ${payloadFiles.length - invalid}/${payloadFiles.length} valid`);
+      if (invalid > 0) {
+        process.exit(1);
+      }
+      console.log(chalk.green('🎉 All payloads are valid!'));
+      
+    } catch (error) {
+      console.error(chalk.red('Data validation error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Build command (extract public + validate + resolve refs)
 program
   .command('build')
@@ -305,8 +610,14 @@ program
   .option('-o, --output <dir>', 'Output directory', 'dist')
   .option('-t, --type <type>', 'Build type: reference (exports only) or runtime (complete)', 'reference')
   .option('--skip-validation', 'Skip schema validation during build')
+  .option('--no-cache', 'Re-validate all files, ignoring the validation cache in .vnext-cache')
   .action(async (options) => {
     try {
+      // At a workspace root, run the command in every member domain
+      if (await runInWorkspaceMembers('build')) {
+        return;
+      }
+      
       // Validate build type
       if (!['reference', 'runtime'].includes(options.type)) {
         console.log(chalk.red('❌ Invalid build type. Use "reference" or "runtime".'));
@@ -337,6 +648,10 @@ program
           console.log(chalk.green(`🔖 Using schemas from runtime version: ${schemaManager.currentVersion}`));
         } catch (error) {
           console.log(chalk.red(`❌ Failed to load runtime schemas: ${error.message}`));
+          if (isOffline()) {
+            printOfflineHint();
+            process.exit(1);
+          }
           console.log(chalk.red(`❌ Build process requires NPM access to download schema package.`));
           console.log(chalk.yellow(`💡 Possible solutions:`));
           console.log(chalk.yellow(`   - Check your internet connection`));
@@ -357,31 +672,52 @@ program
         
         let totalFiles = 0;
         let validFiles = 0;
+        const cache = await createValidationCache(resolver, schemaManager, config, options);
         
         const scanPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
-        const jsonFiles = await findJsonFiles(scanPath);
+        const ignoreRules = await IgnoreRules.load(process.cwd(), config);
+        const jsonFiles = await findJsonFiles(scanPath, ignoreRules);
         
         for (const filePath of jsonFiles) {
           totalFiles++;
+          const relativeFile = path.relative(process.cwd(), filePath);
+          
+          // Unchanged files that passed before are skipped
+          const cacheKey = await cache.computeKey(filePath, resolver, 'refs', config.domain);
+          if (cache.get('refs', relativeFile, cacheKey)) {
+            validFiles++;
+            console.log(chalk.gray(`    ✅ ${relativeFile} (cached)`));
+            continue;
+          }
           
           try {
             const content = await fs.readJSON(filePath);
             const validation = await resolver.validateAllReferences(content, config.domain);
+            const findings = resolver.lintEngine.lint(content, relativeFile, {
+              componentType: resolver.detectComponentType(relativeFile),
+              domain: config.domain
+            });
+            const lintErrors = findings.filter(finding => finding.severity === 'error');
             
-            if (validation.valid) {
+            if (validation.valid && lintErrors.length === 0) {
               validFiles++;
+              cache.set('refs', relativeFile, cacheKey);
               console.log(chalk.green(`    ✅ ${path.relative(process.cwd(), filePath)}`));
             } else {
+              cache.delete('refs', relativeFile);
               console.log(chalk.red(`    ❌ ${path.relative(process.cwd(), filePath)} - Validation failed`));
               validation.errors.forEach(error => {
                 console.log(chalk.red(`      - ${error.ref}: ${error.error}`));
               });
             }
+            resolver.lintEngine.printFindings(findings);
           } catch (error) {
             console.log(chalk.red(`    ❌ ${path.relative(process.cwd(), filePath)} - ${error.message}`));
           }
         }
         
+        await cache.save();
+        
         if (validFiles !== totalFiles) {
           console.log(chalk.red(`\n❌ Build failed: ${totalFiles - validFiles} components failed validation`));
           process.exit(1);
@@ -438,6 +774,10 @@ program
           schemaPath = await schemaManager.ensureSchemasForConfig(configPath);
         } catch (error) {
           console.log(chalk.red(`❌ Failed to load runtime schemas: ${error.message}`));
+          if (isOffline()) {
+            printOfflineHint();
+            process.exit(1);
+          }
           console.log(chalk.red(`❌ Reference build requires NPM access to download schema package.`));
           process.exit(1);
         }
@@ -449,6 +789,7 @@ program
 
         if (config.exports) {
           const domainPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
+          const ignoreRules = await IgnoreRules.load(process.cwd(), config);
           
           for (const [category, files] of Object.entries(config.exports)) {
             if (Array.isArray(files)) {
@@ -458,7 +799,9 @@ program
                 const sourcePath = path.join(domainPath, categoryPath, filename);
                 const targetPath = path.join(outputDir, config.domain, categoryPath, filename);
                 
-                if (await fs.pathExists(sourcePath)) {
+                if (ignoreRules.ignores(sourcePath)) {
+                  console.log(chalk.yellow(`  ⚠️  Ignored: ${categoryPath}/${filename} is listed in exports but matches .vnextignore or config.ignore; skipped`));
+                } else if (await fs.pathExists(sourcePath)) {
                   await fs.ensureDir(path.dirname(targetPath));
                   
                   // Read, resolve references, and write processed file
@@ -487,6 +830,10 @@ program
           schemaPath = await schemaManager.ensureSchemasForConfig(configPath);
         } catch (error) {
           console.log(chalk.red(`❌ Failed to load runtime schemas: ${error.message}`));
+          if (isOffline()) {
+            printOfflineHint();
+            process.exit(1);
+          }
           console.log(chalk.red(`❌ Runtime build requires NPM access to download schema package.`));
           process.exit(1);
         }
@@ -504,7 +851,7 @@ program
           console.log(chalk.gray(`📁 Target domain path: ${targetDomainPath}`));
           
           // Get all files recursively
-          const allFiles = await getAllFiles(domainPath);
+          const allFiles = await getAllFiles(domainPath, await IgnoreRules.load(process.cwd(), config));
           console.log(chalk.gray(`📄 Found ${allFiles.length} files to process`));
           
           for (const filePath of allFiles) {
@@ -571,6 +918,11 @@ program
   .option('--registry <url>', 'NPM registry URL')
   .action(async (options) => {
     try {
+      // At a workspace root, run the command in every member domain
+      if (await runInWorkspaceMembers('publish')) {
+        return;
+      }
+      
       // Validate publish type
       if (!['reference', 'runtime'].includes(options.type)) {
         console.log(chalk.red('❌ Invalid publish type. Use "reference" or "runtime".'));
@@ -752,6 +1104,101 @@ program
     }
   });
 
+program
+  .command('template-upgrade')
+  .description('Upgrade the current project to a newer template version (three-way merge)')
+  .option('--to <version>', 'Target template version (default: latest)')
+  .option('--template <source>', 'Target template source: local folder, .tgz file or git URL (git+https://...#tag)')
+  .option('--from <version>', 'Template version the project was created from (defaults to vnext.config.json template.version or template.source)')
+  .option('--dry-run', 'Show what would change without writing files')
+  .option('--conflict-markers', 'Write conflict markers into conflicting files instead of leaving them untouched')
+  .action(async (options) => {
+    try {
+      const configPath = path.join(process.cwd(), 'vnext.config.json');
+      if (!(await fs.pathExists(configPath))) {
+        console.log(chalk.red('❌ vnext.config.json not found. Run this command in an vNext domain project.'));
+        process.exit(1);
+      }
+
+      const config = await fs.readJSON(configPath);
+      const templateManager = new TemplateManager();
+      const upgrader = new TemplateUpgrader(templateManager, {
+        dryRun: options.dryRun,
+        conflictMarkers: options.conflictMarkers
+      });
+
+      if (options.template && options.to) {
+        console.log(chalk.red('❌ Use either --to <version> or --template <source>, not both.'));
+        process.exit(1);
+      }
+
+      // Projects created from a custom source are merged against that source
+      const from = options.from || upgrader.getBaseTemplate(config);
+      if (!from) {
+        console.log(chalk.red('❌ Template version of this project is unknown (no template.version in vnext.config.json).'));
+        console.log(chalk.yellow('💡 Pass the version the project was created from: vnext template-upgrade --from <version>'));
+        process.exit(1);
+      }
+
+      if (typeof from === 'object' && !options.template && !options.to) {
+        console.log(chalk.red(`❌ This project was created from a custom template source: ${from.source}`));
+        console.log(chalk.yellow('💡 Pass the new template with --template <source>, or a registry version with --to <version>.'));
+        process.exit(1);
+      }
+
+      const to = options.template ? { source: options.template } : (options.to || 'latest');
+      const label = (template) => (typeof template === 'object' ? template.source : template);
+      console.log(chalk.blue(`🔄 Upgrading template: ${label(from)} → ${label(to)}${options.dryRun ? ' (dry run)' : ''}`));
+
+      const result = await upgrader.upgrade(from, to);
+
+      if (result.fromVersion === result.toVersion && result.fromSource === result.toSource) {
+        console.log(chalk.green(`✅ Project is already on template version ${result.toVersion}`));
+        return;
+      }
+
+      console.log(chalk.blue(`\n📋 Template changes (${result.fromVersion} → ${result.toVersion}):`));
+      upgrader.printReport(result);
+
+      console.log(chalk.blue('\n📊 Upgrade Summary:'));
+      ['added', 'updated', 'merged', 'removed', 'kept', 'skipped', 'conflict'].forEach(action => {
+        const count = result.files.filter(file => file.action === action).length;
+        if (count > 0) {
+          console.log(`${action.charAt(0).toUpperCase() + action.slice(1)}: ${count}`);
+        }
+      });
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('📋 Dry run mode - no files were changed'));
+        return;
+      }
+
+      if (result.conflicts > 0) {
+        const untouched = result.files.filter(file => upgrader.isUnresolved(file)).length;
+        if (result.conflicts > untouched) {
+          console.log(chalk.yellow(`⚠️  ${result.conflicts - untouched} files contain conflict markers. Resolve them before committing.`));
+        }
+        if (untouched > 0) {
+          console.log(chalk.red(`❌ ${untouched} files have conflicts and were left untouched.`));
+          console.log(chalk.yellow(options.conflictMarkers
+            ? '💡 Merge them by hand (vnext.config.json and binary files never get conflict markers)'
+            : '💡 Merge them by hand, or re-run with --conflict-markers'));
+          console.log(chalk.yellow(`💡 Template version stays at ${result.fromVersion} until conflicts are resolved`));
+          process.exit(1);
+        }
+      }
+
+      if (result.versionRecorded) {
+        console.log(chalk.green(`✅ Recorded template version ${result.toVersion} in vnext.config.json`));
+      }
+      console.log(chalk.green('🎉 Template upgrade completed'));
+
+    } catch (error) {
+      console.error(chalk.red('Error upgrading template:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('template-versions')
   .description('List all available template versions')
@@ -777,6 +1224,42 @@ program
     }
   });
 
+program
+  .command('template-verify')
+  .description('Verify template structure against the required files and folders')
+  .option('-v, --template-version <version>', 'Template version to verify', 'latest')
+  .option('--template <source>', 'Verify a template folder, .tgz file or git URL instead of the npm package')
+  .action(async (options) => {
+    try {
+      // Structure is reported below instead of failing while the template is fetched
+      const templateManager = new TemplateManager({ validateStructure: false });
+      const templatePath = options.template
+        ? await templateManager.ensureTemplateFromSource(options.template)
+        : await templateManager.ensureTemplate(options.templateVersion);
+      const label = templateManager.currentSource || `${templateManager.options.packageName}@${templateManager.currentVersion}`;
+      
+      console.log(chalk.blue(`🔍 Verifying template structure: ${label}`));
+      const result = await templateManager.validateTemplateStructure(templatePath);
+      
+      result.checked.forEach(entry => {
+        const failed = result.errors.some(error => error.path === entry);
+        console.log(failed ? chalk.red(`  ✗ ${entry}`) : chalk.green(`  ✓ ${entry}`));
+      });
+      
+      if (!result.valid) {
+        console.log(chalk.red(`\n❌ Template structure is invalid (${result.errors.length} problems):`));
+        console.log(chalk.red(templateManager.formatStructureReport(result)));
+        process.exit(1);
+      }
+      
+      console.log(chalk.green('\n✅ Template structure is valid'));
+      
+    } catch (error) {
+      console.error(chalk.red('Error verifying template:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('template-clear')
   .description('Clear template cache')
@@ -791,6 +1274,27 @@ program
     }
   });
 
+program
+  .command('template-import <file>')
+  .description('Import a template package tarball (npm pack .tgz) into the template cache')
+  .option('--force', 'Replace the cached template of the same version')
+  .action(async (file, options) => {
+    try {
+      const templateManager = new TemplateManager();
+      
+      console.log(chalk.blue(`📥 Importing template package ${file}...`));
+      const imported = await templateManager.importTemplatePackage(file, { force: options.force });
+      
+      console.log(chalk.green(`✅ Template ${imported.packageName}@${imported.version} imported`));
+      console.log(chalk.gray(`   Path: ${imported.path}`));
+      console.log(chalk.gray(`   Use it with: vnext create <project-name> --template-version ${imported.version}`));
+      
+    } catch (error) {
+      console.error(chalk.red('Error importing template package:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Schema management commands
 program
   .command('schema-info')
@@ -902,6 +1406,59 @@ program
     }
   });
 
+program
+  .command('schema-import <file>')
+  .description('Import a schema package tarball (npm pack .tgz) into the schema cache')
+  .option('--force', 'Replace the cached schema package of the same version')
+  .action(async (file, options) => {
+    try {
+      const schemaManager = new SchemaManager();
+      
+      console.log(chalk.blue(`📥 Importing schema package ${file}...`));
+      const imported = await schemaManager.importSchemaPackage(file, { force: options.force });
+      
+      console.log(chalk.green(`✅ Schema package ${imported.packageName}@${imported.version} imported (${imported.schemaFiles.length} schema files)`));
+      console.log(chalk.gray(`   Path: ${imported.path}`));
+      console.log(chalk.gray(`   Use it with "runtimeVersion": "${imported.version}" in vnext.config.json`));
+      
+    } catch (error) {
+      console.error(chalk.red('Error importing schema package:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// List files command
+program
+  .command('ls-files')
+  .description('List the component files that validate, build and visualize-boundaries process (after .vnextignore)')
+  .option('--all', 'List all files copied by build, not only JSON components')
+  .option('--ignored', 'List the files excluded by .vnextignore and config.ignore instead')
+  .action(async (options) => {
+    try {
+      const configPath = path.join(process.cwd(), 'vnext.config.json');
+      if (!(await fs.pathExists(configPath))) {
+        console.log(chalk.red('❌ vnext.config.json not found.'));
+        process.exit(1);
+      }
+
+      const config = await fs.readJSON(configPath);
+      const ignoreRules = await IgnoreRules.load(process.cwd(), config);
+      const scanPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
+      const files = options.all ? await getAllFiles(scanPath) : await findJsonFiles(scanPath);
+      const listed = files
+        .filter(filePath => ignoreRules.ignores(filePath) === Boolean(options.ignored))
+        .map(filePath => path.relative(process.cwd(), filePath))
+        .sort();
+
+      // Paths go to stdout so they can be piped, everything else to stderr
+      console.error(chalk.gray(`📄 ${listed.length} ${options.ignored ? 'ignored' : 'included'} files in ${path.relative(process.cwd(), scanPath) || '.'} (${ignoreRules.size} ignore rules)`));
+      listed.forEach(file => console.log(file));
+    } catch (error) {
+      console.error(chalk.red('Error listing files:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Visualize boundaries command
 program
   .command('visualize-boundaries [file]')
@@ -910,6 +1467,11 @@ program
   .option('-o, --output <file>', 'Output file path')
   .action(async (file, options) => {
     try {
+      // At a workspace root, run the command in every member domain
+      if (await runInWorkspaceMembers('visualize-boundaries', file)) {
+        return;
+      }
+      
       console.log(chalk.blue('🗺️  Generating domain boundary visualization...'));
       
       const configPath = path.join(process.cwd(), 'vnext.config.json');
@@ -942,7 +1504,7 @@ program
       } else {
         // Scan all JSON files for references
         const scanPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
-        jsonFiles = await findJsonFiles(scanPath);
+        jsonFiles = await findJsonFiles(scanPath, await IgnoreRules.load(process.cwd(), config));
         console.log(chalk.blue(`🗺️  Visualizing boundaries for all components in ${config.domain}...`));
       }
       
@@ -1074,7 +1636,638 @@ function convertToDomainFormat(projectName) {
     .replace(/^-+|-+$/g, '');
 }
 
-async function findJsonFiles(dirPath) {
+/**
+ * Run the current command in every workspace member when invoked at a workspace root.
+ * Each member runs in its own process (with the member folder as working directory),
+ * so cross-member references resolve through the workspace like in a single project.
+ * @param {string} commandName - Command name (for messages)
+ * @param {string} file - Optional single-file argument
+ * @returns {Promise<boolean>} True if the command ran in workspace mode
+ */
+async function runInWorkspaceMembers(commandName, file = null) {
+  const cwd = process.cwd();
+  if (await fs.pathExists(path.join(cwd, 'vnext.config.json'))) {
+    return false;
+  }
+  if (!(await fs.pathExists(path.join(cwd, Workspace.fileName)))) {
+    return false;
+  }
+
+  if (file) {
+    throw new Error(`Run '${commandName}' for a single file inside its workspace member folder`);
+  }
+
+  const { spawnSync } = require('child_process');
+  const workspace = await Workspace.load(cwd);
+  const members = await workspace.getMembers();
+
+  if (members.length === 0) {
+    console.log(chalk.yellow(`⚠️  Workspace ${workspace.name} has no members. Add one with: vnext create <name> --workspace`));
+    return true;
+  }
+
+  console.log(chalk.blue(`🧩 Running ${commandName} in ${members.length} workspace members of ${workspace.name}...`));
+
+  const failed = [];
+  for (const member of members) {
+    console.log(chalk.blue(`\n━━━ ${member.name} (${member.config.domain}) ━━━`));
+    const result = spawnSync(process.execPath, [__filename, ...process.argv.slice(2)], {
+      cwd: member.path,
+      stdio: 'inherit'
+    });
+    if (result.status !== 0) {
+      failed.push(member.name);
+    }
+  }
+
+  console.log(chalk.blue('\n📊 Workspace Summary:'));
+  console.log(`Members: ${members.length - failed.length}/${members.length} succeeded`);
+
+  if (failed.length > 0) {
+    console.log(chalk.red(`❌ ${commandName} failed in: ${failed.join(', ')}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.green(`🎉 ${commandName} succeeded in all workspace members`));
+  return true;
+}
+
+/**
+ * Ensure the template for create/init is available (custom source or registry version)
+ * @param {TemplateManager} templateManager - Template manager
+ * @param {Object} options - Command options
+ * @returns {Promise<string>} Template path
+ */
+async function ensureCreateTemplate(templateManager, options) {
+  // Force refresh template cache if requested
+  if (options.refreshTemplate) {
+    await templateManager.updateTemplate();
+  }
+  
+  // Ensure template is available (local folder, tarball or git source, or a registry version)
+  if (options.template) {
+    return templateManager.ensureTemplateFromSource(options.template);
+  }
+  console.log(chalk.blue(`🔖 Using template version: ${options.templateVersion}`));
+  return templateManager.ensureTemplate(options.templateVersion);
+}
+
+/**
+ * Preview the project a template would generate (create --dry-run).
+ * The template is rendered in memory; nothing is written to the target directory.
+ * @param {TemplateManager} templateManager - Template manager
+ * @param {Object} settings - Settings from resolveCreateSettings
+ * @param {string} targetPath - Project directory path
+ * @param {Object} options - Command options
+ * @returns {Promise<void>}
+ */
+async function previewProject(templateManager, settings, targetPath, options) {
+  const name = settings.projectName;
+  const domainName = settings.domain;
+  
+  const templatePath = await ensureCreateTemplate(templateManager, options);
+  const manifest = await TemplateManifest.load(templatePath);
+  const variables = await resolveTemplateVariables(manifest, settings);
+  
+  const rendered = await templateManager.renderTemplate(templatePath, name, domainName, variables);
+  // Values may contain other placeholders; report what actually ends up in the files
+  const placeholderMap = templateManager.buildPlaceholders(name, domainName, variables);
+  const placeholders = Object.fromEntries(
+    Object.entries(placeholderMap).map(([token, value]) => [token, templateManager.replacePlaceholders(String(value), placeholderMap)])
+  );
+  const files = [...rendered.keys()].sort().map(filePath => ({ path: filePath, size: rendered.get(filePath).length }));
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  const postCreateSteps = manifest.getPostCreateSteps({ projectName: name, packageName: name, domainName, ...variables });
+  
+  const preview = {
+    dryRun: true,
+    projectName: name,
+    domain: domainName,
+    targetPath,
+    targetExists: await fs.pathExists(targetPath),
+    template: {
+      version: templateManager.currentVersion,
+      ...(templateManager.currentSource
+        ? { source: templateManager.currentSource }
+        : { packageName: templateManager.options.packageName })
+    },
+    placeholders,
+    variables,
+    settings: {
+      description: settings.description || null,
+      runtimeVersion: settings.runtimeVersion || null,
+      exports: settings.exports || null
+    },
+    files,
+    totalFiles: files.length,
+    totalSize,
+    postCreate: postCreateSteps.map(step => step.type)
+  };
+  
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(preview, null, 2)}\n`);
+    return;
+  }
+  
+  console.log(chalk.yellow('\n🔍 Dry run: nothing will be written'));
+  console.log(chalk.blue(`\n📋 Template: ${templateManager.currentSource || templateManager.options.packageName}@${templateManager.currentVersion}`));
+  console.log(`Target: ${targetPath}${preview.targetExists ? chalk.yellow(' (already exists)') : ''}`);
+  
+  console.log(chalk.blue('\n🔤 Substituted values:'));
+  Object.entries(placeholders).forEach(([token, value]) => {
+    console.log(`  ${token} → ${value}`);
+  });
+  
+  const settingEntries = Object.entries(preview.settings).filter(([, value]) => value !== null);
+  if (settingEntries.length > 0) {
+    console.log(chalk.blue('\n⚙️  Settings applied to vnext.config.json:'));
+    settingEntries.forEach(([key, value]) => {
+      console.log(`  ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    });
+  }
+  
+  console.log(chalk.blue(`\n📁 Files (${files.length} files, ${formatSize(totalSize)}):`));
+  console.log(formatFileTree(path.basename(targetPath), files.map(file => file.path), Object.fromEntries(files.map(file => [file.path, formatSize(file.size)]))));
+  
+  if (postCreateSteps.length > 0) {
+    console.log(chalk.blue(`\n🪝 Post-create steps: ${postCreateSteps.map(step => step.type).join(', ')}`));
+  }
+}
+
+/**
+ * Format relative file paths as an ASCII tree
+ * @param {string} rootName - Root folder name
+ * @param {Array<string>} filePaths - Relative file paths (forward slashes)
+ * @param {Object} annotations - Optional text per file path (e.g. sizes)
+ * @returns {string} Tree
+ */
+function formatFileTree(rootName, filePaths, annotations = {}) {
+  const root = {};
+  for (const filePath of filePaths) {
+    let node = root;
+    filePath.split('/').forEach((part, index, parts) => {
+      node[part] = node[part] || (index === parts.length - 1 ? { __file: filePath } : {});
+      node = node[part];
+    });
+  }
+  
+  const lines = [`${rootName}/`];
+  const walk = (node, prefix) => {
+    // Folders first, then files, both alphabetical
+    const entries = Object.keys(node).filter(key => key !== '__file').sort((a, b) => {
+      const aFile = Boolean(node[a].__file);
+      const bFile = Boolean(node[b].__file);
+      return aFile === bFile ? a.localeCompare(b) : (aFile ? 1 : -1);
+    });
+    
+    entries.forEach((entry, index) => {
+      const last = index === entries.length - 1;
+      const child = node[entry];
+      const annotation = child.__file && annotations[child.__file] ? chalk.gray(` (${annotations[child.__file]})`) : '';
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${entry}${child.__file ? '' : '/'}${annotation}`);
+      if (!child.__file) {
+        walk(child, `${prefix}${last ? '    ' : '│   '}`);
+      }
+    });
+  };
+  walk(root, '');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a byte count
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Send console.log output to stderr so stdout carries only machine-readable output
+ */
+function routeLogsToStderr() {
+  console.log = (...args) => console.error(...args);
+}
+
+/**
+ * Scaffold a project from the template into the target directory.
+ * Existing directories are merged file by file (see TemplateManager.mergeTemplate).
+ * @param {TemplateManager} templateManager - Template manager
+ * @param {Object} settings - Settings from resolveCreateSettings
+ * @param {string} targetPath - Project directory path
+ * @param {Object} options - Command options (plus `existing` and `inPlace`)
+ * @returns {Promise<void>}
+ */
+async function scaffoldProject(templateManager, settings, targetPath, options) {
+  const name = settings.projectName;
+  const domainName = settings.domain;
+
+  const templatePath = await ensureCreateTemplate(templateManager, options);
+  
+  // Resolve variables declared by the template manifest (flags, answers file, prompts, defaults)
+  const manifest = await TemplateManifest.load(templatePath);
+  const variables = await resolveTemplateVariables(manifest, settings);
+
+  // Create project directory
+  await fs.ensureDir(targetPath);
+  
+  // Copy template files with Git-based template (file-by-file merge for an existing directory)
+  const mergeResult = await templateManager.copyTemplate(targetPath, name, domainName, variables, {
+    merge: options.existing,
+    force: options.force
+  });
+  
+  // Files that differ from the template are never rewritten without --force
+  const keptFiles = mergeResult ? mergeResult.files.filter(file => file.action === 'conflict').map(file => file.path) : [];
+  if (keptFiles.includes('vnext.config.json')) {
+    console.log(chalk.yellow('⚠️  Existing vnext.config.json kept: template version and create settings were not recorded'));
+  } else {
+    // Record template version as the base for later template upgrades
+    await templateManager.recordTemplateVersion(targetPath, templateManager.currentVersion, variables, name);
+  }
+
+  // Apply description, runtime version and exports to the generated project
+  await applyCreateSettings(targetPath, settings, keptFiles);
+
+  if (mergeResult) {
+    console.log(chalk.blue('\n📋 Files:'));
+    templateManager.printMergeSummary(mergeResult);
+    if (mergeResult.conflicts > 0) {
+      console.log(chalk.yellow(`⚠️  ${mergeResult.conflicts} files differ from the template and were kept. Review them or re-run with --force to replace them.`));
+    }
+  }
+
+  console.log(chalk.green(`✅ Successfully created ${name}`));
+  console.log(chalk.blue('📁 Project structure:'));
+  const rendered = await templateManager.renderTemplate(templatePath, name, domainName, variables);
+  console.log(formatFileTree(path.basename(targetPath), [...rendered.keys()]));
+  
+  console.log(chalk.blue(`\n📋 Template Info:`));
+  console.log(`Template Version: ${templateManager.currentVersion}`);
+  console.log(`Repository: ${templateManager.currentSource || templateManager.options.packageName}`);
+  
+  // Run post-create steps declared by the template manifest
+  const postCreateSteps = manifest.getPostCreateSteps({ projectName: name, packageName: name, domainName, ...variables });
+  if (postCreateSteps.length > 0) {
+    if (options.hooks === false) {
+      console.log(chalk.yellow(`\n⚠️  Skipped ${postCreateSteps.length} template post-create steps (--no-hooks)`));
+    } else {
+      const hooks = new TemplateHooks({
+        projectPath: targetPath,
+        placeholders: templateManager.buildPlaceholders(name, domainName, variables),
+        domainName,
+        yes: options.yes
+      });
+      const hookSummary = await hooks.run(postCreateSteps);
+      if (hookSummary.failed > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${hookSummary.failed} post-create steps failed. Run them manually.`));
+      }
+    }
+  }
+  
+  console.log(chalk.yellow('\n🚀 Next steps:'));
+  if (!options.inPlace) {
+    console.log(`  cd ${name}`);
+  }
+  console.log('  npm install');
+  console.log('  vnext validate --resolve-refs');
+  console.log('  code .');
+}
+
+/**
+ * Resolve create settings from CLI options, an answers file and interactive prompts.
+ * Prompts are only shown on a TTY and never with --yes; otherwise missing input is an error.
+ * @param {string} projectName - Project name argument
+ * @param {Object} options - create command options
+ * @returns {Promise<Object>} Settings (projectName, domain, description, runtimeVersion, exports)
+ */
+async function resolveCreateSettings(projectName, options) {
+  let fileAnswers = {};
+  if (options.answers) {
+    const answersPath = path.resolve(process.cwd(), options.answers);
+    if (!(await fs.pathExists(answersPath))) {
+      throw new Error(`Answers file not found: ${options.answers}`);
+    }
+    try {
+      fileAnswers = await fs.readJSON(answersPath);
+    } catch (error) {
+      throw new Error(`Invalid answers file ${options.answers}: ${error.message}`);
+    }
+  }
+
+  // Priority: command line > answers file > prompts > defaults
+  const settings = {
+    projectName: projectName || fileAnswers.projectName,
+    domain: options.domain || fileAnswers.domain,
+    description: options.description || fileAnswers.description,
+    runtimeVersion: options.runtimeVersion || fileAnswers.runtimeVersion,
+    exports: fileAnswers.exports,
+    variables: { ...(fileAnswers.variables || {}), ...(options.var || {}) }
+  };
+
+  const canPrompt = !options.yes && !options.answers && process.stdin.isTTY;
+  settings.interactive = Boolean(canPrompt);
+
+  if (!settings.projectName) {
+    if (!canPrompt) {
+      throw new Error(
+        'Project name is required. Pass it as an argument or in --answers' +
+        (process.stdin.isTTY ? '' : ' (stdin is not a TTY, so it cannot be prompted for)')
+      );
+    }
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'projectName',
+        message: 'What is your project name?',
+        validate: (input) => {
+          if (input.trim() === '') {
+            return 'Project name is required';
+          }
+          return true;
+        }
+      },
+      {
+        type: 'input',
+        name: 'domain',
+        message: 'Domain name:',
+        when: () => !settings.domain,
+        default: (current) => convertToDomainFormat(current.projectName),
+        validate: validateDomainName
+      },
+      {
+        type: 'input',
+        name: 'description',
+        message: 'Domain description (leave empty for template default):',
+        when: () => !settings.description
+      }
+    ]);
+
+    settings.projectName = answers.projectName;
+    settings.domain = settings.domain || answers.domain;
+    settings.description = settings.description || answers.description || undefined;
+  }
+
+  // Convert project name to domain name format (lowercase, hyphen-separated)
+  settings.domainDerived = !settings.domain;
+  settings.domain = settings.domain || convertToDomainFormat(settings.projectName);
+
+  const domainCheck = validateDomainName(settings.domain);
+  if (domainCheck !== true) {
+    throw new Error(`Invalid domain name '${settings.domain}': ${domainCheck}`);
+  }
+
+  if (settings.runtimeVersion && settings.runtimeVersion !== 'latest' && !semver.valid(settings.runtimeVersion)) {
+    throw new Error(`Invalid runtime version '${settings.runtimeVersion}'. Expected 'latest' or a semantic version (e.g., '1.2.0')`);
+  }
+
+  if (settings.exports !== undefined && (typeof settings.exports !== 'object' || Array.isArray(settings.exports))) {
+    throw new Error('Answers file "exports" must be an object of category arrays (e.g., { "tasks": ["my-task.json"] })');
+  }
+
+  return settings;
+}
+
+/**
+ * Resolve values for variables declared by the template manifest.
+ * Missing values are prompted for in interactive mode, otherwise defaults apply.
+ * @param {TemplateManifest} manifest - Template manifest
+ * @param {Object} settings - Settings from resolveCreateSettings
+ * @returns {Promise<Object>} Variable values
+ */
+async function resolveTemplateVariables(manifest, settings) {
+  const provided = { ...settings.variables };
+
+  if (!manifest.hasVariables()) {
+    if (Object.keys(provided).length > 0) {
+      throw new Error(`Template does not declare variables: ${Object.keys(provided).join(', ')}`);
+    }
+    return {};
+  }
+
+  if (settings.interactive) {
+    const questions = manifest.buildPrompts(provided);
+    if (questions.length > 0) {
+      console.log(chalk.blue('📝 Template variables:'));
+      Object.assign(provided, await inquirer.prompt(questions));
+    }
+  }
+
+  const variables = manifest.resolveValues(provided);
+  Object.entries(variables).forEach(([name, value]) => {
+    console.log(chalk.gray(`  ${name} = ${JSON.stringify(value)}`));
+  });
+
+  return variables;
+}
+
+/**
+ * Collect repeatable --var name=value options
+ * @param {string} value - Option value (name=value)
+ * @param {Object} previous - Previously collected variables
+ * @returns {Object} Collected variables
+ */
+function collectTemplateVariable(value, previous) {
+  const separator = value.indexOf('=');
+  if (separator <= 0) {
+    throw new InvalidArgumentError(`Expected name=value, got '${value}'`);
+  }
+  return { ...previous, [value.slice(0, separator).trim()]: value.slice(separator + 1) };
+}
+
+/**
+ * Validate a domain name (lowercase letters, numbers and hyphens)
+ * @param {string} domain - Domain name
+ * @returns {boolean|string} True if valid, otherwise an error message
+ */
+function validateDomainName(domain) {
+  if (!domain || domain.trim() === '') {
+    return 'Domain name is required';
+  }
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(domain)) {
+    return 'Domain name must contain only lowercase letters, numbers, and single hyphens';
+  }
+  return true;
+}
+
+/**
+ * Apply create settings to the generated vnext.config.json and package.json
+ * @param {string} targetPath - Project directory
+ * @param {Object} settings - Settings from resolveCreateSettings
+ * @param {Array<string>} keptFiles - Existing files kept because they differ from the template (left untouched)
+ * @returns {Promise<void>}
+ */
+async function applyCreateSettings(targetPath, settings, keptFiles = []) {
+  const configPath = path.join(targetPath, 'vnext.config.json');
+  if (!keptFiles.includes('vnext.config.json') && (await fs.pathExists(configPath))) {
+    const config = await fs.readJSON(configPath);
+
+    if (settings.description) {
+      config.description = settings.description;
+    }
+    if (settings.runtimeVersion) {
+      config.runtimeVersion = settings.runtimeVersion;
+    }
+    if (settings.exports) {
+      config.exports = config.exports || {};
+      for (const [category, value] of Object.entries(settings.exports)) {
+        config.exports[category] = Array.isArray(value) && Array.isArray(config.exports[category])
+          ? [...new Set([...config.exports[category], ...value])]
+          : value;
+      }
+    }
+
+    await fs.writeJSON(configPath, config, { spaces: 2 });
+  }
+
+  const packagePath = path.join(targetPath, 'package.json');
+  if (settings.description && keptFiles.includes('package.json')) {
+    console.log(chalk.yellow('⚠️  Existing package.json kept: description was not applied'));
+  } else if (settings.description && (await fs.pathExists(packagePath))) {
+    const packageContent = await fs.readJSON(packagePath);
+    packageContent.description = settings.description;
+    await fs.writeJSON(packagePath, packageContent, { spaces: 2 });
+  }
+}
+
+/**
+ * Create the validation cache for validate and build
+ * @param {RefResolver} resolver - Reference resolver
+ * @param {SchemaManager} schemaManager - Schema manager (after schemas were resolved)
+ * @param {Object} config - vnext.config.json content
+ * @param {Object} options - Command options (cache, strict)
+ * @returns {Promise<ValidationCache>} Loaded cache
+ */
+async function createValidationCache(resolver, schemaManager, config, options) {
+  const cache = new ValidationCache({
+    cacheDir: resolver.options.cacheDir,
+    schemaVersion: schemaManager.currentVersion,
+    cliVersion: packageJson.version,
+    settings: {
+      strict: Boolean(options.strict),
+      referenceResolution: config.referenceResolution || null,
+      lint: await resolver.lintEngine.getFingerprint()
+    },
+    enabled: options.cache !== false
+  });
+  return cache.load();
+}
+
+/**
+ * Validate component files, on worker threads when more than one job is allowed.
+ * Per-file output is printed in file order whatever order the workers finish in.
+ * @param {RefResolver} resolver - Reference resolver of the main thread
+ * @param {Array<string>} files - Absolute component file paths
+ * @param {Object} config - vnext.config.json content
+ * @param {Object} options - validate options (resolveRefs, jobs)
+ * @param {ValidationCache} cache - Validation cache (unchanged valid files are skipped)
+ * @returns {Promise<Array<Object>>} Results in file order ({ record, schemaValid, valid, cached })
+ */
+async function validateComponentFiles(resolver, files, config, options, cache) {
+  const validator = new ComponentValidator({ resolver, domain: config.domain, resolveRefs: options.resolveRefs });
+  const cacheMode = validator.cacheMode;
+  const results = new Array(files.length);
+  const cacheKeys = new Array(files.length);
+  const pending = [];
+  
+  for (let index = 0; index < files.length; index++) {
+    const relativeFile = path.relative(process.cwd(), files[index]);
+    cacheKeys[index] = await cache.computeKey(files[index], resolver, cacheMode, config.domain);
+    const cachedRecord = cache.get(cacheMode, relativeFile, cacheKeys[index]);
+    if (cachedRecord) {
+      results[index] = {
+        record: cachedRecord,
+        schemaValid: true,
+        valid: true,
+        cached: true,
+        output: [chalk.gray(`📄 Unchanged: ${relativeFile} (cached)`)]
+      };
+    } else {
+      pending.push(index);
+    }
+  }
+  
+  // Print finished results up to the first file still being validated
+  let printed = 0;
+  const printResults = () => {
+    while (printed < files.length && results[printed]) {
+      (results[printed].output || []).forEach(line => console.log(line));
+      printed++;
+    }
+  };
+  
+  const jobs = Math.min(options.jobs, pending.length);
+  if (jobs > 1) {
+    const pool = new ValidationPool({
+      size: jobs,
+      ensurePackage: (packageName) => resolver.ensurePackage(packageName),
+      workerData: {
+        resolverOptions: { ...resolver.options, workspace: undefined },
+        configPath: path.join(process.cwd(), 'vnext.config.json'),
+        domain: config.domain,
+        resolveRefs: Boolean(options.resolveRefs),
+        projectRoot: process.cwd(),
+        colorLevel: chalk.level
+      }
+    });
+    
+    try {
+      await pool.run(pending.map(index => files[index]), (position, result) => {
+        results[pending[position]] = result;
+        printResults();
+      });
+    } finally {
+      await pool.close();
+    }
+  } else {
+    for (const index of pending) {
+      printResults();
+      results[index] = await validator.validateFile(files[index]);
+    }
+  }
+  printResults();
+  
+  for (const index of pending) {
+    const relativeFile = path.relative(process.cwd(), files[index]);
+    if (results[index].valid) {
+      cache.set(cacheMode, relativeFile, cacheKeys[index], results[index].record);
+    } else {
+      cache.delete(cacheMode, relativeFile);
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Parse the --jobs option
+ * @param {string} value - Option value
+ * @returns {number} Number of parallel validation jobs
+ */
+function parseJobs(value) {
+  const jobs = Number(value);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return jobs;
+}
+
+/**
+ * Find JSON files below a folder
+ * @param {string} dirPath - Folder
+ * @param {IgnoreRules|null} ignoreRules - Rules of .vnextignore and config.ignore (null: nothing ignored)
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+async function findJsonFiles(dirPath, ignoreRules = null) {
   const files = [];
   
   if (!(await fs.pathExists(dirPath))) {
@@ -1087,8 +2280,12 @@ async function findJsonFiles(dirPath) {
     const itemPath = path.join(dirPath, item);
     const stat = await fs.stat(itemPath);
     
+    if (ignoreRules && ignoreRules.ignores(itemPath, stat.isDirectory())) {
+      continue;
+    }
+    
     if (stat.isDirectory()) {
-      const subFiles = await findJsonFiles(itemPath);
+      const subFiles = await findJsonFiles(itemPath, ignoreRules);
       files.push(...subFiles);
     } else if (path.extname(item) === '.json') {
       files.push(itemPath);
@@ -1098,7 +2295,13 @@ async function findJsonFiles(dirPath) {
   return files;
 }
 
-async function getAllFiles(dirPath) {
+/**
+ * Find all files below a folder
+ * @param {string} dirPath - Folder
+ * @param {IgnoreRules|null} ignoreRules - Rules of .vnextignore and config.ignore (null: nothing ignored)
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+async function getAllFiles(dirPath, ignoreRules = null) {
   const files = [];
   const items = await fs.readdir(dirPath);
   
@@ -1106,8 +2309,12 @@ async function getAllFiles(dirPath) {
     const itemPath = path.join(dirPath, item);
     const stat = await fs.stat(itemPath);
     
+    if (ignoreRules && ignoreRules.ignores(itemPath, stat.isDirectory())) {
+      continue;
+    }
+    
     if (stat.isDirectory()) {
-      const subFiles = await getAllFiles(itemPath);
+      const subFiles = await getAllFiles(itemPath, ignoreRules);
       files.push(...subFiles);
     } else {
       files.push(itemPath);
@@ -1230,6 +2437,11 @@ async function buildPackage(outputDir, type = 'reference') {
   try {
     schemaPath = await schemaManager.ensureSchemasForConfig(configPath);
   } catch (error) {
+    if (isOffline()) {
+      console.log(chalk.red(`❌ Failed to load runtime schemas: ${error.message}`));
+      printOfflineHint();
+      process.exit(1);
+    }
     throw new Error(`Schema validation failed: ${error.message}. NPM access required to download schema package.`);
   }
   
@@ -1243,7 +2455,8 @@ async function buildPackage(outputDir, type = 'reference') {
   await resolver.loadValidationConfig(configPath);
   
   const scanPath = path.join(process.cwd(), config.paths?.componentsRoot || config.domain);
-  const jsonFiles = await findJsonFiles(scanPath);
+  const ignoreRules = await IgnoreRules.load(process.cwd(), config);
+  const jsonFiles = await findJsonFiles(scanPath, ignoreRules);
   
   // Validate all files
   for (const filePath of jsonFiles) {
@@ -1302,7 +2515,9 @@ async function buildPackage(outputDir, type = 'reference') {
             const sourcePath = path.join(domainPath, categoryPath, filename);
             const targetPath = path.join(fullOutputDir, config.domain, categoryPath, filename);
             
-            if (await fs.pathExists(sourcePath)) {
+            if (ignoreRules.ignores(sourcePath)) {
+              console.log(chalk.yellow(`⚠️  Ignored: ${categoryPath}/${filename} is listed in exports but matches .vnextignore or config.ignore; skipped`));
+            } else if (await fs.pathExists(sourcePath)) {
               await fs.ensureDir(path.dirname(targetPath));
               
               const originalContent = await fs.readJSON(sourcePath);
@@ -1324,7 +2539,7 @@ async function buildPackage(outputDir, type = 'reference') {
       console.log(chalk.gray(`📁 Target domain path: ${targetDomainPath}`));
       
       // Get all files recursively
-      const allFiles = await getAllFiles(domainPath);
+      const allFiles = await getAllFiles(domainPath, ignoreRules);
       console.log(chalk.gray(`📄 Found ${allFiles.length} files to process`));
       
       for (const filePath of allFiles) {
@@ -0,0 +1,392 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const semver = require('semver');
+
+/**
+ * Applies mechanical repairs for common validation problems (validate --fix):
+ * - keys with uppercase or invalid characters are normalized (missing keys are taken from the filename)
+ * - versions like 1.0 are completed to 1.0.0
+ * - domain is set to config.domain
+ * - a missing flow is derived from the component folder
+ * - files are renamed to match their key (and version for versioned filenames)
+ *
+ * Refs and plain references pointing to renamed or re-keyed components are updated in all
+ * components of the domain.
+ */
+class ComponentFixer {
+  constructor(options = {}) {
+    this.options = {
+      resolver: null,
+      projectRoot: process.cwd(),
+      domain: null,
+      ...options
+    };
+  }
+
+  /**
+   * Flow of each component type
+   * @returns {Object} Component type to flow
+   */
+  static get flowsByType() {
+    return {
+      task: 'sys-tasks',
+      workflow: 'sys-flows',
+      function: 'sys-functions',
+      view: 'sys-views',
+      schema: 'sys-schemas',
+      extension: 'sys-extensions'
+    };
+  }
+
+  /**
+   * Plan fixes
+   * @param {Array<string>} targetFiles - Absolute paths of the files to fix
+   * @param {Array<string>} domainFiles - Absolute paths of all component files (searched for refs)
+   * @returns {Promise<Array<Object>>} Changes ({ filePath, newPath, before, after, fixes: [{ rule, message }] })
+   */
+  async plan(targetFiles, domainFiles) {
+    const entries = new Map();
+    for (const filePath of new Set([...domainFiles, ...targetFiles])) {
+      const before = await fs.readFile(filePath, 'utf8');
+      let content;
+      try {
+        content = JSON.parse(before);
+      } catch (error) {
+        continue; // Invalid JSON has no mechanical fix
+      }
+      entries.set(filePath, { filePath, newPath: filePath, before, content, fixes: [] });
+    }
+
+    // 1. Component fixes and renames
+    const renames = new Map();   // old local ref -> new local ref
+    const rekeyed = [];          // { domain, flow, oldKey, oldVersion, key, version }
+    const targets = new Set();
+
+    for (const filePath of targetFiles) {
+      const entry = entries.get(filePath);
+      if (!entry) {
+        continue;
+      }
+
+      const original = { key: entry.content.key, version: entry.content.version };
+      this.fixComponent(entry);
+
+      if (original.key !== entry.content.key || original.version !== entry.content.version) {
+        rekeyed.push({
+          domain: entry.content.domain,
+          flow: entry.content.flow,
+          oldKey: original.key,
+          oldVersion: original.version,
+          key: entry.content.key,
+          version: entry.content.version
+        });
+      }
+
+      const newPath = this.getExpectedPath(entry);
+      if (newPath !== filePath) {
+        if ((await fs.pathExists(newPath)) || targets.has(newPath)) {
+          entry.fixes.push({ rule: 'filename', message: `cannot rename to ${path.basename(newPath)}: file already exists` });
+        } else {
+          entry.newPath = newPath;
+          entry.fixes.push({ rule: 'filename', message: `${path.basename(filePath)} → ${path.basename(newPath)}` });
+          renames.set(this.toLocalRef(filePath), this.toLocalRef(newPath));
+        }
+      }
+      targets.add(entry.newPath);
+    }
+
+    // 2. References to renamed or re-keyed components
+    if (renames.size > 0 || rekeyed.length > 0) {
+      for (const entry of entries.values()) {
+        this.updateReferences(entry, renames, rekeyed);
+      }
+    }
+
+    const changes = [];
+    for (const entry of entries.values()) {
+      if (entry.fixes.length > 0) {
+        entry.after = this.serialize(entry.content, entry.before);
+        changes.push(entry);
+      }
+    }
+    return changes.sort((a, b) => a.filePath.localeCompare(b.filePath));
+  }
+
+  /**
+   * Fix the top-level fields of a component
+   * @param {Object} entry - Plan entry ({ filePath, content, fixes })
+   */
+  fixComponent(entry) {
+    const { content, fixes } = entry;
+    const relativePath = path.relative(this.options.projectRoot, entry.filePath);
+
+    if (!content.key) {
+      const key = this.normalizeKey(path.basename(entry.filePath, '.json').replace(/\.\d+(\.\d+){0,2}$/, ''));
+      if (key) {
+        content.key = key;
+        fixes.push({ rule: 'key', message: `key set from filename: '${key}'` });
+      }
+    } else if (typeof content.key === 'string' && !/^[a-z0-9-]+$/.test(content.key)) {
+      const key = this.normalizeKey(content.key);
+      if (key) {
+        fixes.push({ rule: 'key', message: `'${content.key}' → '${key}'` });
+        content.key = key;
+      }
+    }
+
+    if (typeof content.version === 'string' && !semver.valid(content.version)) {
+      const version = semver.valid(semver.coerce(content.version));
+      if (version) {
+        fixes.push({ rule: 'version', message: `'${content.version}' → '${version}'` });
+        content.version = version;
+      }
+    }
+
+    if (this.options.domain && content.domain !== this.options.domain) {
+      fixes.push({ rule: 'domain', message: content.domain ? `'${content.domain}' → '${this.options.domain}'` : `set to '${this.options.domain}'` });
+      content.domain = this.options.domain;
+    }
+
+    if (!content.flow) {
+      const flow = ComponentFixer.flowsByType[this.options.resolver.detectComponentType(relativePath)];
+      if (flow) {
+        fixes.push({ rule: 'flow', message: `set to '${flow}' from the folder` });
+        entry.content = this.insertAfter(content, 'domain', 'flow', flow);
+      }
+    }
+  }
+
+  /**
+   * Insert a property after another one (keeps the usual key, version, domain, flow order)
+   * @param {Object} content - Component JSON
+   * @param {string} after - Existing property name
+   * @param {string} name - New property name
+   * @param {*} value - New property value
+   * @returns {Object} New object
+   */
+  insertAfter(content, after, name, value) {
+    const result = {};
+    for (const [key, child] of Object.entries(content)) {
+      result[key] = child;
+      if (key === after) {
+        result[name] = value;
+      }
+    }
+    result[name] = value;
+    return result;
+  }
+
+  /**
+   * Normalize a key to lowercase letters, numbers and hyphens
+   * @param {string} key - Key
+   * @returns {string} Normalized key (empty if nothing is left)
+   */
+  normalizeKey(key) {
+    return key
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, '-')
+      .replace(/-{2,}/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Expected path of a component: key.json, or key.version.json when the filename is versioned
+   * @param {Object} entry - Plan entry
+   * @returns {string} Absolute path
+   */
+  getExpectedPath(entry) {
+    const { content, filePath } = entry;
+    if (!content.key) {
+      return filePath;
+    }
+
+    // Keys cannot contain dots, so a numeric dotted suffix is a (possibly incomplete) version
+    const versioned = /\.\d+(\.\d+){0,2}\.json$/.test(filePath);
+    const filename = versioned && content.version ? `${content.key}.${content.version}.json` : `${content.key}.json`;
+    return path.join(path.dirname(filePath), filename);
+  }
+
+  /**
+   * Local ref string of a component file (relative to the domain folder, like RefResolver.resolveLocalRef)
+   * @param {string} filePath - Absolute path
+   * @returns {string} Ref
+   */
+  toLocalRef(filePath) {
+    return path.relative(path.join(this.options.projectRoot, this.options.domain || ''), filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Update refs and plain references of a component
+   * @param {Object} entry - Plan entry
+   * @param {Map<string, string>} renames - Old local ref to new local ref
+   * @param {Array<Object>} rekeyed - Re-keyed components
+   */
+  updateReferences(entry, renames, rekeyed) {
+    const walk = (value, context, isRoot) => {
+      if (typeof value !== 'object' || value === null || context.isInSchemaDefinition) {
+        return;
+      }
+      if (Array.isArray(value)) {
+        value.forEach(item => walk(item, context, false));
+        return;
+      }
+
+      if (typeof value.ref === 'string' && renames.has(value.ref)) {
+        entry.fixes.push({ rule: 'ref', message: `${value.ref} → ${renames.get(value.ref)}` });
+        value.ref = renames.get(value.ref);
+      } else if (!isRoot && !value.ref && value.key && value.flow && value.domain) {
+        const target = rekeyed.find(item =>
+          item.oldKey === value.key && item.flow === value.flow && item.domain === value.domain &&
+          (!value.version || item.oldVersion === value.version));
+        if (target) {
+          const before = `${value.key}@${value.version || '*'}`;
+          value.key = target.key;
+          if (value.version) {
+            value.version = target.version;
+          }
+          entry.fixes.push({ rule: 'ref', message: `${value.domain}/${value.flow}/${before} → ${value.key}@${value.version || '*'}` });
+        }
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        if (key !== 'ref') {
+          walk(child, {
+            isInAttributes: key === 'attributes' || context.isInAttributes,
+            isInSchemaDefinition: key === 'schema' && context.isInAttributes
+          }, false);
+        }
+      }
+    };
+
+    walk(entry.content, {}, true);
+  }
+
+  /**
+   * Serialize JSON with the indentation and trailing newline of the original text
+   * @param {Object} content - Component JSON
+   * @param {string} original - Original file text
+   * @returns {string} Text
+   */
+  serialize(content, original) {
+    const indentMatch = original.match(/\n([ \t]+)\S/);
+    const indent = indentMatch ? indentMatch[1] : (original.trim().includes('\n') ? 2 : 0);
+    const text = indent === 0 ? JSON.stringify(content) : JSON.stringify(content, null, indent);
+    return original.endsWith('\n') ? `${text}\n` : text;
+  }
+
+  /**
+   * Write fixed files and rename them
+   * @param {Array<Object>} changes - Planned changes
+   * @returns {Promise<Map<string, string>>} Old path to new path of renamed files
+   */
+  async apply(changes) {
+    const renamed = new Map();
+    for (const change of changes) {
+      if (change.after !== change.before) {
+        await fs.writeFile(change.filePath, change.after);
+      }
+      if (change.newPath !== change.filePath) {
+        await fs.move(change.filePath, change.newPath);
+        renamed.set(change.filePath, change.newPath);
+      }
+    }
+    return renamed;
+  }
+
+  /**
+   * Print planned changes with a diff per file
+   * @param {Array<Object>} changes - Planned changes
+   * @param {boolean} dryRun - Whether the changes are only previewed
+   */
+  printChanges(changes, dryRun = false) {
+    if (changes.length === 0) {
+      console.log(chalk.green('🔧 Nothing to fix'));
+      return;
+    }
+
+    console.log(chalk.blue(`🔧 ${dryRun ? 'Fixes that would be applied (dry run)' : 'Applying fixes'}:`));
+    for (const change of changes) {
+      const from = path.relative(this.options.projectRoot, change.filePath);
+      const to = path.relative(this.options.projectRoot, change.newPath);
+      console.log(chalk.bold(`\n📄 ${from}${to !== from ? ` → ${to}` : ''}`));
+      change.fixes.forEach(fix => console.log(chalk.cyan(`  • ${fix.rule}: ${fix.message}`)));
+      this.diffLines(change.before, change.after).forEach(line => console.log(line));
+    }
+
+    const renamed = changes.filter(change => change.newPath !== change.filePath).length;
+    const refs = changes.reduce((sum, change) => sum + change.fixes.filter(fix => fix.rule === 'ref').length, 0);
+    console.log(chalk.blue(
+      `\n🔧 ${dryRun ? 'Would change' : 'Changed'} ${changes.length} file${changes.length === 1 ? '' : 's'}` +
+      ` (${renamed} renamed, ${refs} reference${refs === 1 ? '' : 's'} updated)`
+    ));
+  }
+
+  /**
+   * Line diff with 2 lines of context
+   * @param {string} before - Original text
+   * @param {string} after - New text
+   * @returns {Array<string>} Colored diff lines
+   */
+  diffLines(before, after) {
+    const context = 2;
+    const a = before.replace(/\n$/, '').split('\n');
+    const b = after.replace(/\n$/, '').split('\n');
+
+    // Common prefix and suffix, LCS on the changed middle part
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const table = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const ops = a.slice(0, start).map(line => [' ', line]);
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push([' ', midA[i++]]);
+        j++;
+      } else if (i < midA.length && (j === midB.length || table[i + 1][j] >= table[i][j + 1])) {
+        ops.push(['-', midA[i++]]);
+      } else {
+        ops.push(['+', midB[j++]]);
+      }
+    }
+    ops.push(...a.slice(endA).map(line => [' ', line]));
+
+    const changed = ops.map((op, index) => (op[0] === ' ' ? -1 : index)).filter(index => index >= 0);
+    const lines = [];
+    let skipped = false;
+    ops.forEach(([type, line], index) => {
+      if (!changed.some(changedIndex => Math.abs(changedIndex - index) <= context)) {
+        if (!skipped && lines.length > 0) {
+          lines.push(chalk.gray('    …'));
+        }
+        skipped = true;
+        return;
+      }
+      skipped = false;
+      const color = type === '-' ? chalk.red : type === '+' ? chalk.green : chalk.gray;
+      lines.push(color(`  ${type} ${line}`));
+    });
+    return lines;
+  }
+}
+
+module.exports = ComponentFixer;
@@ -0,0 +1,346 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Component type definitions: config.paths/exports category, default folder and flow value
+ */
+const COMPONENT_TYPES = {
+  task: { category: 'tasks', folder: 'Tasks', flow: 'sys-tasks' },
+  workflow: { category: 'workflows', folder: 'Workflows', flow: 'sys-flows' },
+  function: { category: 'functions', folder: 'Functions', flow: 'sys-functions' },
+  view: { category: 'views', folder: 'Views', flow: 'sys-views' },
+  schema: { category: 'schemas', folder: 'Schemas', flow: 'sys-schemas' },
+  extension: { category: 'extensions', folder: 'Extensions', flow: 'sys-extensions' }
+};
+
+class ComponentGenerator {
+  constructor(options = {}) {
+    this.options = {
+      projectRoot: process.cwd(),
+      schemaPath: null,
+      defaultVersion: '1.0.0',
+      defaultFlowVersion: '1.0.0',
+      ...options
+    };
+
+    this.configPath = path.join(this.options.projectRoot, 'vnext.config.json');
+    this.schemaCache = new Map();
+  }
+
+  /**
+   * Get supported component types
+   * @returns {Array<string>} Component type names
+   */
+  static getComponentTypes() {
+    return Object.keys(COMPONENT_TYPES);
+  }
+
+  /**
+   * Get type definition (category, folder, flow) for a component type
+   * @param {string} type - Component type (task, workflow, ...)
+   * @returns {Object} Type definition
+   */
+  static getTypeDefinition(type) {
+    const definition = COMPONENT_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown component type '${type}'. Must be one of: ${Object.keys(COMPONENT_TYPES).join(', ')}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Generate a new component file in the project
+   * @param {string} type - Component type (task, workflow, function, view, schema, extension)
+   * @param {string} key - Component key
+   * @param {Object} options - Generation options (version, flowVersion, force)
+   * @returns {Promise<Object>} Generated component info (filePath, relativePath, category, filename, content)
+   */
+  async generate(type, key, options = {}) {
+    const definition = ComponentGenerator.getTypeDefinition(type);
+
+    if (!/^[a-z0-9-]+$/.test(key)) {
+      throw new Error(`Invalid key format '${key}'. Expected lowercase letters, numbers, and hyphens only`);
+    }
+
+    if (!(await fs.pathExists(this.configPath))) {
+      throw new Error('vnext.config.json not found. Run this command in an vNext domain project.');
+    }
+
+    const config = await fs.readJSON(this.configPath);
+    const componentsRoot = config.paths?.componentsRoot || config.domain;
+    const categoryPath = config.paths?.[definition.category] || definition.folder;
+    const filename = `${key}.json`;
+    const filePath = path.join(this.options.projectRoot, componentsRoot, categoryPath, filename);
+
+    if ((await fs.pathExists(filePath)) && !options.force) {
+      throw new Error(`Component already exists: ${path.relative(this.options.projectRoot, filePath)}`);
+    }
+
+    const content = await this.buildComponent(type, key, config, options);
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJSON(filePath, content, { spaces: 2 });
+
+    return {
+      filePath,
+      relativePath: path.relative(this.options.projectRoot, filePath),
+      category: definition.category,
+      filename,
+      content
+    };
+  }
+
+  /**
+   * Build component content from the runtime definition schema
+   * @param {string} type - Component type
+   * @param {string} key - Component key
+   * @param {Object} config - vnext.config.json content
+   * @param {Object} options - Generation options (version, flowVersion)
+   * @returns {Promise<Object>} Component JSON
+   */
+  async buildComponent(type, key, config, options = {}) {
+    const definition = ComponentGenerator.getTypeDefinition(type);
+
+    const base = {
+      key,
+      version: options.version || this.options.defaultVersion,
+      domain: config.domain,
+      flow: definition.flow,
+      flowVersion: options.flowVersion || this.options.defaultFlowVersion
+    };
+
+    const schema = await this.loadDefinitionSchema(type);
+    let skeleton = {};
+    if (schema) {
+      skeleton = this.generateFromSchema(schema, schema) || {};
+    } else {
+      console.log(chalk.yellow(`⚠️  Schema not found: ${type}-definition.schema.json, generating minimal component`));
+    }
+
+    const component = {
+      ...skeleton,
+      ...base
+    };
+
+    // Optional common fields are only added when the schema allows them
+    if (!Array.isArray(component.tags) && (!schema || schema.properties?.tags)) {
+      component.tags = [];
+    }
+
+    if (!this.isPlainObject(component.attributes) && (!schema || schema.properties?.attributes)) {
+      component.attributes = {};
+    }
+
+    // sys-schemas components wrap a JSON Schema in attributes.schema
+    if (type === 'schema') {
+      component.attributes = {
+        ...component.attributes,
+        type: options.schemaType || component.attributes?.type || 'workflow',
+        schema: this.buildJsonSchemaSkeleton(key, config.domain, component.attributes?.schema)
+      };
+    }
+
+    // Keep the identity fields first for readability
+    const { key: k, version, domain, flow, flowVersion, ...rest } = component;
+    return { key: k, version, domain, flow, flowVersion, ...rest };
+  }
+
+  /**
+   * Build an empty JSON Schema for sys-schemas components
+   * @param {string} key - Component key
+   * @param {string} domain - Domain name
+   * @param {Object} existing - Skeleton generated from the definition schema
+   * @returns {Object} JSON Schema
+   */
+  buildJsonSchemaSkeleton(key, domain, existing) {
+    return {
+      ...(typeof existing === 'object' && existing !== null ? existing : {}),
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $id: `https://schemas.vnext.com/${domain}/${key}.json`,
+      title: key,
+      description: `${key} schema`,
+      type: 'object',
+      properties: {},
+      required: []
+    };
+  }
+
+  /**
+   * Load the component definition schema for the runtime version
+   * @param {string} type - Component type
+   * @returns {Promise<Object|null>} Schema object or null
+   */
+  async loadDefinitionSchema(type) {
+    if (!this.options.schemaPath) {
+      return null;
+    }
+
+    const schemaName = `${type}-definition.schema.json`;
+    if (this.schemaCache.has(schemaName)) {
+      return this.schemaCache.get(schemaName);
+    }
+
+    const schemaFile = path.join(this.options.schemaPath, schemaName);
+    if (!(await fs.pathExists(schemaFile))) {
+      return null;
+    }
+
+    const schema = await fs.readJSON(schemaFile);
+    this.schemaCache.set(schemaName, schema);
+    return schema;
+  }
+
+  /**
+   * Generate a minimal value satisfying the required properties of a schema
+   * @param {Object} schema - Schema node
+   * @param {Object} rootSchema - Root schema (for local $ref resolution)
+   * @param {number} depth - Recursion depth guard
+   * @returns {*} Generated value (undefined if nothing can be generated)
+   */
+  generateFromSchema(schema, rootSchema, depth = 0) {
+    if (typeof schema !== 'object' || schema === null || depth > 20) {
+      return undefined;
+    }
+
+    if (schema.$ref) {
+      const target = this.resolveLocalRef(schema.$ref, rootSchema);
+      return target ? this.generateFromSchema(target, rootSchema, depth + 1) : undefined;
+    }
+
+    if (schema.const !== undefined) return schema.const;
+    if (schema.default !== undefined) return JSON.parse(JSON.stringify(schema.default));
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    if (Array.isArray(schema.allOf)) {
+      let merged;
+      for (const part of schema.allOf) {
+        const value = this.generateFromSchema(part, rootSchema, depth + 1);
+        if (value !== undefined) {
+          merged = this.isPlainObject(merged) && this.isPlainObject(value) ? { ...merged, ...value } : value;
+        }
+      }
+      if (merged !== undefined) return merged;
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (Array.isArray(schema[keyword]) && schema[keyword].length > 0) {
+        return this.generateFromSchema(schema[keyword][0], rootSchema, depth + 1);
+      }
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+    switch (type || (schema.properties ? 'object' : undefined)) {
+      case 'object': {
+        const result = {};
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        for (const prop of required) {
+          const propSchema = schema.properties?.[prop];
+          const value = propSchema ? this.generateFromSchema(propSchema, rootSchema, depth + 1) : undefined;
+          result[prop] = value !== undefined ? value : null;
+        }
+        return result;
+      }
+      case 'array': {
+        const minItems = schema.minItems || 0;
+        const items = [];
+        for (let i = 0; i < minItems; i++) {
+          const value = this.generateFromSchema(schema.items, rootSchema, depth + 1);
+          items.push(value !== undefined ? value : null);
+        }
+        return items;
+      }
+      case 'string':
+        return this.generateString(schema);
+      case 'integer':
+      case 'number':
+        return schema.minimum !== undefined ? schema.minimum : 0;
+      case 'boolean':
+        return false;
+      case 'null':
+        return null;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Generate a placeholder string for a string schema
+   * @param {Object} schema - String schema
+   * @returns {string} Placeholder value
+   */
+  generateString(schema) {
+    switch (schema.format) {
+      case 'date-time': return new Date().toISOString();
+      case 'date': return new Date().toISOString().slice(0, 10);
+      case 'uri':
+      case 'url': return 'https://example.com';
+      case 'email': return 'user@example.com';
+      case 'uuid': return '00000000-0000-0000-0000-000000000000';
+      default: break;
+    }
+
+    const minLength = schema.minLength || 0;
+    return minLength > 0 ? 'x'.repeat(minLength) : '';
+  }
+
+  /**
+   * Resolve a local JSON pointer reference (#/definitions/..., #/$defs/...)
+   * @param {string} ref - $ref value
+   * @param {Object} rootSchema - Root schema
+   * @returns {Object|null} Referenced schema node
+   */
+  resolveLocalRef(ref, rootSchema) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+      return null;
+    }
+
+    const segments = ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+      .map(segment => decodeURIComponent(segment.replace(/~1/g, '/').replace(/~0/g, '~')));
+
+    let node = rootSchema;
+    for (const segment of segments) {
+      if (typeof node !== 'object' || node === null || !(segment in node)) {
+        return null;
+      }
+      node = node[segment];
+    }
+    return node;
+  }
+
+  /**
+   * Add a component file to config.exports
+   * @param {string} category - Export category (tasks, workflows, ...)
+   * @param {string} filename - Component filename
+   * @returns {Promise<boolean>} True if the export was added, false if already present
+   */
+  async addExport(category, filename) {
+    const config = await fs.readJSON(this.configPath);
+
+    config.exports = config.exports || {};
+    if (!Array.isArray(config.exports[category])) {
+      config.exports[category] = [];
+    }
+
+    if (config.exports[category].includes(filename)) {
+      return false;
+    }
+
+    config.exports[category].push(filename);
+    await fs.writeJSON(this.configPath, config, { spaces: 2 });
+    return true;
+  }
+
+  /**
+   * Check whether a value is a plain (non-array) object
+   * @param {*} value - Value to check
+   * @returns {boolean} True if plain object
+   */
+  isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+module.exports = ComponentGenerator;
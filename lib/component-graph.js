@@ -0,0 +1,132 @@
+const path = require('path');
+
+/**
+ * Tracks which component files reference which other component files (local refs only),
+ * so a change to one file can be traced to the components depending on it.
+ */
+class ComponentGraph {
+  constructor(options = {}) {
+    this.options = {
+      projectRoot: process.cwd(),
+      domain: null,
+      ...options
+    };
+
+    this.dependencies = new Map(); // file -> Set of referenced files
+    this.dependents = new Map();   // file -> Set of files referencing it
+  }
+
+  /**
+   * Collect ref strings from a component (JSON Schema content of sys-schemas is skipped like in RefResolver)
+   * @param {*} content - Component JSON
+   * @returns {Array<string>} Ref strings
+   */
+  static collectRefs(content) {
+    const refs = [];
+
+    const walk = (value, context) => {
+      if (typeof value !== 'object' || value === null) {
+        return;
+      }
+
+      if (Array.isArray(value)) {
+        value.forEach(item => walk(item, context));
+        return;
+      }
+
+      if (context.isInSchemaDefinition) {
+        return;
+      }
+
+      if (typeof value.ref === 'string') {
+        refs.push(value.ref);
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        if (key === 'ref') {
+          continue;
+        }
+        walk(child, {
+          isInAttributes: key === 'attributes' || context.isInAttributes,
+          isInSchemaDefinition: key === 'schema' && context.isInAttributes
+        });
+      }
+    };
+
+    walk(content, {});
+    return refs;
+  }
+
+  /**
+   * Resolve a local ref to an absolute file path (same rule as RefResolver.resolveLocalRef)
+   * @param {string} ref - Ref string
+   * @returns {string|null} Absolute path, or null for package refs
+   */
+  resolveRefPath(ref) {
+    if (ref.startsWith('@')) {
+      return null;
+    }
+    return path.join(this.options.projectRoot, this.options.domain || '', ref);
+  }
+
+  /**
+   * Set (or replace) the references of a file
+   * @param {string} filePath - Absolute component file path
+   * @param {Object} content - Component JSON
+   */
+  setFile(filePath, content) {
+    this.removeFile(filePath);
+
+    const referenced = new Set(
+      ComponentGraph.collectRefs(content)
+        .map(ref => this.resolveRefPath(ref))
+        .filter(Boolean)
+    );
+    this.dependencies.set(filePath, referenced);
+
+    for (const target of referenced) {
+      if (!this.dependents.has(target)) {
+        this.dependents.set(target, new Set());
+      }
+      this.dependents.get(target).add(filePath);
+    }
+  }
+
+  /**
+   * Remove a file's outgoing references.
+   * Incoming references stay: the referencing files still point at this path.
+   * @param {string} filePath - Absolute component file path
+   */
+  removeFile(filePath) {
+    for (const target of this.dependencies.get(filePath) || []) {
+      const incoming = this.dependents.get(target);
+      if (incoming) {
+        incoming.delete(filePath);
+        if (incoming.size === 0) {
+          this.dependents.delete(target);
+        }
+      }
+    }
+    this.dependencies.delete(filePath);
+  }
+
+  /**
+   * Get files referencing a file
+   * @param {string} filePath - Absolute component file path
+   * @returns {Array<string>} Absolute paths of dependent files (sorted)
+   */
+  getDependents(filePath) {
+    return [...(this.dependents.get(filePath) || [])].sort();
+  }
+
+  /**
+   * Get files referenced by a file
+   * @param {string} filePath - Absolute component file path
+   * @returns {Array<string>} Absolute paths of referenced files (sorted)
+   */
+  getDependencies(filePath) {
+    return [...(this.dependencies.get(filePath) || [])].sort();
+  }
+}
+
+module.exports = ComponentGraph;
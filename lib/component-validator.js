@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const JsonSource = require('./json-source');
+const ValidationReport = require('./validation-report');
+const WorkflowAnalyzer = require('./workflow-analyzer');
+
+/**
+ * Validates single component files (schema, lint rules and optionally references)
+ * and returns a ValidationReport record per file.
+ *
+ * The same class runs in the main thread and inside validation workers, so results
+ * are identical whatever the --jobs setting.
+ */
+class ComponentValidator {
+  constructor(options = {}) {
+    this.options = {
+      resolver: null,
+      domain: null,
+      resolveRefs: false,
+      projectRoot: process.cwd(),
+      ...options
+    };
+  }
+
+  /**
+   * Cache mode matching the validation settings
+   * @returns {string} 'schema' or 'schema+refs'
+   */
+  get cacheMode() {
+    return this.options.resolveRefs ? 'schema+refs' : 'schema';
+  }
+
+  /**
+   * Validate a component file
+   * @param {string} filePath - Absolute component file path
+   * @returns {Promise<Object>} Result ({ record, schemaValid, valid, cached }); schemaValid is null if the file could not be read
+   */
+  async validateFile(filePath) {
+    const resolver = this.options.resolver;
+    const relativeFile = path.relative(this.options.projectRoot, filePath);
+    const record = {
+      file: relativeFile,
+      componentType: resolver.detectComponentType(relativeFile),
+      schemaErrors: [],
+      referenceErrors: [],
+      warnings: [],
+      errors: []
+    };
+    let schemaValid = null;
+    let valid = false;
+    let source = null;
+
+    try {
+      source = new JsonSource(await fs.readFile(filePath, 'utf8'), filePath);
+      console.log(chalk.gray(`📄 Validating: ${relativeFile}`));
+      let content;
+      try {
+        content = source.parse();
+      } catch (error) {
+        record.errors.push({ message: `Invalid JSON: ${error.message}`, line: error.line, column: error.column });
+        console.log(chalk.red(`  ❌ Invalid JSON: ${error.message}`));
+        this.printLocations(record, source);
+        return { record, schemaValid, valid, cached: false };
+      }
+
+      // Always perform schema validation
+      schemaValid = true;
+      try {
+        // The domain is checked by DomainIndex, so a mismatch does not hide schema errors
+        const schemaResult = await resolver.validateComponentSchema(content, relativeFile, null);
+        const lintErrors = this.addFindings(record, schemaResult?.findings || []);
+        console.log(chalk.green(`  ✅ Schema validation passed`));
+        if (lintErrors > 0) {
+          console.log(chalk.red(`  ❌ ${lintErrors} lint error${lintErrors === 1 ? '' : 's'}`));
+        }
+      } catch (error) {
+        schemaValid = false;
+        if (error.schemaErrors) {
+          record.schemaErrors.push(...error.schemaErrors);
+        } else {
+          record.errors.push({ message: error.message, ...(error.path ? { path: error.path } : {}) });
+        }
+        console.log(chalk.red(`  ❌ Schema validation failed: ${error.message}`));
+      }
+
+      // State machine checks for workflows
+      if (record.componentType === 'workflow') {
+        const analyzer = new WorkflowAnalyzer();
+        const findings = analyzer.analyze(content);
+        analyzer.printFindings(findings);
+        this.addFindings(record, findings);
+      }
+
+      // Perform reference resolution if requested
+      if (this.options.resolveRefs) {
+        const validation = await resolver.validateAllReferences(content, this.options.domain);
+
+        record.references = {
+          total: validation.resolvedRefs.length,
+          resolved: validation.resolvedRefs.filter(r => r.status === 'success').length
+        };
+        record.referenceErrors.push(...validation.errors.map(error => ({ ref: error.ref, path: error.path, message: error.error })));
+
+        if (validation.valid && schemaValid && record.errors.length === 0) {
+          valid = true;
+          console.log(chalk.green(`  ✅ Complete validation passed (${validation.validationDetails.successful}/${validation.validationDetails.total} refs resolved)`));
+
+          // Show detailed validation info in verbose mode
+          if (validation.validationDetails.total > 0) {
+            validation.resolvedRefs.forEach(ref => {
+              if (ref.status === 'success' && ref.details) {
+                console.log(chalk.gray(`    📄 ${ref.details.componentType}: ${ref.details.key}@${ref.details.version} (${ref.details.domain})`));
+              }
+            });
+          }
+        } else if (!validation.valid) {
+          console.log(chalk.red(`  ❌ Reference validation failed (${validation.validationDetails.failed}/${validation.validationDetails.total} refs failed):`));
+          validation.errors.forEach(error => {
+            console.log(chalk.red(`    - ${error.ref}:`));
+            console.log(chalk.red(`      ${error.error}`));
+          });
+        }
+      } else {
+        valid = schemaValid && record.errors.length === 0;
+      }
+    } catch (error) {
+      record.errors.push({ message: error.message });
+      console.log(chalk.red(`  ❌ Error: ${error.message}`));
+    }
+
+    if (source && source.value !== undefined) {
+      this.addPositions(record, source);
+      this.printLocations(record, source);
+    }
+
+    return { record, schemaValid, valid, cached: false };
+  }
+
+  /**
+   * Add line and column of the offending value to every problem of a record
+   * @param {Object} record - Validation record
+   * @param {JsonSource} source - Parsed component
+   */
+  addPositions(record, source) {
+    const locate = (entry, pointer, options = {}) => {
+      const position = source.getPosition(pointer || '', options);
+      if (position) {
+        entry.line = position.line;
+        entry.column = position.column;
+      }
+    };
+
+    record.schemaErrors.forEach(error => {
+      // Unknown properties point at the property name, everything else at the value
+      if (error.keyword === 'additionalProperties' && error.params?.additionalProperty !== undefined) {
+        locate(error, `${error.instancePath}/${JsonSource.escapePointer(error.params.additionalProperty)}`, { key: true });
+      } else {
+        locate(error, error.instancePath);
+      }
+    });
+    record.referenceErrors.forEach(error => locate(error, error.path));
+    [...record.errors, ...record.warnings]
+      .filter(entry => entry.line === undefined)
+      .forEach(entry => locate(entry, entry.path));
+  }
+
+  /**
+   * Print file:line:column and a code frame for every problem (locations are clickable in VS Code)
+   * @param {Object} record - Validation record
+   * @param {JsonSource} source - Component source
+   */
+  printLocations(record, source) {
+    const maxFrames = 10;
+    const problems = new ValidationReport().getProblems(record).filter(problem => problem.line);
+
+    problems.forEach((problem, index) => {
+      const color = problem.level === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`  📍 ${record.file}:${problem.line}:${problem.column} ${problem.rule}: ${problem.text.split('\n')[0]}`));
+      if (index < maxFrames) {
+        console.log(source.codeFrame(problem.line, problem.column).replace(/^/gm, '    '));
+      }
+    });
+    if (problems.length > maxFrames) {
+      console.log(chalk.gray(`  … code frames shown for the first ${maxFrames} of ${problems.length} problems`));
+    }
+  }
+
+  /**
+   * Add lint or workflow findings to a record (errors fail the file, warnings do not)
+   * @param {Object} record - Validation record
+   * @param {Array<Object>} findings - Findings ({ rule, severity, path, message })
+   * @returns {number} Number of error findings
+   */
+  addFindings(record, findings) {
+    let errors = 0;
+    for (const { rule, severity, path: pointer, message } of findings) {
+      if (severity === 'error') {
+        record.errors.push({ rule, path: pointer, message });
+        errors++;
+      } else {
+        record.warnings.push({ rule, path: pointer, message });
+      }
+    }
+    return errors;
+  }
+}
+
+module.exports = ComponentValidator;
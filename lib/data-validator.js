@@ -0,0 +1,131 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const semver = require('semver');
+const JsonSource = require('./json-source');
+
+/**
+ * Validates data payloads (e.g. workflow instance data) against sys-schemas components.
+ *
+ * The schema component is located by key (local components) or by ref, and compiled with
+ * the AJV setup of RefResolver, so dialects and cross-schema `$ref`s behave like in `validate`.
+ */
+class DataValidator {
+  constructor(options = {}) {
+    this.options = {
+      resolver: null,
+      projectRoot: process.cwd(),
+      domain: null,
+      ...options
+    };
+  }
+
+  /**
+   * Locate a schema component
+   * @param {string} keyOrRef - Component key ('customer', 'customer@1.0.0') or ref ('Schemas/customer.json', '@acme/core/Schemas/customer.json')
+   * @param {Array<string>} files - Absolute paths of the local component files
+   * @returns {Promise<Object>} { component, source } where source describes where it was found
+   * @throws {Error} If no sys-schemas component matches
+   */
+  async findSchemaComponent(keyOrRef, files) {
+    // Refs contain a path; keys never do
+    if (keyOrRef.includes('/')) {
+      const component = await this.options.resolver.resolveRef(keyOrRef, this.options.domain);
+      if (component.flow !== 'sys-schemas') {
+        throw new Error(`${keyOrRef} is not a sys-schemas component (flow: ${component.flow})`);
+      }
+      return { component, source: keyOrRef };
+    }
+
+    const [key, version] = keyOrRef.split('@');
+    const candidates = [];
+    for (const filePath of files) {
+      let component;
+      try {
+        component = await fs.readJSON(filePath);
+      } catch (error) {
+        continue;
+      }
+      if (component?.flow === 'sys-schemas' && component.key === key && (!version || component.version === version)) {
+        candidates.push({ component, source: path.relative(this.options.projectRoot, filePath) });
+      }
+    }
+
+    if (candidates.length === 0) {
+      throw new Error(`No sys-schemas component with key '${keyOrRef}' found`);
+    }
+
+    // Without a version the newest one wins
+    candidates.sort((a, b) => (semver.valid(b.component.version) && semver.valid(a.component.version)
+      ? semver.rcompare(a.component.version, b.component.version)
+      : 0));
+    return candidates[0];
+  }
+
+  /**
+   * Compile the JSON Schema of a schema component
+   * @param {Object} component - sys-schemas component
+   * @returns {Promise<Function>} AJV validate function
+   */
+  async compile(component) {
+    const schema = component.attributes?.schema;
+    if (!schema || typeof schema !== 'object') {
+      throw new Error(`Schema component '${component.key}' has no attributes.schema`);
+    }
+    const { validate } = await this.options.resolver.compileJsonSchema(schema);
+    return validate;
+  }
+
+  /**
+   * Validate a payload file
+   * @param {string} filePath - Absolute payload path
+   * @param {Function} validate - AJV validate function
+   * @returns {Promise<Object>} { file, valid, errors: [{ path, message, line, column }] }
+   */
+  async validateFile(filePath, validate) {
+    const file = path.relative(process.cwd(), filePath);
+    const source = new JsonSource(await fs.readFile(filePath, 'utf8'), filePath);
+
+    let payload;
+    try {
+      payload = source.parse();
+    } catch (error) {
+      return { file, valid: false, errors: [{ path: '', message: `Invalid JSON: ${error.message}`, line: error.line, column: error.column }] };
+    }
+
+    if (validate(payload)) {
+      return { file, valid: true, errors: [] };
+    }
+
+    const errors = validate.errors.map(error => {
+      // Unknown properties point at the property name, everything else at the value
+      const additional = error.keyword === 'additionalProperties' && error.params?.additionalProperty !== undefined;
+      const pointer = additional
+        ? `${error.instancePath}/${JsonSource.escapePointer(error.params.additionalProperty)}`
+        : error.instancePath;
+      const position = source.getPosition(pointer, { key: additional }) || {};
+      const detail = additional ? ` '${error.params.additionalProperty}'` : '';
+      return { path: pointer || '/', message: `${error.message}${detail}`, line: position.line, column: position.column };
+    });
+    return { file, valid: false, errors };
+  }
+
+  /**
+   * Print the result of a payload
+   * @param {Object} result - Result of validateFile
+   */
+  printResult(result) {
+    if (result.valid) {
+      console.log(chalk.green(`  ✅ ${result.file}`));
+      return;
+    }
+
+    console.log(chalk.red(`  ❌ ${result.file}`));
+    result.errors.forEach(error => {
+      const location = error.line ? `${result.file}:${error.line}:${error.column} ` : '';
+      console.log(chalk.red(`    📍 ${location}${error.path}: ${error.message}`));
+    });
+  }
+}
+
+module.exports = DataValidator;
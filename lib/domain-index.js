@@ -0,0 +1,157 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const JsonSource = require('./json-source');
+
+/**
+ * Domain-wide index of components by (domain, flow, key, version).
+ *
+ * Reports problems that only show up when looking at all components together:
+ * - domain/duplicate-component (error): two files declare the same domain, flow, key and version
+ * - domain/mismatch (error): a component's domain differs from vnext.config.json
+ * - domain/key-reused (warning): a key is used in more than one flow
+ *
+ * Findings have the lint finding format and carry line and column.
+ */
+class DomainIndex {
+  constructor(options = {}) {
+    this.options = {
+      projectRoot: process.cwd(),
+      domain: null,
+      ...options
+    };
+
+    this.entries = new Map(); // file path -> { file, key, version, flow, domain, source }
+  }
+
+  /**
+   * Index component files (files with invalid JSON are skipped, validation reports them)
+   * @param {Array<string>} files - Absolute component file paths
+   * @returns {Promise<DomainIndex>} This index
+   */
+  async build(files) {
+    this.entries.clear();
+    for (const filePath of files) {
+      const source = new JsonSource(await fs.readFile(filePath, 'utf8'), filePath);
+      let content;
+      try {
+        content = source.parse();
+      } catch (error) {
+        continue;
+      }
+      if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        continue;
+      }
+
+      this.entries.set(filePath, {
+        file: path.relative(this.options.projectRoot, filePath),
+        key: content.key,
+        version: content.version,
+        flow: content.flow,
+        domain: content.domain,
+        source
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Number of indexed components
+   * @returns {number} Count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Findings of a component file
+   * @param {string} filePath - Absolute component file path
+   * @returns {Array<Object>} Findings ({ rule, severity, path, message, line, column })
+   */
+  getFindings(filePath) {
+    const entry = this.entries.get(filePath);
+    if (!entry) {
+      return [];
+    }
+
+    const findings = [];
+    const report = (rule, severity, pointer, message) => {
+      const position = entry.source.getPosition(pointer) || {};
+      findings.push({ rule: `domain/${rule}`, severity, path: pointer, message, line: position.line, column: position.column });
+    };
+
+    const others = [...this.entries.entries()].filter(([otherPath]) => otherPath !== filePath).map(([, other]) => other);
+
+    if (typeof entry.key === 'string' && entry.key) {
+      const duplicates = others.filter(other =>
+        other.key === entry.key && other.version === entry.version &&
+        other.flow === entry.flow && other.domain === entry.domain);
+      if (duplicates.length > 0) {
+        report('duplicate-component', 'error', '/key',
+          `${entry.domain}/${entry.flow}/${entry.key}@${entry.version} is also declared in ${duplicates.map(other => other.file).join(', ')}`);
+      }
+
+      const otherFlows = new Map();
+      others
+        .filter(other => other.key === entry.key && other.domain === entry.domain && other.flow !== entry.flow)
+        .forEach(other => {
+          if (!otherFlows.has(other.flow)) {
+            otherFlows.set(other.flow, other.file);
+          }
+        });
+      for (const [flow, file] of otherFlows) {
+        report('key-reused', 'warning', '/key', `Key '${entry.key}' is also used in flow '${flow}' (${file})`);
+      }
+    }
+
+    if (this.options.domain && typeof entry.domain === 'string' && entry.domain !== this.options.domain) {
+      report('mismatch', 'error', '/domain', `Domain '${entry.domain}' differs from the project domain '${this.options.domain}'`);
+    }
+
+    return findings;
+  }
+
+  /**
+   * Add the findings of a file to its validation result (the record is copied, cached records stay untouched)
+   * @param {Object} result - Validation result ({ record, valid, ... })
+   * @param {string} filePath - Absolute component file path
+   * @returns {Object} Result with findings
+   */
+  apply(result, filePath) {
+    const findings = this.getFindings(filePath);
+    if (findings.length === 0) {
+      return result;
+    }
+
+    const record = { ...result.record, errors: [...(result.record.errors || [])], warnings: [...(result.record.warnings || [])] };
+    for (const { rule, severity, path: pointer, message, line, column } of findings) {
+      (severity === 'error' ? record.errors : record.warnings).push({ rule, path: pointer, message, line, column });
+    }
+
+    const hasErrors = findings.some(finding => finding.severity === 'error');
+    return { ...result, record, valid: result.valid && !hasErrors };
+  }
+
+  /**
+   * Print the findings of files
+   * @param {Array<string>} files - Absolute component file paths
+   */
+  printFindings(files) {
+    const lines = [];
+    for (const filePath of files) {
+      for (const finding of this.getFindings(filePath)) {
+        const color = finding.severity === 'error' ? chalk.red : chalk.yellow;
+        const entry = this.entries.get(filePath);
+        lines.push(color(`  ${finding.severity === 'error' ? '❌' : '⚠️ '} ${entry.file}:${finding.line}:${finding.column} ${finding.rule}: ${finding.message}`));
+      }
+    }
+
+    console.log(chalk.blue(`\n🗂️  Domain index: ${this.size} components`));
+    if (lines.length === 0) {
+      console.log(chalk.green('  ✅ No duplicate keys or domain mismatches'));
+    }
+    lines.forEach(line => console.log(line));
+  }
+}
+
+module.exports = DomainIndex;
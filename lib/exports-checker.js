@@ -0,0 +1,283 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const JsonSource = require('./json-source');
+const ComponentGenerator = require('./component-generator');
+
+/**
+ * Checks the `exports` section of vnext.config.json against the components on disk.
+ *
+ * Every file listed under `exports.<category>` must:
+ * - exports/missing (error): exist in the folder of its category (`config.paths.<category>`)
+ * - exports/wrong-category (error): be listed under the category it belongs to (folder and flow)
+ * - exports/invalid (error): pass schema validation
+ * - exports/private-dependency (error): only reference local components that are exported too
+ *
+ * Findings on the export list point into vnext.config.json, private dependencies point at the
+ * reference inside the exported component. Findings have the lint finding format and carry line and column.
+ */
+class ExportsChecker {
+  constructor(options = {}) {
+    this.options = {
+      projectRoot: process.cwd(),
+      config: {},
+      resolver: null,
+      domainIndex: null,
+      ...options
+    };
+
+    this.configFile = 'vnext.config.json';
+    this.exported = new Map(); // absolute path -> { category, pointer }
+    this.findings = new Map(); // relative file -> findings
+  }
+
+  /**
+   * Exports categories with their folder and flow
+   * @returns {Object} Category name to { type, folder, flow }
+   */
+  get categories() {
+    const config = this.options.config;
+    const categories = {};
+    for (const type of ComponentGenerator.getComponentTypes()) {
+      const definition = ComponentGenerator.getTypeDefinition(type);
+      categories[definition.category] = {
+        type,
+        folder: config.paths?.[definition.category] || definition.folder,
+        flow: definition.flow
+      };
+    }
+    return categories;
+  }
+
+  /**
+   * Absolute components root of the project
+   * @returns {string} Components root
+   */
+  get componentsRoot() {
+    const config = this.options.config;
+    return path.join(this.options.projectRoot, config.paths?.componentsRoot || config.domain);
+  }
+
+  /**
+   * Number of exported files
+   * @returns {number} Count
+   */
+  get size() {
+    return this.exported.size;
+  }
+
+  /**
+   * Check the exports section
+   * @param {Map<string, Object>} results - Validation results by absolute file path
+   * @returns {Promise<ExportsChecker>} This checker
+   */
+  async check(results) {
+    this.exported.clear();
+    this.findings.clear();
+
+    const exportsConfig = this.options.config.exports;
+    if (!exportsConfig || typeof exportsConfig !== 'object' || exportsConfig.visibility === 'private') {
+      return this;
+    }
+
+    const configSource = new JsonSource(await fs.readFile(path.join(this.options.projectRoot, this.configFile), 'utf8'));
+    configSource.parse();
+    const categories = this.categories;
+
+    for (const [category, files] of Object.entries(exportsConfig)) {
+      if (!Array.isArray(files)) {
+        continue;
+      }
+      const definition = categories[category];
+      if (!definition) {
+        this.report(this.configFile, configSource, 'wrong-category', `/exports/${JsonSource.escapePointer(category)}`,
+          `Unknown exports category '${category}'. Must be one of: ${Object.keys(categories).join(', ')}`);
+        continue;
+      }
+
+      for (const [index, filename] of files.entries()) {
+        const pointer = `/exports/${JsonSource.escapePointer(category)}/${index}`;
+        const filePath = path.join(this.componentsRoot, definition.folder, filename);
+
+        if (!(await fs.pathExists(filePath))) {
+          const otherCategory = await this.findCategory(filename);
+          if (otherCategory) {
+            this.report(this.configFile, configSource, 'wrong-category', pointer,
+              `${filename} is listed in exports.${category} but lives in ${categories[otherCategory].folder} (exports.${otherCategory})`);
+          } else {
+            this.report(this.configFile, configSource, 'missing', pointer,
+              `Exported file ${definition.folder}/${filename} does not exist`);
+          }
+          continue;
+        }
+
+        this.exported.set(filePath, { category, pointer });
+        const entry = this.options.domainIndex.entries.get(filePath);
+        if (entry && typeof entry.flow === 'string' && entry.flow !== definition.flow) {
+          this.report(this.configFile, configSource, 'wrong-category', pointer,
+            `${definition.folder}/${filename} has flow '${entry.flow}' but exports.${category} expects '${definition.flow}'`);
+        }
+
+        const result = results.get(filePath);
+        if (result && (result.schemaValid === false || !entry)) {
+          this.report(this.configFile, configSource, 'invalid', pointer,
+            `Exported file ${definition.folder}/${filename} fails schema validation`);
+        }
+      }
+    }
+
+    for (const filePath of this.exported.keys()) {
+      const entry = this.options.domainIndex.entries.get(filePath);
+      if (entry) {
+        this.checkDependencies(entry);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Category whose folder contains a file
+   * @param {string} filename - Exported file name
+   * @returns {Promise<string|null>} Category name
+   */
+  async findCategory(filename) {
+    for (const [category, definition] of Object.entries(this.categories)) {
+      if (await fs.pathExists(path.join(this.componentsRoot, definition.folder, filename))) {
+        return category;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Report local references of an exported component that point at components which are not exported
+   * @param {Object} entry - Domain index entry
+   */
+  checkDependencies(entry) {
+    const resolver = this.options.resolver;
+    const domain = this.options.config.domain;
+    const visit = (value, pointer, inAttributes) => {
+      if (typeof value !== 'object' || value === null) {
+        return;
+      }
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${pointer}/${index}`, inAttributes));
+        return;
+      }
+
+      const refInfo = resolver.detectReferenceFormat(value);
+      let target = null;
+      if (refInfo?.format === 'local') {
+        target = path.join(this.componentsRoot, value.ref);
+      } else if (refInfo?.format === 'plain' && value.domain === domain) {
+        target = [...this.options.domainIndex.entries.entries()]
+          .find(([, other]) => other.key === value.key && other.version === value.version &&
+            other.flow === value.flow && other.domain === value.domain)?.[0] || null;
+      }
+      // Missing targets are reported by reference validation
+      if (target && this.options.domainIndex.entries.has(target) && !this.exported.has(target)) {
+        this.report(entry.file, entry.source, 'private-dependency', refInfo.format === 'plain' ? pointer : `${pointer}/ref`,
+          `Exported component references ${path.relative(this.componentsRoot, target)}, which is not exported`);
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        // JSON Schema content of sys-schemas components holds no component references
+        if (key === 'ref' || (key === 'schema' && inAttributes)) {
+          continue;
+        }
+        visit(child, `${pointer}/${JsonSource.escapePointer(key)}`, inAttributes || key === 'attributes');
+      }
+    };
+
+    visit(entry.source.value, '', false);
+  }
+
+  /**
+   * Record an error finding
+   * @param {string} file - Project-relative file
+   * @param {JsonSource} source - Parsed file
+   * @param {string} rule - Rule name without the exports/ prefix
+   * @param {string} pointer - JSON Pointer of the offending value
+   * @param {string} message - Message
+   */
+  report(file, source, rule, pointer, message) {
+    const position = source.getPosition(pointer) || {};
+    if (!this.findings.has(file)) {
+      this.findings.set(file, []);
+    }
+    this.findings.get(file).push({
+      rule: `exports/${rule}`, severity: 'error', path: pointer, message, line: position.line, column: position.column
+    });
+  }
+
+  /**
+   * Findings of a file
+   * @param {string} file - Project-relative file
+   * @returns {Array<Object>} Findings
+   */
+  getFindings(file) {
+    return this.findings.get(file) || [];
+  }
+
+  /**
+   * Add the findings of a component to its validation result (the record is copied)
+   * @param {Object} result - Validation result ({ record, valid, ... })
+   * @param {string} filePath - Absolute component file path
+   * @returns {Object} Result with findings
+   */
+  apply(result, filePath) {
+    const findings = this.getFindings(path.relative(this.options.projectRoot, filePath));
+    if (findings.length === 0) {
+      return result;
+    }
+
+    const record = { ...result.record, errors: [...(result.record.errors || [])] };
+    findings.forEach(({ rule, path: pointer, message, line, column }) => record.errors.push({ rule, path: pointer, message, line, column }));
+    return { ...result, record, valid: false };
+  }
+
+  /**
+   * Report record of vnext.config.json, if the export list itself has findings
+   * @returns {Object|null} Validation record
+   */
+  getConfigRecord() {
+    const findings = this.getFindings(this.configFile);
+    if (findings.length === 0) {
+      return null;
+    }
+    return {
+      file: this.configFile,
+      componentType: 'config',
+      errors: findings.map(({ rule, path: pointer, message, line, column }) => ({ rule, path: pointer, message, line, column }))
+    };
+  }
+
+  /**
+   * Number of error findings
+   * @returns {number} Count
+   */
+  get errorCount() {
+    return [...this.findings.values()].reduce((sum, findings) => sum + findings.length, 0);
+  }
+
+  /**
+   * Print all findings
+   */
+  printFindings() {
+    console.log(chalk.blue(`\n📦 Exports: ${this.size} exported components`));
+    if (this.options.config.exports?.visibility === 'private') {
+      console.log(chalk.gray('  Exports are private, nothing to check'));
+      return;
+    }
+    if (this.errorCount === 0) {
+      console.log(chalk.green('  ✅ Exports are present, valid and self-contained'));
+      return;
+    }
+    for (const [file, findings] of this.findings) {
+      findings.forEach(finding => console.log(chalk.red(`  ❌ ${file}:${finding.line}:${finding.column} ${finding.rule}: ${finding.message}`)));
+    }
+  }
+}
+
+module.exports = ExportsChecker;
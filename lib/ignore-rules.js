@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Gitignore-style rules that exclude files from component discovery.
+ *
+ * Rules come from `.vnextignore` in the project root and the `ignore` array of vnext.config.json
+ * (applied after the file, so they can override it). Both are relative to the project root and
+ * follow gitignore syntax:
+ * - `#` starts a comment, blank lines are skipped
+ * - `*` and `?` match within a path segment, `**` matches any number of folders, `[abc]` a character class
+ * - a pattern without a slash matches at any depth, a leading or inner slash anchors it to the project root
+ * - a trailing slash matches folders only; everything inside an ignored folder is ignored
+ * - `!` re-includes a path excluded by an earlier pattern (the last matching pattern wins)
+ */
+class IgnoreRules {
+  constructor(patterns = [], options = {}) {
+    this.options = {
+      projectRoot: process.cwd(),
+      ...options
+    };
+
+    this.rules = patterns
+      .map(pattern => IgnoreRules.compile(pattern))
+      .filter(Boolean);
+  }
+
+  /**
+   * Name of the ignore file
+   * @returns {string} File name
+   */
+  static get fileName() {
+    return '.vnextignore';
+  }
+
+  /**
+   * Load the rules of a project
+   * @param {string} projectRoot - Project root (folder of vnext.config.json)
+   * @param {Object} config - vnext.config.json content
+   * @returns {Promise<IgnoreRules>} Rules
+   * @throws {Error} If config.ignore is not an array of strings
+   */
+  static async load(projectRoot, config = {}) {
+    const patterns = [];
+    const filePath = path.join(projectRoot, IgnoreRules.fileName);
+    if (await fs.pathExists(filePath)) {
+      patterns.push(...(await fs.readFile(filePath, 'utf8')).split(/\r?\n/));
+    }
+
+    if (config.ignore !== undefined) {
+      if (!Array.isArray(config.ignore) || config.ignore.some(pattern => typeof pattern !== 'string')) {
+        throw new Error(`'ignore' in vnext.config.json must be an array of patterns`);
+      }
+      patterns.push(...config.ignore);
+    }
+
+    return new IgnoreRules(patterns, { projectRoot });
+  }
+
+  /**
+   * Compile a gitignore pattern
+   * @param {string} line - Pattern line
+   * @returns {Object|null} Rule ({ pattern, negate, directoryOnly, regex }) or null for blank lines and comments
+   */
+  static compile(line) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (pattern === '' || pattern.startsWith('#')) {
+      return null;
+    }
+
+    const negate = pattern.startsWith('!');
+    if (negate) {
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.slice(1);
+    }
+
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (pattern === '') {
+      return null;
+    }
+
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+      const char = pattern[index];
+      if (char === '*' && pattern[index + 1] === '*') {
+        const atStart = index === 0 || pattern[index - 1] === '/';
+        const atEnd = index + 2 === pattern.length || pattern[index + 2] === '/';
+        if (atStart && atEnd) {
+          // '**/' matches zero or more folders, a trailing '**' everything inside
+          source += index + 2 === pattern.length ? '.*' : '(?:.*/)?';
+          index += index + 2 === pattern.length ? 1 : 2;
+          continue;
+        }
+        source += '[^/]*';
+        index++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[' && pattern.indexOf(']', index + 2) !== -1) {
+        const end = pattern.indexOf(']', index + 2);
+        const body = pattern.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        index = end;
+      } else if (char === '\\' && index + 1 < pattern.length) {
+        source += pattern[++index].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+
+    return {
+      pattern: line.trim(),
+      negate,
+      directoryOnly,
+      regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+    };
+  }
+
+  /**
+   * Number of rules
+   * @returns {number} Count
+   */
+  get size() {
+    return this.rules.length;
+  }
+
+  /**
+   * Whether a path is ignored (also when one of its folders is ignored)
+   * @param {string} filePath - Absolute path
+   * @param {boolean} isDirectory - True for folders
+   * @returns {boolean} True if ignored
+   */
+  ignores(filePath, isDirectory = false) {
+    if (this.rules.length === 0) {
+      return false;
+    }
+
+    const relativePath = path.relative(this.options.projectRoot, filePath).split(path.sep).join('/');
+    if (relativePath === '' || relativePath.startsWith('../') || path.isAbsolute(relativePath)) {
+      return false;
+    }
+
+    const segments = relativePath.split('/');
+    for (let length = 1; length < segments.length; length++) {
+      if (this.matches(segments.slice(0, length).join('/'), true)) {
+        return true;
+      }
+    }
+    return this.matches(relativePath, isDirectory);
+  }
+
+  /**
+   * Apply the rules to one path (the last matching rule wins)
+   * @param {string} relativePath - Project-relative path with forward slashes
+   * @param {boolean} isDirectory - True for folders
+   * @returns {boolean} True if ignored
+   */
+  matches(relativePath, isDirectory) {
+    let ignored = false;
+    for (const rule of this.rules) {
+      if ((!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  }
+}
+
+module.exports = IgnoreRules;
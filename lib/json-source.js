@@ -0,0 +1,303 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+
+/**
+ * JSON document with source positions.
+ *
+ * Parses JSON text and records where every value (and every object key) starts, addressed by
+ * JSON Pointer (the format of AJV's instancePath), so validation problems can be reported as
+ * `file:line:column` with a code frame.
+ */
+class JsonSource {
+  constructor(text, filePath = null) {
+    this.text = text;
+    this.filePath = filePath;
+    this.positions = new Map(); // pointer -> { value: offset, key: offset|null }
+    this.lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') {
+        this.lineStarts.push(i + 1);
+      }
+    }
+    this.index = 0;
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - File path
+   * @returns {Promise<JsonSource>} Parsed source (see parse for errors)
+   */
+  static async load(filePath) {
+    const source = new JsonSource(await fs.readFile(filePath, 'utf8'), filePath);
+    source.parse();
+    return source;
+  }
+
+  /**
+   * Escape a property name for a JSON Pointer
+   * @param {string|number} segment - Property name or array index
+   * @returns {string} Escaped segment
+   */
+  static escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Parse the text
+   * @returns {*} Parsed value
+   * @throws {SyntaxError} On invalid JSON, with `line` and `column` properties
+   */
+  parse() {
+    this.index = 0;
+    this.positions.clear();
+    // Like JSON.parse, a leading byte order mark is not valid JSON but commonly written by editors
+    if (this.text.charCodeAt(0) === 0xfeff) {
+      this.index = 1;
+    }
+
+    this.skipWhitespace();
+    this.value = this.parseValue('', null);
+    this.skipWhitespace();
+    if (this.index < this.text.length) {
+      this.fail('Unexpected content after the JSON value');
+    }
+    return this.value;
+  }
+
+  /**
+   * Parse a value and record its position
+   * @param {string} pointer - JSON Pointer of the value
+   * @param {number|null} keyOffset - Offset of the property key (object members)
+   * @returns {*} Value
+   */
+  parseValue(pointer, keyOffset) {
+    this.positions.set(pointer, { value: this.index, key: keyOffset });
+    const char = this.text[this.index];
+
+    if (char === '{') {
+      return this.parseObject(pointer);
+    }
+    if (char === '[') {
+      return this.parseArray(pointer);
+    }
+    if (char === '"') {
+      return this.parseString();
+    }
+    if (char === '-' || (char >= '0' && char <= '9')) {
+      const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(this.text.slice(this.index, this.index + 64));
+      if (!match) {
+        this.fail('Invalid number');
+      }
+      this.index += match[0].length;
+      return Number(match[0]);
+    }
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (this.text.startsWith(literal, this.index)) {
+        this.index += literal.length;
+        return value;
+      }
+    }
+
+    return this.fail(char === undefined ? 'Unexpected end of JSON input' : `Unexpected token ${char}`);
+  }
+
+  /**
+   * Parse an object
+   * @param {string} pointer - JSON Pointer of the object
+   * @returns {Object} Object
+   */
+  parseObject(pointer) {
+    const result = {};
+    this.index++;
+    this.skipWhitespace();
+    if (this.text[this.index] === '}') {
+      this.index++;
+      return result;
+    }
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.text[this.index] !== '"') {
+        this.fail('Expected a property name in double quotes');
+      }
+      const keyOffset = this.index;
+      const key = this.parseString();
+      this.skipWhitespace();
+      this.expect(':');
+      this.skipWhitespace();
+
+      const value = this.parseValue(`${pointer}/${JsonSource.escapePointer(key)}`, keyOffset);
+      if (key === '__proto__') {
+        Object.defineProperty(result, key, { value, enumerable: true, configurable: true, writable: true });
+      } else {
+        result[key] = value;
+      }
+
+      this.skipWhitespace();
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+      this.expect('}');
+      return result;
+    }
+  }
+
+  /**
+   * Parse an array
+   * @param {string} pointer - JSON Pointer of the array
+   * @returns {Array} Array
+   */
+  parseArray(pointer) {
+    const result = [];
+    this.index++;
+    this.skipWhitespace();
+    if (this.text[this.index] === ']') {
+      this.index++;
+      return result;
+    }
+
+    while (true) {
+      this.skipWhitespace();
+      result.push(this.parseValue(`${pointer}/${result.length}`, null));
+      this.skipWhitespace();
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+      this.expect(']');
+      return result;
+    }
+  }
+
+  /**
+   * Parse a string (escapes are decoded by JSON.parse)
+   * @returns {string} String
+   */
+  parseString() {
+    const start = this.index;
+    this.index++;
+    while (this.index < this.text.length) {
+      const char = this.text[this.index];
+      if (char === '\\') {
+        this.index += 2;
+      } else if (char === '"') {
+        this.index++;
+        try {
+          return JSON.parse(this.text.slice(start, this.index));
+        } catch (error) {
+          this.index = start;
+          return this.fail('Invalid string');
+        }
+      } else if (char < ' ') {
+        this.fail('Bad control character in string');
+      } else {
+        this.index++;
+      }
+    }
+    this.index = start;
+    return this.fail('Unterminated string');
+  }
+
+  /**
+   * Consume an expected character
+   * @param {string} char - Character
+   */
+  expect(char) {
+    if (this.text[this.index] !== char) {
+      const found = this.text[this.index];
+      this.fail(found === undefined ? 'Unexpected end of JSON input' : `Expected '${char}' but found '${found}'`);
+    }
+    this.index++;
+  }
+
+  /**
+   * Skip whitespace
+   */
+  skipWhitespace() {
+    while (this.index < this.text.length && ' \t\n\r'.includes(this.text[this.index])) {
+      this.index++;
+    }
+  }
+
+  /**
+   * Throw a syntax error at the current position
+   * @param {string} message - Error message
+   * @throws {SyntaxError} Always
+   */
+  fail(message) {
+    const { line, column } = this.getLineColumn(this.index);
+    const error = new SyntaxError(`${message} at line ${line} column ${column}`);
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  /**
+   * Convert an offset to a 1-based line and column
+   * @param {number} offset - Character offset
+   * @returns {Object} { line, column }
+   */
+  getLineColumn(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  /**
+   * Position of a value; falls back to the closest existing parent for missing paths
+   * @param {string} pointer - JSON Pointer (e.g. '/attributes/states/3/transitions/0/target')
+   * @param {Object} options - { key: true to point at the property name instead of the value }
+   * @returns {Object|null} { line, column, pointer } or null before parsing
+   */
+  getPosition(pointer = '', options = {}) {
+    let current = pointer;
+    while (!this.positions.has(current)) {
+      if (current === '') {
+        return null;
+      }
+      current = current.slice(0, current.lastIndexOf('/'));
+    }
+
+    const position = this.positions.get(current);
+    const offset = options.key && position.key !== null ? position.key : position.value;
+    return { ...this.getLineColumn(offset), pointer: current };
+  }
+
+  /**
+   * Code frame around a position
+   * @param {number} line - 1-based line
+   * @param {number} column - 1-based column
+   * @param {number} contextLines - Lines shown before and after
+   * @returns {string} Code frame (colored)
+   */
+  codeFrame(line, column, contextLines = 2) {
+    const lines = this.text.split('\n');
+    const first = Math.max(1, line - contextLines);
+    const last = Math.min(lines.length, line + contextLines);
+    const width = String(last).length;
+    const frame = [];
+
+    for (let number = first; number <= last; number++) {
+      const gutter = String(number).padStart(width);
+      const content = lines[number - 1].replace(/\r$/, '').replace(/\t/g, ' ');
+      if (number === line) {
+        frame.push(chalk.red('> ') + chalk.gray(`${gutter} | `) + content);
+        frame.push(`  ${' '.repeat(width)}${chalk.gray(' | ')}${' '.repeat(Math.max(0, column - 1))}${chalk.red('^')}`);
+      } else {
+        frame.push(chalk.gray(`  ${gutter} | ${content}`));
+      }
+    }
+    return frame.join('\n');
+  }
+}
+
+module.exports = JsonSource;
@@ -0,0 +1,195 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const builtInRules = require('./lint-rules');
+
+/**
+ * Lint rule engine configured by the `lint` section of vnext.config.json.
+ *
+ * Example:
+ * {
+ *   "lint": {
+ *     "plugins": ["./lint/acme-rules.js", "@acme/vnext-lint-rules"],
+ *     "rules": {
+ *       "tags-required": "error",
+ *       "key-prefix": ["warning", { "task": "task-", "workflow": "wf-" }],
+ *       "acme/no-plain-http": "error"
+ *     }
+ *   }
+ * }
+ *
+ * Plugins are local JS modules (paths relative to the project root) or npm packages installed in
+ * the project. They export `{ name, rules }` in the format of lint-rules.js. Their rules are
+ * registered as `<name>/<rule>`. Built-in rules keep their default severity unless configured;
+ * plugin rules are off until enabled.
+ */
+class LintEngine {
+  constructor(options = {}) {
+    this.options = {
+      projectRoot: process.cwd(),
+      config: {},
+      ...options
+    };
+
+    this.rules = new Map();
+    this.plugins = [];
+    this.registerRules(builtInRules.rules);
+  }
+
+  /**
+   * Valid severities
+   * @returns {Array<string>} Severities
+   */
+  static get severities() {
+    return ['off', 'warning', 'error'];
+  }
+
+  /**
+   * Load plugins and validate the rule configuration
+   * @returns {Promise<LintEngine>} This engine
+   * @throws {Error} If a plugin cannot be loaded or the configuration is invalid
+   */
+  async load() {
+    const config = this.options.config || {};
+
+    for (const spec of config.plugins || []) {
+      await this.loadPlugin(spec);
+    }
+
+    for (const ruleId of Object.keys(config.rules || {})) {
+      if (!this.rules.has(ruleId)) {
+        throw new Error(`Unknown lint rule '${ruleId}' in vnext.config.json`);
+      }
+      this.getRuleSettings(ruleId);
+    }
+
+    return this;
+  }
+
+  /**
+   * Load a plugin module
+   * @param {string} spec - Local path (starting with . or /) or npm package name
+   * @returns {Promise<void>}
+   */
+  async loadPlugin(spec) {
+    const isLocal = spec.startsWith('.') || path.isAbsolute(spec);
+    let modulePath;
+    try {
+      modulePath = isLocal
+        ? require.resolve(path.resolve(this.options.projectRoot, spec))
+        : require.resolve(spec, { paths: [this.options.projectRoot] });
+    } catch (error) {
+      throw new Error(`Cannot find lint plugin '${spec}'${isLocal ? '' : ' (install it in the project with npm install)'}`);
+    }
+
+    const plugin = require(modulePath);
+    if (!plugin || typeof plugin.rules !== 'object') {
+      throw new Error(`Lint plugin '${spec}' must export a "rules" object`);
+    }
+
+    const name = plugin.name || (isLocal ? path.basename(spec, path.extname(spec)) : spec);
+    this.registerRules(plugin.rules, name);
+    this.plugins.push({ spec, name, modulePath });
+  }
+
+  /**
+   * Register rule definitions
+   * @param {Object} rules - Rule id to rule definition
+   * @param {string|null} namespace - Plugin name (null for built-in rules)
+   */
+  registerRules(rules, namespace = null) {
+    for (const [id, rule] of Object.entries(rules)) {
+      const ruleId = namespace ? `${namespace}/${id}` : id;
+      if (typeof rule.check !== 'function') {
+        throw new Error(`Lint rule '${ruleId}' must define a check(component, context) function`);
+      }
+      this.rules.set(ruleId, {
+        ...rule,
+        id: ruleId,
+        defaultSeverity: namespace ? 'off' : (rule.defaultSeverity || 'warning')
+      });
+    }
+  }
+
+  /**
+   * Effective severity and options of a rule
+   * @param {string} ruleId - Rule id
+   * @returns {Object} Settings ({ severity, options })
+   * @throws {Error} If the configured severity is invalid
+   */
+  getRuleSettings(ruleId) {
+    const rule = this.rules.get(ruleId);
+    const configured = (this.options.config?.rules || {})[ruleId];
+    const [severity, options] = Array.isArray(configured) ? configured : [configured, undefined];
+
+    const effective = severity === undefined ? rule.defaultSeverity : (severity === 'warn' ? 'warning' : severity);
+    if (!LintEngine.severities.includes(effective)) {
+      throw new Error(`Invalid severity '${severity}' for lint rule '${ruleId}'. Use one of: ${LintEngine.severities.join(', ')}`);
+    }
+
+    return { severity: effective, options: { ...(rule.defaultOptions || {}), ...(options || {}) } };
+  }
+
+  /**
+   * Lint a component
+   * @param {Object} component - Component JSON
+   * @param {string} filePath - Project-relative component file path
+   * @param {Object} context - Extra context ({ componentType, domain })
+   * @returns {Array<Object>} Findings ({ rule, severity, file, path, message })
+   */
+  lint(component, filePath, context = {}) {
+    const findings = [];
+
+    for (const [ruleId, rule] of this.rules) {
+      const { severity, options } = this.getRuleSettings(ruleId);
+      if (severity === 'off') {
+        continue;
+      }
+
+      const report = ({ path: pointer = '', message }) => {
+        findings.push({ rule: ruleId, severity, file: filePath, path: pointer, message });
+      };
+
+      try {
+        rule.check(component, { ...context, file: filePath, options, report });
+      } catch (error) {
+        report({ message: `Rule failed: ${error.message}` });
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Print findings below a component line
+   * @param {Array<Object>} findings - Lint findings
+   */
+  printFindings(findings) {
+    if (findings.length === 0) {
+      return;
+    }
+
+    console.log(chalk.yellow('    Lint:'));
+    findings.forEach(finding => {
+      const color = finding.severity === 'error' ? chalk.red : chalk.yellow;
+      const location = finding.path ? `${finding.path}: ` : '';
+      console.log(color(`      ${finding.severity === 'error' ? '✗' : '⚠'} ${location}${finding.message} (${finding.rule})`));
+    });
+  }
+
+  /**
+   * Fingerprint of the lint setup for the validation cache (configuration and plugin sources)
+   * @returns {Promise<string>} Fingerprint
+   */
+  async getFingerprint() {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(this.options.config || {}));
+    for (const plugin of this.plugins) {
+      hash.update(plugin.modulePath);
+      hash.update(await fs.readFile(plugin.modulePath));
+    }
+    return hash.digest('hex');
+  }
+}
+
+module.exports = LintEngine;
@@ -0,0 +1,106 @@
+/**
+ * Built-in lint rules.
+ *
+ * This file uses the same format as lint plugins:
+ * - `rules` maps a rule id to a rule definition.
+ * - A rule definition has `description`, `defaultSeverity`, optional `defaultOptions`
+ *   and `check(component, context)`.
+ *
+ * `check` reports findings with `context.report({ path, message })`. `path` is a JSON Pointer into the component.
+ */
+
+/**
+ * Read a value by JSON Pointer
+ * @param {Object} value - Component
+ * @param {string} pointer - JSON Pointer (e.g. '/attributes/description')
+ * @returns {*} Value or undefined
+ */
+function getByPointer(value, pointer) {
+  return pointer.split('/').slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), value);
+}
+
+module.exports = {
+  rules: {
+    'key-required': {
+      description: 'Components must have a key',
+      defaultSeverity: 'warning',
+      check(component, context) {
+        if (!component.key) {
+          context.report({ path: '', message: "Missing required 'key' field" });
+        }
+      }
+    },
+
+    'version-semver': {
+      description: 'Versions must follow semantic versioning (x.y.z)',
+      defaultSeverity: 'warning',
+      check(component, context) {
+        if (component.version && !/^\d+\.\d+\.\d+$/.test(component.version)) {
+          context.report({ path: '/version', message: 'Version should follow semantic versioning (x.y.z)' });
+        }
+      }
+    },
+
+    'key-format': {
+      description: 'Keys must match a pattern (lowercase letters, numbers and hyphens by default)',
+      defaultSeverity: 'warning',
+      defaultOptions: { pattern: '^[a-z0-9-]+$' },
+      check(component, context) {
+        if (component.key && !new RegExp(context.options.pattern).test(component.key)) {
+          context.report({
+            path: '/key',
+            message: context.options.pattern === '^[a-z0-9-]+$'
+              ? 'Key should contain only lowercase letters, numbers, and hyphens'
+              : `Key should match ${context.options.pattern}`
+          });
+        }
+      }
+    },
+
+    'key-prefix': {
+      description: 'Keys must start with the prefix configured for their component type',
+      defaultSeverity: 'off',
+      defaultOptions: {},
+      check(component, context) {
+        const prefix = context.options[context.componentType];
+        if (prefix && component.key && !component.key.startsWith(prefix)) {
+          context.report({ path: '/key', message: `Key of a ${context.componentType} should start with '${prefix}'` });
+        }
+      }
+    },
+
+    'tags-required': {
+      description: 'Components must have tags',
+      defaultSeverity: 'off',
+      defaultOptions: { min: 1 },
+      check(component, context) {
+        const tags = Array.isArray(component.tags) ? component.tags : [];
+        if (tags.length < context.options.min) {
+          context.report({
+            path: '/tags',
+            message: context.options.min === 1
+              ? 'Component should have at least one tag'
+              : `Component should have at least ${context.options.min} tags`
+          });
+        }
+      }
+    },
+
+    'description-length': {
+      description: 'Components must have a description of a minimum length',
+      defaultSeverity: 'off',
+      defaultOptions: { path: '/attributes/description', min: 20 },
+      check(component, context) {
+        const description = getByPointer(component, context.options.path);
+        if (typeof description !== 'string' || description.trim().length < context.options.min) {
+          context.report({
+            path: context.options.path,
+            message: `Description should have at least ${context.options.min} characters`
+          });
+        }
+      }
+    }
+  }
+};
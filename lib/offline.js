@@ -0,0 +1,31 @@
+const chalk = require('chalk');
+
+/**
+ * Offline mode: only cached schema packages, templates and ref packages are used, nothing is
+ * fetched from npm or git. Enabled by the global `--offline` flag or the VNEXT_OFFLINE
+ * environment variable (1, true, yes or on); the flag sets the variable so worker threads inherit it.
+ */
+
+/**
+ * Whether offline mode is enabled
+ * @returns {boolean} True in offline mode
+ */
+function isOffline() {
+  return ['1', 'true', 'yes', 'on'].includes(String(process.env.VNEXT_OFFLINE || '').toLowerCase());
+}
+
+/**
+ * Enable offline mode for this process and the worker threads it starts
+ */
+function enableOffline() {
+  process.env.VNEXT_OFFLINE = '1';
+}
+
+/**
+ * Print how to fill the cache after runtime schemas could not be loaded in offline mode
+ */
+function printOfflineHint() {
+  console.log(chalk.yellow('💡 Offline mode uses cached schema packages only. Run once without --offline (and without VNEXT_OFFLINE) to cache the runtime version.'));
+}
+
+module.exports = { isOffline, enableOffline, printOfflineHint };
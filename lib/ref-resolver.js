@@ -3,8 +3,16 @@ const path = require('path');
 const semver = require('semver');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
+const crypto = require('crypto');
 const Ajv = require('ajv');
+const Ajv2019 = require('ajv/dist/2019');
+const Ajv2020 = require('ajv/dist/2020');
+const draft07MetaSchema = require('ajv/dist/refs/json-schema-draft-07.json');
 const addFormats = require('ajv-formats');
+const Workspace = require('./workspace');
+const LintEngine = require('./lint-engine');
+const { isOffline } = require('./offline');
+const IgnoreRules = require('./ignore-rules');
 
 class RefResolver {
   constructor(options = {}) {
@@ -15,6 +23,9 @@ class RefResolver {
       validateReferenceConsistency: true,
       allowedHosts: ['registry.npmjs.org', 'npm.vnext.com'],
       schemaPath: path.join(__dirname, '..', 'template', '.vscode', 'schemas'),
+      projectRoot: process.cwd(),
+      workspace: undefined, // undefined: detect from projectRoot, null: disabled
+      offline: isOffline(),
       ...options
     };
     
@@ -32,7 +43,11 @@ class RefResolver {
     this.refCache = new Map();
     this.schemaCache = new Map();
     this.compiledValidators = new Map();
+    this.domainSchemas = null; // $id -> { schema, file } of the sys-schemas components in the project
+    this.componentsRoot = null;
+    this.ignoreRules = null;
     this.currentDomain = null;
+    this.lintEngine = new LintEngine({ projectRoot: this.options.projectRoot });
   }
 
   /**
@@ -71,9 +86,9 @@ class RefResolver {
         await this.validateReferenceConsistency(ref, resolvedContent, parsedRef);
       }
 
-      // Validate schema if enabled
+      // Validate schema if enabled (external components belong to their own domain)
       if (this.options.validateSchemas) {
-        await this.validateComponentSchema(resolvedContent, parsedRef.filePath);
+        await this.validateComponentSchema(resolvedContent, parsedRef.filePath, parsedRef.isLocal ? this.currentDomain : null);
       }
       
       // Cache the result
@@ -214,7 +229,7 @@ class RefResolver {
    * @returns {Promise<Object>} Resolved content
    */
   async resolveLocalRef(parsedRef, currentDomain) {
-    const filePath = path.join(process.cwd(), currentDomain || '', parsedRef.filePath);
+    const filePath = path.join(this.options.projectRoot, currentDomain || '', parsedRef.filePath);
     
     if (!(await fs.pathExists(filePath))) {
       throw new Error(`Local file not found: ${filePath}`);
@@ -235,6 +250,12 @@ class RefResolver {
    * @returns {Promise<Object>} Resolved content
    */
   async resolveExternalRef(parsedRef) {
+    // Packages published by workspace members resolve from their folders instead of NPM
+    const member = await this.getWorkspaceMember(parsedRef.packageName);
+    if (member) {
+      return this.resolveWorkspaceRef(parsedRef, member);
+    }
+    
     // Download and cache package if not exists
     const packagePath = await this.ensurePackage(parsedRef.packageName);
     
@@ -267,6 +288,115 @@ class RefResolver {
     };
   }
 
+  /**
+   * Get the workspace (if any) the project belongs to
+   * @returns {Promise<Workspace|null>} Workspace or null
+   */
+  async getWorkspace() {
+    if (this.options.workspace === undefined) {
+      this.options.workspace = await Workspace.find(this.options.projectRoot);
+    }
+    return this.options.workspace;
+  }
+
+  /**
+   * Get the workspace member publishing a package
+   * @param {string} packageName - NPM package name
+   * @returns {Promise<Object|null>} Workspace member or null
+   */
+  async getWorkspaceMember(packageName) {
+    const workspace = await this.getWorkspace();
+    return workspace ? workspace.getMemberByPackage(packageName) : null;
+  }
+
+  /**
+   * Resolves external reference from a workspace member folder
+   * @param {Object} parsedRef - Parsed reference object
+   * @param {Object} member - Workspace member
+   * @returns {Promise<Object>} Resolved content
+   */
+  async resolveWorkspaceRef(parsedRef, member) {
+    if (!this.isComponentExported(parsedRef.filePath, member.config)) {
+      throw new Error(`Component ${parsedRef.filePath} is not exported by ${parsedRef.packageName} (workspace member '${member.name}')`);
+    }
+
+    const componentPath = await this.findWorkspaceComponent(member, parsedRef.filePath);
+    if (!componentPath) {
+      throw new Error(`Component file not found in workspace member '${member.name}': ${parsedRef.filePath}`);
+    }
+
+    const content = await fs.readJSON(componentPath);
+
+    return {
+      ...content,
+      _resolvedFrom: `workspace:${member.name}/${path.relative(member.path, componentPath).split(path.sep).join('/')}`,
+      _resolvedAt: new Date().toISOString(),
+      _packageVersion: member.config.version
+    };
+  }
+
+  /**
+   * Find a component file in a workspace member folder
+   * @param {Object} member - Workspace member
+   * @param {string} filePath - File path from the ref (after the package name)
+   * @returns {Promise<string|null>} Absolute component path or null
+   */
+  async findWorkspaceComponent(member, filePath) {
+    // Refs point into the built package layout (<domain>/<Category>/file.json); the
+    // member folder uses componentsRoot instead of the domain folder
+    const componentsRoot = member.config.paths?.componentsRoot || member.config.domain;
+    const relativePath = filePath.startsWith(`${member.config.domain}/`)
+      ? filePath.slice(member.config.domain.length + 1)
+      : filePath;
+    const candidates = [
+      path.join(member.path, componentsRoot, relativePath),
+      path.join(member.path, filePath)
+    ];
+
+    for (const candidate of candidates) {
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Locate the file a ref points to without downloading anything
+   * @param {string} ref - Reference string
+   * @param {string} currentDomain - Current domain
+   * @returns {Promise<string|null>} Absolute file path, or null if it cannot be located locally
+   */
+  async locateRefFile(ref, currentDomain = this.currentDomain) {
+    let parsedRef;
+    try {
+      parsedRef = this.parseRef(ref);
+    } catch (error) {
+      return null;
+    }
+
+    if (parsedRef.isLocal) {
+      return path.join(this.options.projectRoot, currentDomain || '', parsedRef.filePath);
+    }
+
+    const member = await this.getWorkspaceMember(parsedRef.packageName);
+    if (member) {
+      return this.findWorkspaceComponent(member, parsedRef.filePath);
+    }
+
+    const packageCacheDir = this.getPackageCacheDir(parsedRef.packageName);
+    return (await fs.pathExists(packageCacheDir)) ? path.join(packageCacheDir, parsedRef.filePath) : null;
+  }
+
+  /**
+   * Get the cache directory of a downloaded package
+   * @param {string} packageName - NPM package name
+   * @returns {string} Package cache directory
+   */
+  getPackageCacheDir(packageName) {
+    return path.join(this.options.cacheDir, 'packages', packageName.replace(/[/@]/g, '_'));
+  }
+
   /**
    * Checks if a component is exported by a package
    * @param {string} filePath - Component file path
@@ -300,7 +430,7 @@ class RefResolver {
    * @returns {Promise<string>} Path to cached package
    */
   async ensurePackage(packageName) {
-    const packageCacheDir = path.join(this.options.cacheDir, 'packages', packageName.replace(/[/@]/g, '_'));
+    const packageCacheDir = this.getPackageCacheDir(packageName);
     
     // Check if package is already cached
     if (await fs.pathExists(packageCacheDir)) {
@@ -308,6 +438,10 @@ class RefResolver {
       return packageCacheDir;
     }
 
+    if (this.options.offline) {
+      throw new Error(`Package ${packageName} is not cached and offline mode is enabled`);
+    }
+
     // Create cache directory
     await fs.ensureDir(packageCacheDir);
     
@@ -344,9 +478,11 @@ class RefResolver {
    * Validates component against its schema (enhanced like validate-component.js)
    * @param {Object} component - Component JSON
    * @param {string} filePath - Component file path
-   * @returns {Promise<void>}
+   * @param {string|null} expectedDomain - Domain the component must belong to (null to skip the check)
+   * @returns {Promise<Object>} Result ({ componentType, findings }); findings are lint results
+   * @throws {Error} On validation failure; AJV errors are attached as `error.schemaErrors`, other errors may carry a JSON Pointer `error.path`
    */
-  async validateComponentSchema(component, filePath) {
+  async validateComponentSchema(component, filePath, expectedDomain = this.currentDomain) {
     const componentType = this.detectComponentType(filePath);
     
     try {
@@ -354,16 +490,17 @@ class RefResolver {
       const cleanComponent = this.cleanMetadataFields(component);
 
       // 2. Domain validation first (like validate-component.js)
-      if (cleanComponent.domain && this.currentDomain && cleanComponent.domain !== this.currentDomain) {
-        throw new Error(
-          `Domain mismatch: expected '${this.currentDomain}', found '${cleanComponent.domain}'`
+      if (cleanComponent.domain && expectedDomain && cleanComponent.domain !== expectedDomain) {
+        const domainError = new Error(
+          `Domain mismatch: expected '${expectedDomain}', found '${cleanComponent.domain}'`
         );
+        domainError.path = '/domain';
+        throw domainError;
       }
 
       // 3. Special handling for sys-schemas components
       if (cleanComponent.flow === 'sys-schemas') {
-        await this.validateSysSchemaComponent(cleanComponent, filePath);
-        return;
+        return await this.validateSysSchemaComponent(cleanComponent, filePath);
       }
 
       // 4. Standard component validation
@@ -375,7 +512,7 @@ class RefResolver {
         const schema = await this.loadSchemaForValidation(schemaName);
         if (!schema) {
           console.log(chalk.yellow(`⚠️  Schema not found: ${schemaName}, skipping validation`));
-          return;
+          return { componentType, findings: [] };
         }
         
         // Modify schema to make version optional for ref objects
@@ -390,15 +527,24 @@ class RefResolver {
       
       if (!valid) {
         const errorDetails = this.formatSchemaErrors(validate.errors);
-        throw new Error(
+        const schemaError = new Error(
           `Schema validation failed for ${componentType} component:\n${errorDetails}`
         );
+        schemaError.schemaErrors = validate.errors.map(error => ({
+          instancePath: error.instancePath,
+          message: error.message,
+          keyword: error.keyword,
+          schemaPath: error.schemaPath,
+          params: error.params
+        }));
+        throw schemaError;
       }
 
       // 6. Perform business validations (like validate-component.js)
-      this.performBusinessValidations(cleanComponent, filePath);
+      const findings = this.performBusinessValidations(cleanComponent, filePath);
 
       console.log(chalk.gray(`  ✅ Schema validation passed for ${componentType} component`));
+      return { componentType, findings };
       
     } catch (error) {
       throw error;
@@ -409,7 +555,7 @@ class RefResolver {
    * Validates sys-schemas components with special handling for attributes.schema
    * @param {Object} component - sys-schemas component JSON
    * @param {string} filePath - Component file path
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Result ({ componentType, findings })
    */
   async validateSysSchemaComponent(component, filePath) {
     try {
@@ -421,23 +567,27 @@ class RefResolver {
       if (component.attributes && component.attributes.type) {
         const validSchemaTypes = ['workflow', 'task', 'function', 'view', 'schema', 'extension'];
         if (!validSchemaTypes.includes(component.attributes.type)) {
-          throw new Error(
+          const typeError = new Error(
             `Invalid schema type: '${component.attributes.type}'. Must be one of: ${validSchemaTypes.join(', ')}`
           );
+          typeError.path = '/attributes/type';
+          throw typeError;
         }
       }
 
       // 3. Validate attributes.schema as a valid JSON Schema
+      let schemaFindings = [];
       if (component.attributes && component.attributes.schema) {
-        await this.validateJsonSchema(component.attributes.schema);
+        schemaFindings = await this.validateJsonSchema(component.attributes.schema);
       } else {
         console.log(chalk.yellow(`⚠️  sys-schemas component missing attributes.schema: ${filePath}`));
       }
 
       // 4. Perform business validations
-      this.performBusinessValidations(component, filePath);
+      const findings = [...schemaFindings, ...this.performBusinessValidations(component, filePath)];
 
       console.log(chalk.gray(`  ✅ sys-schemas validation passed for ${component.attributes?.type || 'unknown'} schema`));
+      return { componentType: 'schema', findings };
 
     } catch (error) {
       throw error;
@@ -487,55 +637,265 @@ class RefResolver {
   }
 
   /**
-   * Validates that a given object is a valid JSON Schema
-   * @param {Object} schema - JSON Schema object to validate
-   * @returns {Promise<void>}
+   * JSON Schema dialects supported for sys-schemas components, by `$schema` URI
+   * @returns {Object} Normalized `$schema` URI to dialect name
    */
-  async validateJsonSchema(schema) {
-    try {
-      // Basic JSON Schema structure validation
-      if (typeof schema !== 'object' || schema === null) {
-        throw new Error('Schema must be an object');
-      }
+  static get schemaDialects() {
+    return {
+      'json-schema.org/draft-07/schema': 'draft-07',
+      'json-schema.org/draft/2019-09/schema': '2019-09',
+      'json-schema.org/draft/2020-12/schema': '2020-12'
+    };
+  }
+
+  /**
+   * Dialect of a JSON Schema
+   * @param {string} schemaUri - `$schema` value
+   * @returns {string|null} 'draft-07', '2019-09', '2020-12' or null if unsupported
+   */
+  getSchemaDialect(schemaUri) {
+    if (typeof schemaUri !== 'string') {
+      return null;
+    }
+    const normalized = schemaUri.replace(/^https?:\/\//, '').replace(/#$/, '');
+    return RefResolver.schemaDialects[normalized] || null;
+  }
+
+  /**
+   * Create an AJV instance for a JSON Schema dialect
+   * @param {string} dialect - 'draft-07', '2019-09' or '2020-12'
+   * @param {Array<string>} warnings - Receives strict mode warnings (e.g. unknown keywords)
+   * @returns {Ajv} AJV instance
+   */
+  createSchemaAjv(dialect, warnings) {
+    const AjvClass = { 'draft-07': Ajv, '2019-09': Ajv2019, '2020-12': Ajv2020 }[dialect];
+    const ajv = new AjvClass({
+      allErrors: true,
+      strict: false,
+      strictSchema: 'log',
+      validateFormats: true,
+      logger: { log: () => {}, warn: (message) => warnings.push(String(message)), error: () => {} }
+    });
+    addFormats(ajv);
+    // Domain schemas may reference draft-07 schemas from newer dialects
+    if (dialect !== 'draft-07') {
+      ajv.addMetaSchema(draft07MetaSchema);
+    }
+    return ajv;
+  }
 
-      // Required JSON Schema fields
-      const requiredSchemaFields = ['$schema', '$id', 'title', 'description', 'type'];
-      for (const field of requiredSchemaFields) {
-        if (!schema[field]) {
-          throw new Error(`JSON Schema missing required field: ${field}`);
+  /**
+   * Load the JSON Schemas of all sys-schemas components in the project, by `$id`
+   * @returns {Promise<Map<string, Object>>} `$id` to { schema, file }
+   */
+  async loadDomainSchemas() {
+    if (this.domainSchemas) {
+      return this.domainSchemas;
+    }
+
+    this.domainSchemas = new Map();
+    const visit = async (dirPath) => {
+      for (const item of await fs.readdir(dirPath)) {
+        const itemPath = path.join(dirPath, item);
+        const isDirectory = (await fs.stat(itemPath)).isDirectory();
+        if (this.ignoreRules && this.ignoreRules.ignores(itemPath, isDirectory)) {
+          continue;
+        }
+        if (isDirectory) {
+          await visit(itemPath);
+          continue;
+        }
+        if (path.extname(item) !== '.json') {
+          continue;
+        }
+        try {
+          const component = await fs.readJSON(itemPath);
+          const schema = component?.attributes?.schema;
+          if (component.flow === 'sys-schemas' && schema && typeof schema.$id === 'string') {
+            this.domainSchemas.set(schema.$id.replace(/#$/, ''), { schema, file: itemPath });
+          }
+        } catch (error) {
+          // Invalid JSON is reported when the file itself is validated
         }
       }
+    };
+
+    if (this.componentsRoot && await fs.pathExists(this.componentsRoot)) {
+      await visit(this.componentsRoot);
+    }
+    return this.domainSchemas;
+  }
+
+  /**
+   * Fingerprint of the project's domain schemas (cross-schema `$ref`s depend on all of them)
+   * @returns {Promise<string>} Hash
+   */
+  async getDomainSchemasFingerprint() {
+    const schemas = [...(await this.loadDomainSchemas()).entries()].sort(([a], [b]) => a.localeCompare(b));
+    return crypto.createHash('sha256').update(JSON.stringify(schemas.map(([id, { schema }]) => [id, schema]))).digest('hex');
+  }
+
+  /**
+   * Validates that a given object is a valid JSON Schema and compiles it
+   *
+   * Besides the structure checks, the schema is compiled (see compileJsonSchema) and its `examples`
+   * are validated against it.
+   * @param {Object} schema - JSON Schema object to validate
+   * @returns {Promise<Array<Object>>} Lint findings (unknown keyword warnings, example errors)
+   * @throws {Error} On an invalid schema; meta-schema errors are attached as `error.schemaErrors`
+   */
+  async validateJsonSchema(schema) {
+    const basePath = '/attributes/schema';
+    const fail = (message, details = {}) => {
+      const error = new Error(`JSON Schema validation failed: ${message}`);
+      return Object.assign(error, details);
+    };
+
+    // Basic JSON Schema structure validation
+    if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+      throw fail('Schema must be an object', { path: basePath });
+    }
 
-      // Validate $schema format
-      if (typeof schema.$schema !== 'string' || !schema.$schema.startsWith('https://json-schema.org/')) {
-        throw new Error('Invalid $schema format. Must be a valid JSON Schema URI');
+    // Required JSON Schema fields
+    const requiredSchemaFields = ['$schema', '$id', 'title', 'description', 'type'];
+    for (const field of requiredSchemaFields) {
+      if (!schema[field]) {
+        throw fail(`JSON Schema missing required field: ${field}`, { path: basePath });
       }
+    }
+
+    // Validate $id format
+    if (typeof schema.$id !== 'string' || !schema.$id.startsWith('https://')) {
+      throw fail('Invalid $id format. Must be a valid HTTPS URI', { path: `${basePath}/$id` });
+    }
 
-      // Validate $id format
-      if (typeof schema.$id !== 'string' || !schema.$id.startsWith('https://')) {
-        throw new Error('Invalid $id format. Must be a valid HTTPS URI');
+    let compiled;
+    try {
+      compiled = await this.compileJsonSchema(schema, basePath);
+    } catch (error) {
+      throw fail(error.message, { path: error.path, schemaErrors: error.schemaErrors });
+    }
+
+    console.log(chalk.gray(`    ✅ JSON Schema (${compiled.dialect}) compiled`));
+    return [...compiled.findings, ...this.validateSchemaExamples(schema, compiled.validate, basePath)];
+  }
+
+  /**
+   * Compile a JSON Schema with the AJV instance of its dialect
+   *
+   * The schema is checked against the meta-schema of its dialect (from `$schema`) and compiled with
+   * the other domain schemas registered by `$id`, so unresolved `$ref`s are reported.
+   * @param {Object} schema - JSON Schema
+   * @param {string} basePath - JSON Pointer of the schema in its component (prefix of error paths)
+   * @returns {Promise<Object>} { validate, dialect, findings }; findings are strict mode warnings (unknown keywords)
+   * @throws {Error} On an invalid schema; meta-schema errors are attached as `error.schemaErrors`, others carry `error.path`
+   */
+  async compileJsonSchema(schema, basePath = '/attributes/schema') {
+    const dialect = this.getSchemaDialect(schema.$schema);
+    if (!dialect) {
+      throw Object.assign(new Error(`Unsupported $schema '${schema.$schema}'. Use draft-07, 2019-09 or 2020-12`), { path: `${basePath}/$schema` });
+    }
+
+    const warnings = [];
+    const ajv = this.createSchemaAjv(dialect, warnings);
+
+    // Keywords and their values must match the dialect's meta-schema
+    if (!ajv.validateSchema(schema)) {
+      const schemaErrors = ajv.errors.map(error => ({
+        instancePath: `${basePath}${error.instancePath}`,
+        message: error.message,
+        keyword: error.keyword,
+        schemaPath: error.schemaPath,
+        params: error.params
+      }));
+      throw Object.assign(new Error(`Invalid ${dialect} schema:\n${this.formatSchemaErrors(schemaErrors)}`), { schemaErrors });
+    }
+
+    // Cross-schema $refs resolve to other domain schemas by $id
+    const ownId = typeof schema.$id === 'string' ? schema.$id.replace(/#$/, '') : null;
+    for (const [id, { schema: other }] of await this.loadDomainSchemas()) {
+      if (id !== ownId) {
+        ajv.addSchema(other, id, undefined, false);
       }
+    }
 
-      // Try to compile the schema with AJV to check for validity
-      // Note: We skip AJV compilation for complex schemas that may use draft 2020-12 features
-      // Instead, we do basic structural validation
-      try {
-        // Basic validation of schema structure
-        if (schema.properties && typeof schema.properties !== 'object') {
-          throw new Error('properties must be an object');
-        }
-        if (schema.required && !Array.isArray(schema.required)) {
-          throw new Error('required must be an array');
-        }
-      } catch (structuralError) {
-        throw new Error(`Invalid JSON Schema structure: ${structuralError.message}`);
+    let validate;
+    try {
+      validate = ajv.compile(schema);
+    } catch (error) {
+      if (error.missingRef !== undefined) {
+        throw Object.assign(new Error(`Unresolved $ref '${error.missingRef}' (no domain schema has this $id)`), {
+          path: `${basePath}${this.findSchemaRefPointer(schema, error.missingRef)}`
+        });
       }
+      throw Object.assign(new Error(error.message), { path: basePath });
+    }
 
-      console.log(chalk.gray(`    ✅ JSON Schema validation passed`));
+    const findings = [...new Set(warnings)].map(message => ({
+      rule: 'schema/strict',
+      severity: 'warning',
+      path: basePath,
+      message: message.replace(/^strict mode: /, '')
+    }));
+    return { validate, dialect, findings };
+  }
 
-    } catch (error) {
-      throw new Error(`JSON Schema validation failed: ${error.message}`);
+  /**
+   * Validate the `examples` of a JSON Schema against the schema itself
+   * @param {Object} schema - JSON Schema
+   * @param {Function} validate - Compiled schema
+   * @param {string} basePath - JSON Pointer of the schema in its component
+   * @returns {Array<Object>} Error findings (rule schema/example), one per AJV error
+   */
+  validateSchemaExamples(schema, validate, basePath) {
+    if (!Array.isArray(schema.examples)) {
+      return [];
     }
+
+    const findings = [];
+    schema.examples.forEach((example, index) => {
+      if (!validate(example)) {
+        validate.errors.forEach(error => findings.push({
+          rule: 'schema/example',
+          severity: 'error',
+          path: `${basePath}/examples/${index}${error.instancePath}`,
+          message: `Example ${index + 1}${error.instancePath ? ` at ${error.instancePath}` : ''} ${error.message}`
+        }));
+      }
+    });
+
+    if (findings.length > 0) {
+      console.log(chalk.red(`    ❌ ${findings.length} example error${findings.length === 1 ? '' : 's'}`));
+    } else if (schema.examples.length > 0) {
+      console.log(chalk.gray(`    ✅ ${schema.examples.length} example${schema.examples.length === 1 ? '' : 's'} valid`));
+    }
+    return findings;
+  }
+
+  /**
+   * JSON Pointer of the `$ref` a resolved URI came from
+   * @param {Object} schema - JSON Schema
+   * @param {string} resolvedRef - Resolved `$ref` URI reported by AJV
+   * @returns {string} Pointer relative to the schema ('' if not found)
+   */
+  findSchemaRefPointer(schema, resolvedRef) {
+    const target = resolvedRef.replace(/#$/, '');
+    const visit = (value, pointer) => {
+      if (typeof value !== 'object' || value === null) {
+        return null;
+      }
+      if (typeof value.$ref === 'string' && value.$ref !== '' && target.endsWith(value.$ref.replace(/#$/, ''))) {
+        return `${pointer}/$ref`;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const found = visit(child, `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+        if (found !== null) {
+          return found;
+        }
+      }
+      return null;
+    };
+    return visit(schema, '') || '';
   }
 
   /**
@@ -645,38 +1005,23 @@ class RefResolver {
   }
 
   /**
-   * Performs business validations (like validate-component.js)
+   * Performs business validations with the configured lint rules
    * @param {Object} component - Component data
    * @param {string} filePath - File path
+   * @returns {Array<Object>} Lint findings ({ rule, severity, file, path, message })
    */
   performBusinessValidations(component, filePath) {
-    const warnings = [];
-
-    // Key consistency check
-    if (!component.key) {
-      warnings.push("Missing required 'key' field");
-    }
-
-    // Note: Filename consistency check removed to support new format
-    // New format allows files like "task.json" without version in filename
-    // Filename validation is now handled by validateReferenceConsistency method
-
-    // Version format check
-    if (component.version && !/^\d+\.\d+\.\d+$/.test(component.version)) {
-      warnings.push("Version should follow semantic versioning (x.y.z)");
-    }
-
-    // Key format check  
-    if (component.key && !/^[a-z0-9-]+$/.test(component.key)) {
-      warnings.push("Key should contain only lowercase letters, numbers, and hyphens");
+    // Components of other domains (external refs) follow their own lint configuration
+    if (component.domain && this.currentDomain && component.domain !== this.currentDomain) {
+      return [];
     }
 
-    if (warnings.length > 0) {
-      console.log(chalk.yellow('    Warnings:'));
-      warnings.forEach((warning) => {
-        console.log(chalk.yellow(`      ⚠ ${warning}`));
-      });
-    }
+    const findings = this.lintEngine.lint(component, filePath, {
+      componentType: this.detectComponentType(filePath),
+      domain: this.currentDomain
+    });
+    this.lintEngine.printFindings(findings);
+    return findings;
   }
 
   /**
@@ -830,16 +1175,18 @@ class RefResolver {
    * @param {*} obj - Current object
    * @param {string} currentDomain - Current domain
    * @param {Object} results - Results accumulator
-   * @param {Object} context - Context information for validation
+   * @param {Object} context - Context information for validation (pointer: JSON Pointer of obj)
    */
   async _validateReferencesRecursive(obj, currentDomain, results, context = {}) {
     if (typeof obj !== 'object' || obj === null) {
       return;
     }
 
+    const pointer = context.pointer || '';
+
     if (Array.isArray(obj)) {
-      for (const item of obj) {
-        await this._validateReferencesRecursive(item, currentDomain, results, context);
+      for (let index = 0; index < obj.length; index++) {
+        await this._validateReferencesRecursive(obj[index], currentDomain, results, { ...context, pointer: `${pointer}/${index}` });
       }
       return;
     }
@@ -887,7 +1234,8 @@ class RefResolver {
         results.valid = false;
         results.errors.push({
           ref: refInfo.identifier,
-          error: error.message
+          error: error.message,
+          path: refInfo.format === 'plain' ? pointer : `${pointer}/ref`
         });
         results.resolvedRefs.push({
           ref: refInfo.identifier,
@@ -905,7 +1253,7 @@ class RefResolver {
     for (const [key, value] of Object.entries(obj)) {
       if (key !== 'ref') {
         // Set context for schema definition content
-        const newContext = { ...context };
+        const newContext = { ...context, pointer: `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}` };
         if (key === 'schema' && context.isInAttributes) {
           newContext.isInSchemaDefinition = true;
         }
@@ -922,15 +1270,20 @@ class RefResolver {
    * Loads validation configuration from vnext.config.json
    * @param {string} configPath - Path to vnext.config.json
    * @returns {Promise<Object>} Validation configuration
+   * @throws {Error} If the lint configuration is invalid
    */
   async loadValidationConfig(configPath) {
+    let config;
     try {
-      const config = await fs.readJSON(configPath);
+      config = await fs.readJSON(configPath);
       
       // Set current domain for validation
       if (config.domain) {
         this.currentDomain = config.domain;
       }
+      if (config.paths?.componentsRoot || config.domain) {
+        this.componentsRoot = path.join(path.dirname(path.resolve(configPath)), config.paths?.componentsRoot || config.domain);
+      }
       
       // Update options based on config
       if (config.referenceResolution) {
@@ -941,12 +1294,21 @@ class RefResolver {
         this.options.strictMode = 
           config.referenceResolution.strictMode !== false;
       }
-      
-      return config;
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not load config: ${error.message}`));
       return {};
     }
+    
+    // Files excluded by .vnextignore and config.ignore are not domain components
+    this.ignoreRules = await IgnoreRules.load(path.dirname(path.resolve(configPath)), config);
+    
+    // Lint rules and plugins (configuration errors are fatal)
+    this.lintEngine = await new LintEngine({
+      projectRoot: path.dirname(path.resolve(configPath)),
+      config: config.lint || {}
+    }).load();
+    
+    return config;
   }
 
   /**
@@ -956,6 +1318,7 @@ class RefResolver {
     this.refCache.clear();
     this.packageCache.clear();
     this.schemaCache.clear();
+    this.domainSchemas = null;
   }
 
   /**
@@ -2,7 +2,10 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const os = require('os');
+const semver = require('semver');
 const { execSync } = require('child_process');
+const tar = require('tar');
+const { isOffline } = require('./offline');
 
 class SchemaManager {
   constructor(options = {}) {
@@ -19,6 +22,7 @@ class SchemaManager {
       schemaPackageName: process.env.AMORPHIE_SCHEMA_PACKAGE || configDefaults.schemaPackageName || '@burgan-tech/vnext-schema',
       npmRegistry: process.env.AMORPHIE_NPM_REGISTRY || configDefaults.npmRegistry || 'https://registry.npmjs.org',
       cacheDir: process.env.AMORPHIE_CACHE_DIR || this.getSystemCacheDir(),
+      offline: isOffline(),
       ...options
     };
     
@@ -93,6 +97,9 @@ class SchemaManager {
         this.currentVersion = actualVersion;
         return schemaPath;
       } else {
+        if (this.options.offline) {
+          throw new Error(`Schema package ${actualVersion} is not cached and offline mode is enabled. Cached versions: ${(await this.getCachedVersions()).join(', ') || 'none'}`);
+        }
         console.log(chalk.blue(`⬇️  Downloading schema package version ${actualVersion}...`));
         await this.downloadSchemaPackage(actualVersion);
         this.currentVersion = actualVersion;
@@ -175,18 +182,7 @@ class SchemaManager {
       // Clean up tar file and temp directory
       await fs.remove(tarPath);
       
-      // Verify schema directory exists in the package
-      const schemaPath = path.join(versionCacheDir, 'schemas');
-      if (!(await fs.pathExists(schemaPath))) {
-        throw new Error(`Downloaded package '${this.options.schemaPackageName}@${version}' does not contain 'schemas' directory. Package structure is invalid.`);
-      }
-      
-      // Verify schema files exist
-      const schemaFiles = await fs.readdir(schemaPath);
-      const jsonSchemas = schemaFiles.filter(file => file.endsWith('.json'));
-      if (jsonSchemas.length === 0) {
-        throw new Error(`No schema files found in '${this.options.schemaPackageName}@${version}'. Package may be empty or invalid.`);
-      }
+      const jsonSchemas = await this.verifySchemaPackage(versionCacheDir, `Downloaded package '${this.options.schemaPackageName}@${version}'`);
       
       console.log(chalk.green(`✅ Schema package ${version} downloaded successfully (${jsonSchemas.length} schema files)`));
       
@@ -206,12 +202,98 @@ class SchemaManager {
     }
   }
 
+  /**
+   * Verify the structure of an extracted schema package
+   * @param {string} packageDir - Extracted package directory
+   * @param {string} label - Package description for error messages
+   * @returns {Promise<Array<string>>} Schema file names
+   * @throws {Error} If there is no schemas/ directory or it contains no JSON files
+   */
+  async verifySchemaPackage(packageDir, label) {
+    const schemaPath = path.join(packageDir, 'schemas');
+    if (!(await fs.pathExists(schemaPath))) {
+      throw new Error(`${label} does not contain 'schemas' directory. Package structure is invalid.`);
+    }
+    
+    const jsonSchemas = (await fs.readdir(schemaPath)).filter(file => file.endsWith('.json'));
+    if (jsonSchemas.length === 0) {
+      throw new Error(`No schema files found in ${label}. Package may be empty or invalid.`);
+    }
+    return jsonSchemas;
+  }
+
+  /**
+   * Import a schema package tarball (e.g. from npm pack) into the cache without registry access
+   * @param {string} tarPath - Path to the .tgz file
+   * @param {Object} options - { force: replace an already cached version }
+   * @returns {Promise<Object>} Imported package ({ packageName, version, path, schemaFiles })
+   */
+  async importSchemaPackage(tarPath, options = {}) {
+    const sourcePath = path.resolve(tarPath);
+    if (!(await fs.pathExists(sourcePath))) {
+      throw new Error(`File not found: ${tarPath}`);
+    }
+    
+    const tempDir = path.join(this.schemaCacheDir, 'temp-import');
+    await fs.remove(tempDir);
+    await fs.ensureDir(tempDir);
+    
+    try {
+      // npm pack tarballs wrap files in a single top-level folder (package/)
+      try {
+        await tar.x({ file: sourcePath, cwd: tempDir, strip: 1 });
+      } catch (error) {
+        throw new Error(`Failed to extract schema package: ${error.message}. File may be corrupted.`);
+      }
+      
+      const packageJsonPath = path.join(tempDir, 'package.json');
+      if (!(await fs.pathExists(packageJsonPath))) {
+        throw new Error(`${tarPath} does not contain a package.json`);
+      }
+      const packageJson = await fs.readJSON(packageJsonPath);
+      if (!semver.valid(packageJson.version)) {
+        throw new Error(`Invalid version '${packageJson.version}' in package.json of ${tarPath}`);
+      }
+      if (packageJson.name !== this.options.schemaPackageName) {
+        console.log(chalk.yellow(`⚠️  Package name '${packageJson.name}' differs from the configured schema package '${this.options.schemaPackageName}'`));
+      }
+      
+      const schemaFiles = await this.verifySchemaPackage(tempDir, `Package '${packageJson.name}@${packageJson.version}'`);
+      
+      const versionCacheDir = path.join(this.schemaCacheDir, packageJson.version);
+      if (await fs.pathExists(versionCacheDir)) {
+        if (!options.force) {
+          throw new Error(`Schema package ${packageJson.version} is already cached. Use --force to replace it`);
+        }
+        await fs.remove(versionCacheDir);
+      }
+      await fs.move(tempDir, versionCacheDir);
+      
+      return {
+        packageName: packageJson.name,
+        version: packageJson.version,
+        path: path.join(versionCacheDir, 'schemas'),
+        schemaFiles
+      };
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
   /**
    * Resolve version string to actual npm version
    * @param {string} version - Version string ('latest', 'v1.0.0', etc.)
    * @returns {Promise<string>} Actual npm version
    */
   async resolveVersion(version) {
+    if (version === 'latest' && this.options.offline) {
+      const [newest] = await this.getCachedVersions();
+      if (!newest) {
+        throw new Error('No schema package is cached and offline mode is enabled');
+      }
+      console.log(chalk.gray(`Latest schema version resolved to: ${newest} (newest cached, offline)`));
+      return newest;
+    }
     if (version === 'latest') {
       try {
         const latestVersion = await this.getLatestVersion();
@@ -225,6 +307,24 @@ class SchemaManager {
     return version;
   }
 
+  /**
+   * List the schema package versions in the cache
+   * @returns {Promise<Array<string>>} Versions, newest first
+   */
+  async getCachedVersions() {
+    if (!(await fs.pathExists(this.schemaCacheDir))) {
+      return [];
+    }
+
+    const versions = [];
+    for (const entry of await fs.readdir(this.schemaCacheDir)) {
+      if (semver.valid(entry) && await fs.pathExists(path.join(this.schemaCacheDir, entry, 'schemas'))) {
+        versions.push(entry);
+      }
+    }
+    return versions.sort(semver.rcompare);
+  }
+
   /**
    * Get latest version from NPM registry
    * @returns {Promise<string>} Latest version tag
@@ -249,6 +349,9 @@ class SchemaManager {
    * @returns {Promise<Array<string>>} Array of version tags
    */
   async listAvailableVersions() {
+    if (this.options.offline) {
+      return this.getCachedVersions();
+    }
     try {
       const npmViewCmd = `npm view ${this.options.schemaPackageName} versions --json --registry ${this.options.npmRegistry}`;
       
@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { execSync, execFileSync } = require('child_process');
+
+/**
+ * Runs post-create steps declared by a template manifest.
+ * Every step is shown before it runs and needs confirmation unless `yes` is set.
+ */
+class TemplateHooks {
+  constructor(options = {}) {
+    this.options = {
+      projectPath: process.cwd(),
+      placeholders: {},
+      domainName: null,
+      schemaPackageName: '@burgan-tech/vnext-schema',
+      yes: false,
+      interactive: Boolean(process.stdin.isTTY),
+      ...options
+    };
+  }
+
+  /**
+   * Run post-create steps
+   * @param {Array<Object>} steps - Steps from TemplateManifest.getPostCreateSteps
+   * @returns {Promise<Object>} Summary ({ ran, skipped, failed })
+   */
+  async run(steps) {
+    const summary = { ran: 0, skipped: 0, failed: 0 };
+
+    for (const [index, step] of steps.entries()) {
+      const description = this.describe(step);
+
+      // Messages only print text, so they never need confirmation
+      if (step.type === 'message') {
+        console.log(chalk.cyan(`\n💬 ${this.substitute(step.text)}`));
+        continue;
+      }
+
+      console.log(chalk.blue(`\n🪝 Post-create step ${index + 1}/${steps.length}: ${description}`));
+
+      if (!(await this.confirm(step, description))) {
+        console.log(chalk.gray('  Skipped'));
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        await this.runStep(step);
+        console.log(chalk.green(`  ✅ ${description}`));
+        summary.ran++;
+      } catch (error) {
+        console.log(chalk.red(`  ❌ ${description} failed: ${error.message}`));
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Ask for confirmation of a step
+   * @param {Object} step - Step
+   * @param {string} description - Step description
+   * @returns {Promise<boolean>} True if the step should run
+   */
+  async confirm(step, description) {
+    if (this.options.yes) {
+      return true;
+    }
+
+    if (!this.options.interactive) {
+      console.log(chalk.yellow('  ⚠️  Not confirmed (no TTY). Re-run with --yes to accept template steps.'));
+      return false;
+    }
+
+    const { proceed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'proceed',
+        message: `Run "${description}"?`,
+        default: step.default !== false
+      }
+    ]);
+    return proceed;
+  }
+
+  /**
+   * Describe a step, including the exact command for command steps
+   * @param {Object} step - Step
+   * @returns {string} Description
+   */
+  describe(step) {
+    const commands = this.getCommands(step);
+    const command = commands ? commands.map(entry => this.formatCommand(entry)).join(' && ') : null;
+    const label = step.description ? this.substitute(step.description) : null;
+
+    switch (step.type) {
+      case 'vscode-schemas':
+        return label || 'Generate .vscode/settings.json schema associations';
+      case 'message':
+        return label || 'Show template instructions';
+      default:
+        return label ? `${label} (${command})` : command;
+    }
+  }
+
+  /**
+   * Get the commands a step runs. git and npm run without a shell; `command` steps are shell
+   * commands whose placeholder values are inserted as single-quoted words.
+   * @param {Object} step - Step
+   * @returns {Array<Object>|null} Commands ({ file, args } or { shell }) in order
+   */
+  getCommands(step) {
+    switch (step.type) {
+      case 'command':
+        return [{ shell: this.substitute(step.run, value => this.quote(value)) }];
+      case 'npm-install':
+        return [{ file: 'npm', args: ['install'] }];
+      case 'git-init': {
+        const commands = [{ file: 'git', args: ['init'] }];
+        if (step.commit !== false) {
+          commands.push(
+            { file: 'git', args: ['add', '-A'] },
+            { file: 'git', args: ['commit', '-m', this.substitute(step.message || 'Initial commit')] }
+          );
+        }
+        return commands;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Format a command for display
+   * @param {Object} entry - Command from getCommands
+   * @returns {string} Command line
+   */
+  formatCommand(entry) {
+    if (entry.shell !== undefined) {
+      return entry.shell;
+    }
+    return [entry.file, ...entry.args]
+      .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : this.quote(arg)))
+      .join(' ');
+  }
+
+  /**
+   * Quote a value as a single POSIX shell word
+   * @param {string} value - Value
+   * @returns {string} Quoted value
+   */
+  quote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * Execute a step (stops at the first failing command)
+   * @param {Object} step - Step
+   * @returns {Promise<void>}
+   */
+  async runStep(step) {
+    if (step.type === 'vscode-schemas') {
+      await this.writeVscodeSchemas();
+      return;
+    }
+
+    const execOptions = { cwd: this.options.projectPath, stdio: 'inherit' };
+    for (const entry of this.getCommands(step) || []) {
+      if (entry.shell !== undefined) {
+        execSync(entry.shell, execOptions);
+      } else {
+        execFileSync(entry.file, entry.args, execOptions);
+      }
+    }
+  }
+
+  /**
+   * Add json.schemas associations for component folders to .vscode/settings.json
+   * @returns {Promise<void>}
+   */
+  async writeVscodeSchemas() {
+    const configPath = path.join(this.options.projectPath, 'vnext.config.json');
+    const config = (await fs.pathExists(configPath)) ? await fs.readJSON(configPath) : {};
+    const componentsRoot = config.paths?.componentsRoot || config.domain || this.options.domainName;
+
+    const folders = {
+      task: config.paths?.tasks || 'Tasks',
+      workflow: config.paths?.workflows || 'Workflows',
+      function: config.paths?.functions || 'Functions',
+      view: config.paths?.views || 'Views',
+      schema: config.paths?.schemas || 'Schemas',
+      extension: config.paths?.extensions || 'Extensions'
+    };
+
+    const settingsPath = path.join(this.options.projectPath, '.vscode', 'settings.json');
+    let settings = {};
+    if (await fs.pathExists(settingsPath)) {
+      try {
+        settings = await fs.readJSON(settingsPath);
+      } catch (error) {
+        throw new Error(`Cannot update ${path.relative(this.options.projectPath, settingsPath)}: ${error.message}`);
+      }
+    }
+
+    const schemaRoot = `./node_modules/${this.options.schemaPackageName}/schemas`;
+    const associations = Object.entries(folders).map(([type, folder]) => ({
+      fileMatch: [`${componentsRoot}/${folder}/**/*.json`],
+      url: `${schemaRoot}/${type}-definition.schema.json`
+    }));
+
+    // Replace earlier associations for the same folders, keep everything else
+    const generatedMatches = new Set(associations.map(entry => entry.fileMatch[0]));
+    const existing = Array.isArray(settings['json.schemas']) ? settings['json.schemas'] : [];
+    settings['json.schemas'] = [
+      ...existing.filter(entry => !(entry.fileMatch || []).some(match => generatedMatches.has(match))),
+      ...associations
+    ];
+
+    await fs.ensureDir(path.dirname(settingsPath));
+    await fs.writeJSON(settingsPath, settings, { spaces: 2 });
+  }
+
+  /**
+   * Replace placeholders in step text
+   * @param {string} text - Text
+   * @param {Function} format - Applied to each inserted value (e.g. shell quoting)
+   * @returns {string} Text with placeholders replaced
+   */
+  substitute(text, format = value => value) {
+    let result = String(text);
+    for (const [token, value] of Object.entries(this.options.placeholders)) {
+      result = result.split(token).join(format(String(value)));
+    }
+    return result;
+  }
+}
+
+module.exports = TemplateHooks;
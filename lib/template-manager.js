@@ -2,7 +2,13 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const os = require('os');
+const crypto = require('crypto');
+const semver = require('semver');
 const { execSync } = require('child_process');
+const tar = require('tar');
+const simpleGit = require('simple-git');
+const TemplateManifest = require('./template-manifest');
+const { isOffline } = require('./offline');
 
 class TemplateManager {
   constructor(options = {}) {
@@ -19,12 +25,14 @@ class TemplateManager {
       packageName: process.env.AMORPHIE_TEMPLATE_PACKAGE || (configDefaults.template && configDefaults.template.packageName) || '@burgan-tech/vnext-template',
       npmRegistry: process.env.AMORPHIE_TEMPLATE_REGISTRY || (configDefaults.template && configDefaults.template.npmRegistry) || 'https://registry.npmjs.org',
       cacheDir: process.env.AMORPHIE_CACHE_DIR || this.getSystemCacheDir(),
+      offline: isOffline(),
       ...options
     };
     
     this.cacheDir = this.options.cacheDir;
     this.templateCacheDir = path.join(this.cacheDir, 'template');
     this.currentVersion = null;
+    this.currentSource = null;
     
     // Show cache directory info
     console.log(chalk.gray(`📁 Cache directory: ${this.cacheDir}`));
@@ -88,13 +96,19 @@ class TemplateManager {
       const actualVersion = await this.resolveVersion(version);
       const versionCacheDir = path.join(this.cacheDir, `template-${actualVersion}`);
       
+      this.currentSource = null;
+      
       // Check if this specific version is cached
       if (await fs.pathExists(versionCacheDir)) {
         console.log(chalk.green(`✅ Template ${actualVersion} found in cache`));
+        await this.assertTemplateStructure(versionCacheDir, `Template ${actualVersion}`);
         this.templateCacheDir = versionCacheDir;
         this.currentVersion = actualVersion;
         return versionCacheDir;
       } else {
+        if (this.options.offline) {
+          throw new Error(`Template ${actualVersion} is not cached and offline mode is enabled. Cached versions: ${(await this.getCachedVersions()).join(', ') || 'none'}`);
+        }
         console.log(chalk.blue(`⬇️  Downloading template version ${actualVersion}...`));
         await this.downloadTemplate(actualVersion);
         this.templateCacheDir = versionCacheDir;
@@ -106,6 +120,173 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Prepare a template from a local directory, a local tarball or a git URL
+   * @param {string} source - Directory path, .tgz/.tar.gz file, or git URL (git+https://...#tag)
+   * @returns {Promise<string>} Path to the template directory
+   */
+  async ensureTemplateFromSource(source) {
+    try {
+      const sourceType = await this.detectSourceType(source);
+      console.log(chalk.blue(`📦 Using ${sourceType} template: ${source}`));
+      
+      await fs.ensureDir(this.cacheDir);
+      
+      let templatePath;
+      switch (sourceType) {
+        case 'directory':
+          // Local folders are used in place so template edits are picked up immediately
+          templatePath = path.resolve(source);
+          this.currentSource = templatePath;
+          break;
+        case 'tarball':
+          templatePath = await this.extractTemplateTarball(path.resolve(source));
+          this.currentSource = path.resolve(source);
+          break;
+        case 'git':
+          templatePath = await this.cloneTemplateRepository(source);
+          this.currentSource = source;
+          break;
+        default:
+          throw new Error(`Unsupported template source: ${source}`);
+      }
+      
+      const templateFiles = (await fs.readdir(templatePath)).filter(item => !this.isIgnoredTemplateEntry(item));
+      if (templateFiles.length === 0) {
+        throw new Error(`Template source '${source}' appears to be empty.`);
+      }
+      
+      await this.assertTemplateStructure(templatePath, `Template source '${source}'`);
+      
+      this.templateCacheDir = templatePath;
+      this.currentVersion = await this.readTemplateVersion(templatePath, sourceType);
+      console.log(chalk.green(`✅ Template ${this.currentVersion} ready from ${sourceType}`));
+      
+      return templatePath;
+    } catch (error) {
+      throw new Error(`Failed to ensure template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Detect the kind of template source
+   * @param {string} source - Template source
+   * @returns {Promise<string>} 'directory', 'tarball' or 'git'
+   */
+  async detectSourceType(source) {
+    if (/^(git\+|git:\/\/|git@)/.test(source) || /\.git(#.*)?$/.test(source)) {
+      return 'git';
+    }
+    
+    const resolved = path.resolve(source);
+    if (!(await fs.pathExists(resolved))) {
+      throw new Error(`Template source not found: ${source}`);
+    }
+    
+    const stat = await fs.stat(resolved);
+    if (stat.isDirectory()) {
+      return 'directory';
+    }
+    if (/\.(tgz|tar\.gz|tar)$/i.test(resolved)) {
+      return 'tarball';
+    }
+    
+    throw new Error(`Unsupported template source '${source}'. Use a directory, a .tgz/.tar.gz file or a git URL`);
+  }
+
+  /**
+   * Extract a local template tarball into the cache (keyed by content hash)
+   * @param {string} tarPath - Absolute tarball path
+   * @returns {Promise<string>} Path to extracted template
+   */
+  async extractTemplateTarball(tarPath) {
+    const hash = crypto.createHash('sha256').update(await fs.readFile(tarPath)).digest('hex').slice(0, 12);
+    const versionCacheDir = path.join(this.cacheDir, `template-local-${hash}`);
+    
+    if (await fs.pathExists(versionCacheDir)) {
+      console.log(chalk.green(`✅ Template tarball found in cache`));
+      return versionCacheDir;
+    }
+    
+    await fs.ensureDir(versionCacheDir);
+    
+    // npm pack tarballs wrap files in a single top-level folder (package/)
+    try {
+      await tar.x({ file: tarPath, cwd: versionCacheDir, strip: 1 });
+    } catch (error) {
+      await fs.remove(versionCacheDir);
+      throw new Error(`Failed to extract template tarball: ${error.message}. File may be corrupted.`);
+    }
+    
+    return versionCacheDir;
+  }
+
+  /**
+   * Clone a template git repository and cache it by commit
+   * @param {string} source - Git URL, optionally prefixed with git+ and suffixed with #ref
+   * @returns {Promise<string>} Path to cached template
+   */
+  async cloneTemplateRepository(source) {
+    if (this.options.offline) {
+      throw new Error(`Cannot clone ${source} in offline mode. Use a local directory or .tgz template instead`);
+    }
+    const [rawUrl, ref] = source.split('#');
+    const url = rawUrl.replace(/^git\+/, '');
+    const tempDir = path.join(this.cacheDir, 'temp-git');
+    const cloneOptions = this.options.cloneOptions || { singleBranch: true, depth: 1 };
+    
+    const args = [];
+    if (cloneOptions.depth) args.push('--depth', String(cloneOptions.depth));
+    if (cloneOptions.singleBranch) args.push('--single-branch');
+    if (ref) args.push('--branch', ref);
+    
+    await fs.remove(tempDir);
+    
+    try {
+      console.log(chalk.gray(`Cloning ${url}${ref ? ` (${ref})` : ''}`));
+      try {
+        await simpleGit().clone(url, tempDir, args);
+      } catch (error) {
+        throw new Error(`Git clone failed: ${error.message}. Check the repository URL, ref and your credentials.`);
+      }
+      
+      const commit = (await simpleGit(tempDir).revparse(['HEAD'])).trim();
+      const versionCacheDir = path.join(this.cacheDir, `template-git-${commit.slice(0, 12)}`);
+      
+      if (!(await fs.pathExists(versionCacheDir))) {
+        await fs.remove(path.join(tempDir, '.git'));
+        await fs.move(tempDir, versionCacheDir);
+      } else {
+        console.log(chalk.green(`✅ Template commit ${commit.slice(0, 12)} found in cache`));
+      }
+      
+      return versionCacheDir;
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  /**
+   * Read the template version of a custom source (package.json version when available)
+   * @param {string} templatePath - Template directory
+   * @param {string} sourceType - Source type
+   * @returns {Promise<string>} Version label
+   */
+  async readTemplateVersion(templatePath, sourceType) {
+    const packageJsonPath = path.join(templatePath, 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+      try {
+        const packageContent = await fs.readJSON(packageJsonPath);
+        if (packageContent.version) {
+          return packageContent.version;
+        }
+      } catch (error) {
+        // Fall through to the source type label
+      }
+    }
+    return sourceType;
+  }
+
   /**
    * Download template package from NPM
    * @param {string} version - NPM package version to download
@@ -184,6 +365,9 @@ class TemplateManager {
         throw new Error(`Downloaded package '${this.options.packageName}@${version}' appears to be empty.`);
       }
       
+      // Reject broken template releases before they are used or cached
+      await this.assertTemplateStructure(versionCacheDir, `Template package '${this.options.packageName}@${version}'`);
+      
       console.log(chalk.green(`✅ Template package ${version} downloaded successfully`));
       
     } catch (error) {
@@ -204,12 +388,200 @@ class TemplateManager {
 
 
 
+  /**
+   * Import a template package tarball (e.g. from npm pack) into the versioned cache without registry access
+   * @param {string} tarPath - Path to the .tgz file
+   * @param {Object} options - { force: replace an already cached version }
+   * @returns {Promise<Object>} Imported template ({ packageName, version, path })
+   */
+  async importTemplatePackage(tarPath, options = {}) {
+    const sourcePath = path.resolve(tarPath);
+    if (!(await fs.pathExists(sourcePath))) {
+      throw new Error(`File not found: ${tarPath}`);
+    }
+    
+    const tempDir = path.join(this.cacheDir, 'temp-import');
+    await fs.remove(tempDir);
+    await fs.ensureDir(tempDir);
+    
+    try {
+      // npm pack tarballs wrap files in a single top-level folder (package/)
+      try {
+        await tar.x({ file: sourcePath, cwd: tempDir, strip: 1 });
+      } catch (error) {
+        throw new Error(`Failed to extract template package: ${error.message}. File may be corrupted.`);
+      }
+      
+      const packageJsonPath = path.join(tempDir, 'package.json');
+      if (!(await fs.pathExists(packageJsonPath))) {
+        throw new Error(`${tarPath} does not contain a package.json`);
+      }
+      const packageJson = await fs.readJSON(packageJsonPath);
+      if (!semver.valid(packageJson.version)) {
+        throw new Error(`Invalid version '${packageJson.version}' in package.json of ${tarPath}`);
+      }
+      if (packageJson.name !== this.options.packageName) {
+        console.log(chalk.yellow(`⚠️  Package name '${packageJson.name}' differs from the configured template package '${this.options.packageName}'`));
+      }
+      
+      await this.assertTemplateStructure(tempDir, `Template package '${packageJson.name}@${packageJson.version}'`);
+      
+      const versionCacheDir = path.join(this.cacheDir, `template-${packageJson.version}`);
+      if (await fs.pathExists(versionCacheDir)) {
+        if (!options.force) {
+          throw new Error(`Template ${packageJson.version} is already cached. Use --force to replace it`);
+        }
+        await fs.remove(versionCacheDir);
+      }
+      await fs.move(tempDir, versionCacheDir);
+      
+      return {
+        packageName: packageJson.name,
+        version: packageJson.version,
+        path: versionCacheDir
+      };
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  /**
+   * Validate template (or generated project) structure against requiredFiles from config
+   * @param {string} rootPath - Template or project directory
+   * @param {string|null} domainName - Domain name for a generated project, null for a template
+   * @returns {Promise<Object>} Result ({ valid, errors: [{ path, message }], checked: [] })
+   */
+  async validateTemplateStructure(rootPath, domainName = null) {
+    const requiredFiles = this.options.requiredFiles || [
+      'vnext.config.json',
+      'package.json',
+      '{domainName}/Tasks',
+      '{domainName}/Workflows',
+      '{domainName}/Functions',
+      '{domainName}/Views',
+      '{domainName}/Schemas',
+      '{domainName}/Extensions'
+    ];
+    const requiredConfigKeys = this.options.requiredConfigKeys || ['version', 'domain', 'paths', 'exports'];
+    const expectedDomain = domainName || '{domainName}';
+    
+    const result = { valid: true, errors: [], checked: [] };
+    const addError = (entryPath, message) => {
+      result.valid = false;
+      result.errors.push({ path: entryPath, message });
+    };
+    
+    // 1. Required files and folders (entries with an extension are files, others are folders)
+    for (const entry of requiredFiles) {
+      const relativePath = domainName ? entry.replace(/{domainName}/g, domainName) : entry;
+      const entryPath = path.join(rootPath, relativePath);
+      const expectFile = path.extname(relativePath) !== '';
+      result.checked.push(relativePath);
+      
+      if (!(await fs.pathExists(entryPath))) {
+        addError(relativePath, `Missing required ${expectFile ? 'file' : 'folder'}`);
+        continue;
+      }
+      
+      const stat = await fs.stat(entryPath);
+      if (expectFile && !stat.isFile()) {
+        addError(relativePath, 'Expected a file but found a folder');
+      } else if (!expectFile && !stat.isDirectory()) {
+        addError(relativePath, 'Expected a folder but found a file');
+      }
+    }
+    
+    // 2. vnext.config.json must parse and declare the expected keys
+    const configPath = path.join(rootPath, 'vnext.config.json');
+    if (await fs.pathExists(configPath)) {
+      let config = null;
+      try {
+        config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+      } catch (error) {
+        addError('vnext.config.json', `Invalid JSON: ${error.message}`);
+      }
+      
+      if (config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+        addError('vnext.config.json', 'Must contain a JSON object');
+      } else if (config) {
+        for (const key of requiredConfigKeys) {
+          if (config[key] === undefined) {
+            addError('vnext.config.json', `Missing required key '${key}'`);
+          }
+        }
+        
+        if (config.domain !== undefined && config.domain !== expectedDomain) {
+          addError('vnext.config.json', `'domain' is '${config.domain}', expected '${expectedDomain}'`);
+        }
+        
+        if (config.paths !== undefined) {
+          if (typeof config.paths !== 'object' || config.paths === null || Array.isArray(config.paths)) {
+            addError('vnext.config.json', `'paths' must be an object`);
+          } else if (!config.paths.componentsRoot) {
+            addError('vnext.config.json', `Missing required key 'paths.componentsRoot'`);
+          }
+        }
+        
+        if (config.exports !== undefined && (typeof config.exports !== 'object' || config.exports === null || Array.isArray(config.exports))) {
+          addError('vnext.config.json', `'exports' must be an object`);
+        }
+      }
+    }
+    
+    // 3. package.json must parse
+    const packageJsonPath = path.join(rootPath, 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+      try {
+        JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
+      } catch (error) {
+        addError('package.json', `Invalid JSON: ${error.message}`);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Format a structure validation result
+   * @param {Object} result - Result from validateTemplateStructure
+   * @returns {string} Report
+   */
+  formatStructureReport(result) {
+    return result.errors.map(error => `  ✗ ${error.path}: ${error.message}`).join('\n');
+  }
+
+  /**
+   * Validate structure and throw a detailed error when it is broken
+   * @param {string} rootPath - Template or project directory
+   * @param {string} label - Name used in the error message
+   * @param {string|null} domainName - Domain name for a generated project
+   * @returns {Promise<void>}
+   */
+  async assertTemplateStructure(rootPath, label, domainName = null) {
+    if (this.options.validateStructure === false) {
+      return;
+    }
+    
+    const result = await this.validateTemplateStructure(rootPath, domainName);
+    if (!result.valid) {
+      throw new Error(`${label} has an invalid structure (${result.errors.length} problems):\n${this.formatStructureReport(result)}`);
+    }
+  }
+
   /**
    * Resolve version string to actual npm version
    * @param {string} version - Version string ('latest', 'v1.0.0', etc.)
    * @returns {Promise<string>} Actual npm version
    */
   async resolveVersion(version) {
+    if (version === 'latest' && this.options.offline) {
+      const [newest] = await this.getCachedVersions();
+      if (!newest) {
+        throw new Error('No template version is cached and offline mode is enabled');
+      }
+      console.log(chalk.gray(`Latest version resolved to: ${newest} (newest cached, offline)`));
+      return newest;
+    }
     if (version === 'latest') {
       try {
         const latestVersion = await this.getLatestVersion();
@@ -225,6 +597,25 @@ class TemplateManager {
 
 
 
+  /**
+   * List the template versions in the cache (local and git templates are not versioned)
+   * @returns {Promise<Array<string>>} Versions, newest first
+   */
+  async getCachedVersions() {
+    if (!(await fs.pathExists(this.cacheDir))) {
+      return [];
+    }
+
+    const versions = [];
+    for (const entry of await fs.readdir(this.cacheDir)) {
+      const match = /^template-(.+)$/.exec(entry);
+      if (match && semver.valid(match[1]) && (await fs.stat(path.join(this.cacheDir, entry))).isDirectory()) {
+        versions.push(match[1]);
+      }
+    }
+    return versions.sort(semver.rcompare);
+  }
+
   /**
    * Get latest version from NPM registry
    * @returns {Promise<string>} Latest version tag
@@ -249,6 +640,9 @@ class TemplateManager {
    * @returns {Promise<Array<string>>} Array of version tags
    */
   async listAvailableVersions() {
+    if (this.options.offline) {
+      return this.getCachedVersions();
+    }
     try {
       const npmViewCmd = `npm view ${this.options.packageName} versions --json --registry ${this.options.npmRegistry}`;
       
@@ -317,36 +711,43 @@ class TemplateManager {
    * @param {string} targetPath - Target directory path
    * @param {string} projectName - Project name
    * @param {string} domainName - Domain name
-   * @returns {Promise<void>}
+   * @param {Object} variables - Template variable values declared by the template manifest
+   * @param {Object} options - Copy options ({ merge, force } for an existing directory)
+   * @returns {Promise<Object|void>} Per-file result when merging into an existing directory
    */
-  async copyTemplate(targetPath, projectName, domainName) {
+  async copyTemplate(targetPath, projectName, domainName, variables = {}, options = {}) {
     const templatePath = this.templateCacheDir;
     
     if (!(await fs.pathExists(templatePath))) {
       throw new Error('Template not found. Please run ensureTemplate() first.');
     }
     
+    // Existing directory: compare file by file instead of copying blindly
+    if (options.merge || options.force) {
+      return this.mergeTemplate(targetPath, projectName, domainName, variables, options);
+    }
+    
     console.log(chalk.blue('📁 Copying template files...'));
     
+    const context = await this.createRenderContext(templatePath, projectName, domainName, variables);
+    
     const items = await fs.readdir(templatePath);
     console.log('📂 Files found in template:', items);
     
     for (const item of items) {
       const sourcePath = path.join(templatePath, item);
+      if (!this.isTemplateEntryIncluded(item, context)) {
+        continue;
+      }
+      
       const stat = await fs.stat(sourcePath);
+      const targetItemPath = path.join(targetPath, this.replacePlaceholders(item, context.placeholders));
       
       if (stat.isDirectory()) {
-        if (item === '{domainName}') {
-          const actualTargetPath = path.join(targetPath, domainName);
-          await this.copyDirectoryRecursive(sourcePath, actualTargetPath, projectName, domainName);
-        } else {
-          const targetItemPath = path.join(targetPath, item);
-          await this.copyDirectoryRecursive(sourcePath, targetItemPath, projectName, domainName);
-        }
+        await this.copyDirectoryRecursive(sourcePath, targetItemPath, context);
       } else {
-        const targetItemPath = path.join(targetPath, item);
         console.log(`📄 Copying file: ${item}`);
-        await this.copyFileWithPlaceholders(sourcePath, targetItemPath, projectName, domainName);
+        await this.copyFileWithPlaceholders(sourcePath, targetItemPath, context.placeholders);
       }
     }
     
@@ -358,61 +759,171 @@ class TemplateManager {
       
       if (await fs.pathExists(sourcePath) && !(await fs.pathExists(targetPath_file))) {
         console.log(`⚠️  Missing critical file ${file}, copying now...`);
-        await this.copyFileWithPlaceholders(sourcePath, targetPath_file, projectName, domainName);
+        await this.copyFileWithPlaceholders(sourcePath, targetPath_file, context.placeholders);
       }
     }
     
+    // Verify the generated project has the required structure
+    await this.assertTemplateStructure(targetPath, 'Generated project', domainName);
+    
     console.log(chalk.green('✅ Template copied successfully'));
   }
 
   /**
-   * Recursively copy directory with placeholder replacement
-   * @param {string} sourcePath - Source directory path
-   * @param {string} targetPath - Target directory path
+   * Merge template files into an existing directory.
+   * Identical files are skipped and different files are never overwritten unless `force` is set.
+   * @param {string} targetPath - Existing target directory path
    * @param {string} projectName - Project name
    * @param {string} domainName - Domain name
+   * @param {Object} variables - Template variable values declared by the template manifest
+   * @param {Object} options - Merge options ({ force })
+   * @returns {Promise<Object>} Result ({ files: [{ path, action }], added, skipped, conflicts, overwritten })
+   */
+  async mergeTemplate(targetPath, projectName, domainName, variables = {}, options = {}) {
+    console.log(chalk.blue(`📁 Merging template files into ${targetPath}...`));
+    
+    const rendered = await this.renderTemplate(this.templateCacheDir, projectName, domainName, variables);
+    const result = { files: [], added: 0, skipped: 0, conflicts: 0, overwritten: 0 };
+    
+    for (const relativePath of [...rendered.keys()].sort()) {
+      const content = rendered.get(relativePath);
+      const filePath = path.join(targetPath, relativePath);
+      let action = 'added';
+      
+      if (await fs.pathExists(filePath)) {
+        const stat = await fs.stat(filePath);
+        if (stat.isDirectory()) {
+          action = 'conflict';
+        } else if ((await fs.readFile(filePath)).equals(content)) {
+          action = 'skipped';
+        } else {
+          action = options.force ? 'overwritten' : 'conflict';
+        }
+      }
+      
+      result.files.push({ path: relativePath, action });
+      result[action === 'conflict' ? 'conflicts' : action]++;
+    }
+    
+    // Kept files must fit the project before anything is written, so a failed merge leaves no partial project
+    await this.assertKeptFiles(targetPath, result, domainName);
+    
+    for (const file of result.files) {
+      if (file.action === 'added' || file.action === 'overwritten') {
+        const filePath = path.join(targetPath, file.path);
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(filePath, rendered.get(file.path));
+      }
+    }
+    
+    // Verify the merged project has the required structure
+    await this.assertTemplateStructure(targetPath, 'Generated project', domainName);
+    
+    return result;
+  }
+
+  /**
+   * Check that existing files kept by a merge (conflicts) still pass the project structure check
+   * @param {string} targetPath - Existing target directory path
+   * @param {Object} result - Planned merge result
+   * @param {string} domainName - Domain name
    * @returns {Promise<void>}
+   * @throws {Error} If a kept file breaks the structure (e.g. a vnext.config.json of another domain)
    */
-  async copyDirectoryRecursive(sourcePath, targetPath, projectName, domainName) {
-    await fs.ensureDir(targetPath);
+  async assertKeptFiles(targetPath, result, domainName) {
+    const keptPaths = result.files.filter(file => file.action === 'conflict').map(file => file.path);
+    if (keptPaths.length === 0 || this.options.validateStructure === false) {
+      return;
+    }
     
+    const structure = await this.validateTemplateStructure(targetPath, domainName);
+    const errors = structure.errors.filter(error => keptPaths.includes(error.path));
+    if (errors.length > 0) {
+      throw new Error(`Existing files in ${targetPath} do not fit the template, nothing was written:\n${this.formatStructureReport({ errors })}\n` +
+        'Re-run with --force to replace them, or with settings that match them (e.g. --domain)');
+    }
+  }
+
+  /**
+   * Print a per-file summary of a template merge
+   * @param {Object} result - Result from mergeTemplate
+   */
+  printMergeSummary(result) {
+    const labels = {
+      added: chalk.green('added      '),
+      skipped: chalk.gray('skipped    '),
+      overwritten: chalk.yellow('overwritten'),
+      conflict: chalk.red('conflict   ')
+    };
+    const reasons = {
+      skipped: 'identical',
+      overwritten: 'differs from template, replaced with template version',
+      conflict: 'differs from template, kept existing file'
+    };
+    
+    result.files.forEach(file => {
+      const reason = reasons[file.action] ? chalk.gray(` (${reasons[file.action]})`) : '';
+      console.log(`  ${labels[file.action]} ${file.path}${reason}`);
+    });
+    
+    console.log(chalk.blue(`\n📊 ${result.added} added, ${result.skipped} skipped, ${result.conflicts} conflicts` +
+      (result.overwritten > 0 ? `, ${result.overwritten} overwritten` : '')));
+  }
+
+  /**
+   * Recursively copy directory with placeholder replacement.
+   * The target directory is only created when something is copied into it (or the source is empty),
+   * so folders whose entries are all excluded by conditional paths are not left behind.
+   * @param {string} sourcePath - Source directory path
+   * @param {string} targetPath - Target directory path
+   * @param {Object} context - Render context from createRenderContext
+   * @returns {Promise<boolean>} True if the target directory was created
+   */
+  async copyDirectoryRecursive(sourcePath, targetPath, context) {
     const items = await fs.readdir(sourcePath);
+    if (items.length === 0) {
+      await fs.ensureDir(targetPath);
+      return true;
+    }
     
+    let copied = false;
     for (const item of items) {
       const sourceItemPath = path.join(sourcePath, item);
-      const targetItemPath = path.join(targetPath, item);
+      const relativePath = path.relative(context.templatePath, sourceItemPath).split(path.sep).join('/');
+      if (!this.isTemplateEntryIncluded(relativePath, context)) {
+        continue;
+      }
+      
+      const targetItemPath = path.join(targetPath, this.replacePlaceholders(item, context.placeholders));
       const stat = await fs.stat(sourceItemPath);
       
       if (stat.isDirectory()) {
-        await this.copyDirectoryRecursive(sourceItemPath, targetItemPath, projectName, domainName);
+        copied = (await this.copyDirectoryRecursive(sourceItemPath, targetItemPath, context)) || copied;
       } else {
-        await this.copyFileWithPlaceholders(sourceItemPath, targetItemPath, projectName, domainName);
+        await fs.ensureDir(targetPath);
+        await this.copyFileWithPlaceholders(sourceItemPath, targetItemPath, context.placeholders);
+        copied = true;
       }
     }
+    return copied;
   }
 
   /**
    * Copy file with placeholder replacement
    * @param {string} sourcePath - Source file path
    * @param {string} targetPath - Target file path
-   * @param {string} projectName - Project name
-   * @param {string} domainName - Domain name
+   * @param {Object} placeholders - Map of placeholder token to value
    * @returns {Promise<void>}
    */
-  async copyFileWithPlaceholders(sourcePath, targetPath, projectName, domainName) {
-    const extname = path.extname(sourcePath);
-    
-    const binaryExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot', '.otf', '.exe', '.dll', '.so', '.dylib'];
-    
-    if (binaryExtensions.includes(extname.toLowerCase())) {
+  async copyFileWithPlaceholders(sourcePath, targetPath, placeholders) {
+    if (this.isBinaryFile(sourcePath)) {
       await fs.copy(sourcePath, targetPath);
       return;
     }
     
     try {
       let content = await fs.readFile(sourcePath, 'utf8');
-      content = content.replace(/{packageName}/g, projectName);
-      content = content.replace(/{domainName}/g, domainName);
+      content = this.replacePlaceholders(content, placeholders);
       await fs.writeFile(targetPath, content);
     } catch (error) {
       // If text processing fails, copy as binary
@@ -420,6 +931,185 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Check whether a template file is copied without placeholder replacement
+   * @param {string} filePath - File path
+   * @returns {boolean} True if the file is binary
+   */
+  isBinaryFile(filePath) {
+    const binaryExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot', '.otf', '.exe', '.dll', '.so', '.dylib'];
+    return binaryExtensions.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Check whether a top-level template entry is development-only (never copied)
+   * @param {string} item - Entry name
+   * @returns {boolean} True if ignored
+   */
+  isIgnoredTemplateEntry(item) {
+    return ['.git', 'node_modules'].includes(item);
+  }
+
+  /**
+   * Check whether a template path is generated (ignored entries and manifest conditions)
+   * @param {string} relativePath - Template-relative path (forward slashes)
+   * @param {Object} context - Render context
+   * @returns {boolean} True if included
+   */
+  isTemplateEntryIncluded(relativePath, context) {
+    if (this.isIgnoredTemplateEntry(relativePath.split('/')[0])) {
+      return false;
+    }
+    return context.manifest.isIncluded(relativePath, context.values);
+  }
+
+  /**
+   * Build the placeholder map: built-in placeholders from config plus template variables
+   * @param {string} projectName - Project name
+   * @param {string} domainName - Domain name
+   * @param {Object} variables - Template variable values
+   * @returns {Object} Map of placeholder token ({name}) to value
+   */
+  buildPlaceholders(projectName, domainName, variables = {}) {
+    const builtIn = { projectName, domainName };
+    const configured = this.options.placeholders || {
+      '{packageName}': 'projectName',
+      '{domainName}': 'domainName'
+    };
+    
+    // Template variables come first so their values may use built-in placeholders
+    const placeholders = {};
+    for (const [name, value] of Object.entries(variables)) {
+      placeholders[`{${name}}`] = String(value);
+    }
+    for (const [token, source] of Object.entries(configured)) {
+      placeholders[token] = builtIn[source] !== undefined ? builtIn[source] : '';
+    }
+    
+    return placeholders;
+  }
+
+  /**
+   * Create the render context used by copyTemplate and renderTemplate
+   * @param {string} templatePath - Template directory path
+   * @param {string} projectName - Project name
+   * @param {string} domainName - Domain name
+   * @param {Object} variables - Template variable values
+   * @returns {Promise<Object>} Render context (templatePath, manifest, values, placeholders)
+   */
+  async createRenderContext(templatePath, projectName, domainName, variables = {}) {
+    const manifest = await TemplateManifest.load(templatePath);
+    
+    return {
+      templatePath,
+      manifest,
+      values: { projectName, packageName: projectName, domainName, ...variables },
+      placeholders: this.buildPlaceholders(projectName, domainName, variables)
+    };
+  }
+
+  /**
+   * Replace template placeholders in text content or path names
+   * @param {string} content - Text content
+   * @param {Object} placeholders - Map of placeholder token to value
+   * @returns {string} Content with placeholders replaced
+   */
+  replacePlaceholders(content, placeholders) {
+    let result = content;
+    for (const [token, value] of Object.entries(placeholders)) {
+      result = result.split(token).join(value);
+    }
+    return result;
+  }
+
+  /**
+   * Render template files in memory with placeholder replacement (no disk writes)
+   * @param {string} templatePath - Template directory path
+   * @param {string} projectName - Project name
+   * @param {string} domainName - Domain name
+   * @param {Object} variables - Template variable values (missing ones use manifest defaults)
+   * @returns {Promise<Map<string, Buffer>>} Map of project-relative path to rendered content
+   */
+  async renderTemplate(templatePath, projectName, domainName, variables = {}) {
+    const manifest = await TemplateManifest.load(templatePath);
+    const declared = Object.fromEntries(
+      Object.entries(variables).filter(([name]) => manifest.variables[name])
+    );
+    const context = await this.createRenderContext(templatePath, projectName, domainName, manifest.resolveValues(declared));
+    const rendered = new Map();
+    
+    const walk = async (dirPath) => {
+      const items = await fs.readdir(dirPath);
+      
+      for (const item of items) {
+        const sourcePath = path.join(dirPath, item);
+        const relativePath = path.relative(templatePath, sourcePath).split(path.sep).join('/');
+        if (!this.isTemplateEntryIncluded(relativePath, context)) {
+          continue;
+        }
+        
+        const stat = await fs.stat(sourcePath);
+        
+        if (stat.isDirectory()) {
+          await walk(sourcePath);
+          continue;
+        }
+        
+        const content = await fs.readFile(sourcePath);
+        rendered.set(
+          this.replacePlaceholders(relativePath, context.placeholders),
+          this.isBinaryFile(sourcePath)
+            ? content
+            : Buffer.from(this.replacePlaceholders(content.toString('utf8'), context.placeholders))
+        );
+      }
+    };
+    
+    await walk(templatePath);
+    return rendered;
+  }
+
+  /**
+   * Record the template package and version used by a project in its vnext.config.json
+   * @param {string} projectPath - Project directory path
+   * @param {string} version - Template version (defaults to current version)
+   * @param {Object} variables - Template variable values used to render the project
+   * @param {string} projectName - Project name the template was rendered with (kept if not given)
+   * @returns {Promise<boolean>} True if the config was updated
+   */
+  async recordTemplateVersion(projectPath, version = this.currentVersion, variables = null, projectName = null) {
+    const configPath = path.join(projectPath, 'vnext.config.json');
+    if (!version || !(await fs.pathExists(configPath))) {
+      return false;
+    }
+    
+    const config = await fs.readJSON(configPath);
+    config.template = {
+      ...config.template,
+      version
+    };
+    
+    // Custom sources (folder, tarball, git) replace the registry package name
+    if (this.currentSource) {
+      config.template.source = this.currentSource;
+      delete config.template.packageName;
+    } else {
+      config.template.packageName = this.options.packageName;
+      delete config.template.source;
+    }
+    
+    if (projectName) {
+      config.template.projectName = projectName;
+    }
+    
+    if (variables && Object.keys(variables).length > 0) {
+      config.template.variables = variables;
+    }
+    
+    await fs.writeJSON(configPath, config, { spaces: 2 });
+    return true;
+  }
+
   /**
    * Force refresh template (clear cache and re-download)
    * @returns {Promise<string>} Path to downloaded template
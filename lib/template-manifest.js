@@ -0,0 +1,321 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Template manifest (vnext-template.json) shipped at the root of a template package.
+ *
+ * Example:
+ * {
+ *   "variables": {
+ *     "team": { "prompt": "Owning team", "type": "string", "required": true, "pattern": "^[a-z-]+$" },
+ *     "language": { "prompt": "Default language", "type": "choice", "choices": ["en", "tr"], "default": "en" },
+ *     "includeSamples": { "prompt": "Include sample workflows?", "type": "boolean", "default": false }
+ *   },
+ *   "conditionalPaths": {
+ *     "{domainName}/Workflows/samples": "includeSamples",
+ *     "docs/tr": "language == 'tr'"
+ *   },
+ *   "postCreate": [
+ *     { "type": "git-init", "commit": true },
+ *     { "type": "npm-install" },
+ *     { "type": "vscode-schemas" },
+ *     { "type": "command", "run": "npm run setup", "description": "Run template setup" },
+ *     { "type": "message", "text": "Ask {team} for registry access" }
+ *   ]
+ * }
+ */
+class TemplateManifest {
+  constructor(manifest = {}) {
+    this.variables = manifest.variables || {};
+    this.conditionalPaths = manifest.conditionalPaths || {};
+    this.postCreate = manifest.postCreate || [];
+    this.raw = manifest;
+  }
+
+  /**
+   * Manifest file name at the template root
+   * @returns {string} File name
+   */
+  static get fileName() {
+    return 'vnext-template.json';
+  }
+
+  /**
+   * Load manifest from a template directory (empty manifest if none)
+   * @param {string} templatePath - Template directory path
+   * @returns {Promise<TemplateManifest>} Manifest
+   */
+  static async load(templatePath) {
+    const manifestPath = path.join(templatePath, TemplateManifest.fileName);
+    if (!(await fs.pathExists(manifestPath))) {
+      return new TemplateManifest();
+    }
+
+    let content;
+    try {
+      content = await fs.readJSON(manifestPath);
+    } catch (error) {
+      throw new Error(`Invalid template manifest ${TemplateManifest.fileName}: ${error.message}`);
+    }
+
+    const manifest = new TemplateManifest(content);
+    manifest.validateDefinition();
+    return manifest;
+  }
+
+  /**
+   * Validate the manifest declarations themselves
+   */
+  validateDefinition() {
+    const types = ['string', 'boolean', 'number', 'choice'];
+    const reserved = ['projectName', 'packageName', 'domainName'];
+
+    for (const [name, variable] of Object.entries(this.variables)) {
+      if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid template variable name '${name}'. Use letters, numbers and underscores`);
+      }
+      if (reserved.includes(name)) {
+        throw new Error(`Template variable '${name}' is reserved`);
+      }
+      const type = variable.type || 'string';
+      if (!types.includes(type)) {
+        throw new Error(`Template variable '${name}' has invalid type '${type}'. Must be one of: ${types.join(', ')}`);
+      }
+      if (type === 'choice' && (!Array.isArray(variable.choices) || variable.choices.length === 0)) {
+        throw new Error(`Template variable '${name}' of type choice must declare choices`);
+      }
+    }
+
+    if (!Array.isArray(this.postCreate)) {
+      throw new Error('Template postCreate must be an array of steps');
+    }
+
+    const stepTypes = ['command', 'git-init', 'npm-install', 'vscode-schemas', 'message'];
+    this.postCreate.forEach((step, index) => {
+      if (typeof step !== 'object' || step === null || !stepTypes.includes(step.type)) {
+        throw new Error(`Template postCreate step ${index + 1} has invalid type. Must be one of: ${stepTypes.join(', ')}`);
+      }
+      if (step.type === 'command' && (typeof step.run !== 'string' || step.run.trim() === '')) {
+        throw new Error(`Template postCreate step ${index + 1} (command) must declare 'run'`);
+      }
+      if (step.type === 'message' && typeof step.text !== 'string') {
+        throw new Error(`Template postCreate step ${index + 1} (message) must declare 'text'`);
+      }
+    });
+  }
+
+  /**
+   * Get post-create steps whose condition (`when`) holds
+   * @param {Object} values - Variable values
+   * @returns {Array<Object>} Post-create steps
+   */
+  getPostCreateSteps(values) {
+    return this.postCreate.filter(step => step.when === undefined || this.evaluateCondition(step.when, values));
+  }
+
+  /**
+   * Check whether the manifest declares any variables
+   * @returns {boolean} True if variables are declared
+   */
+  hasVariables() {
+    return Object.keys(this.variables).length > 0;
+  }
+
+  /**
+   * Convert a raw (string) value to the variable type
+   * @param {string} name - Variable name
+   * @param {*} value - Raw value
+   * @returns {*} Typed value
+   */
+  coerce(name, value) {
+    const variable = this.variables[name] || {};
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    switch (variable.type) {
+      case 'boolean':
+        if (['true', 'yes', 'y', '1'].includes(value.toLowerCase())) return true;
+        if (['false', 'no', 'n', '0'].includes(value.toLowerCase())) return false;
+        return value;
+      case 'number':
+        return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Validate a value against its variable declaration
+   * @param {string} name - Variable name
+   * @param {*} value - Typed value
+   * @returns {boolean|string} True if valid, otherwise an error message
+   */
+  validateValue(name, value) {
+    const variable = this.variables[name];
+    if (!variable) {
+      return `Unknown template variable '${name}'`;
+    }
+
+    const type = variable.type || 'string';
+    const missing = value === undefined || value === null || value === '';
+
+    if (missing) {
+      return variable.required ? `${name} is required` : true;
+    }
+
+    switch (type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') return `${name} must be true or false`;
+        break;
+      case 'number':
+        if (typeof value !== 'number' || isNaN(value)) return `${name} must be a number`;
+        if (variable.min !== undefined && value < variable.min) return `${name} must be >= ${variable.min}`;
+        if (variable.max !== undefined && value > variable.max) return `${name} must be <= ${variable.max}`;
+        break;
+      case 'choice':
+        if (!variable.choices.includes(value)) return `${name} must be one of: ${variable.choices.join(', ')}`;
+        break;
+      default:
+        if (typeof value !== 'string') return `${name} must be a string`;
+        if (variable.pattern && !new RegExp(variable.pattern).test(value)) {
+          return variable.patternMessage || `${name} must match pattern ${variable.pattern}`;
+        }
+        break;
+    }
+
+    return true;
+  }
+
+  /**
+   * Build inquirer questions for variables without a value
+   * @param {Object} provided - Already provided values
+   * @returns {Array<Object>} inquirer questions
+   */
+  buildPrompts(provided = {}) {
+    return Object.entries(this.variables)
+      .filter(([name]) => provided[name] === undefined)
+      .map(([name, variable]) => {
+        const type = variable.type || 'string';
+        const question = {
+          name,
+          message: variable.prompt || variable.description || name,
+          default: variable.default
+        };
+
+        if (type === 'boolean') {
+          question.type = 'confirm';
+        } else if (type === 'choice') {
+          question.type = 'list';
+          question.choices = variable.choices;
+        } else {
+          question.type = type === 'number' ? 'number' : 'input';
+          question.validate = (input) => this.validateValue(name, this.coerce(name, input));
+        }
+
+        return question;
+      });
+  }
+
+  /**
+   * Resolve final values: provided values, then defaults
+   * @param {Object} provided - Values from flags, answers file or prompts
+   * @returns {Object} Resolved values
+   * @throws {Error} If values are unknown or invalid
+   */
+  resolveValues(provided = {}) {
+    const values = {};
+    const errors = [];
+
+    for (const name of Object.keys(provided)) {
+      if (!this.variables[name]) {
+        errors.push(`Unknown template variable '${name}'. Declared: ${Object.keys(this.variables).join(', ') || 'none'}`);
+      }
+    }
+
+    for (const [name, variable] of Object.entries(this.variables)) {
+      const value = provided[name] !== undefined ? this.coerce(name, provided[name]) : variable.default;
+      const result = this.validateValue(name, value);
+      if (result !== true) {
+        errors.push(result);
+        continue;
+      }
+      values[name] = value === undefined ? '' : value;
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid template variables:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return values;
+  }
+
+  /**
+   * Check whether a template path is included for the given values
+   * @param {string} relativePath - Template-relative path (forward slashes, before substitution)
+   * @param {Object} values - Variable values
+   * @returns {boolean} True if the path should be generated
+   */
+  isIncluded(relativePath, values) {
+    if (relativePath === TemplateManifest.fileName) {
+      return false;
+    }
+
+    for (const [conditionPath, condition] of Object.entries(this.conditionalPaths)) {
+      const normalized = conditionPath.replace(/\\/g, '/').replace(/\/+$/, '');
+      if (relativePath === normalized || relativePath.startsWith(`${normalized}/`)) {
+        if (!this.evaluateCondition(condition, values)) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate a condition expression
+   * Supports: `name`, `!name`, `name == 'value'`, `name != 'value'`, combined with `&&` and `||`
+   * @param {string|boolean} condition - Condition expression
+   * @param {Object} values - Variable values
+   * @returns {boolean} Condition result
+   */
+  evaluateCondition(condition, values) {
+    if (typeof condition === 'boolean') {
+      return condition;
+    }
+
+    return String(condition).split('||').some(alternative =>
+      alternative.split('&&').every(term => this.evaluateTerm(term.trim(), values))
+    );
+  }
+
+  /**
+   * Evaluate a single condition term
+   * @param {string} term - Condition term
+   * @param {Object} values - Variable values
+   * @returns {boolean} Term result
+   */
+  evaluateTerm(term, values) {
+    const comparison = term.match(/^([A-Za-z][A-Za-z0-9_]*)\s*(==|!=)\s*(.+)$/);
+    if (comparison) {
+      const [, name, operator, rawExpected] = comparison;
+      const expected = rawExpected.trim().replace(/^(['"])(.*)\1$/, '$2');
+      const actual = String(values[name]);
+      return operator === '==' ? actual === expected : actual !== expected;
+    }
+
+    if (term.startsWith('!')) {
+      return !this.evaluateTerm(term.slice(1).trim(), values);
+    }
+
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(term)) {
+      throw new Error(`Invalid template condition: '${term}'`);
+    }
+
+    const value = values[term];
+    return value !== undefined && value !== null && value !== false && value !== '' && value !== 'false';
+  }
+}
+
+module.exports = TemplateManifest;
@@ -0,0 +1,489 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Upgrades an existing project to a newer template version using a three-way merge
+ * between the original template version (base), the project files (ours) and the
+ * target template version (theirs).
+ */
+class TemplateUpgrader {
+  constructor(templateManager, options = {}) {
+    this.templateManager = templateManager;
+    this.options = {
+      projectRoot: process.cwd(),
+      dryRun: false,
+      conflictMarkers: false,
+      ...options
+    };
+
+    this.configPath = path.join(this.options.projectRoot, 'vnext.config.json');
+  }
+
+  /**
+   * Get the template version a project was generated from
+   * @param {Object} config - vnext.config.json content
+   * @returns {string|null} Template version
+   */
+  getBaseVersion(config) {
+    return config.template?.version || null;
+  }
+
+  /**
+   * Get the template a project was generated from
+   * @param {Object} config - vnext.config.json content
+   * @returns {string|Object|null} Template version, { source } for custom templates, or null if unknown
+   */
+  getBaseTemplate(config) {
+    if (config.template?.source) {
+      return { source: config.template.source };
+    }
+    return this.getBaseVersion(config);
+  }
+
+  /**
+   * Get the project name the templates are rendered with
+   * @param {Object} config - vnext.config.json content
+   * @returns {Promise<string>} Recorded project name, else the package.json name, else the folder name
+   */
+  async getProjectName(config) {
+    if (config.template?.projectName) {
+      return config.template.projectName;
+    }
+
+    // Projects created before the name was recorded
+    const packagePath = path.join(this.options.projectRoot, 'package.json');
+    if (await fs.pathExists(packagePath)) {
+      const packageJson = await fs.readJSON(packagePath);
+      if (packageJson.name) {
+        return packageJson.name;
+      }
+    }
+    return path.basename(this.options.projectRoot);
+  }
+
+  /**
+   * Fetch a template
+   * @param {string|Object} template - Registry version (latest, 1.2.0, etc.) or { source } (folder, tarball or git URL)
+   * @returns {Promise<Object>} { path, version, source } where source is null for registry versions
+   */
+  async ensureTemplate(template) {
+    const templatePath = typeof template === 'object'
+      ? await this.templateManager.ensureTemplateFromSource(template.source)
+      : await this.templateManager.ensureTemplate(template);
+    return {
+      path: templatePath,
+      version: this.templateManager.currentVersion,
+      source: this.templateManager.currentSource
+    };
+  }
+
+  /**
+   * Upgrade project files to the target template version
+   * @param {string|Object} from - Base template (the one the project was created from): version or { source }
+   * @param {string|Object} to - Target template: version (latest, 1.2.0, etc.) or { source }
+   * @returns {Promise<Object>} Upgrade result with per-file actions
+   */
+  async upgrade(from, to = 'latest') {
+    if (!(await fs.pathExists(this.configPath))) {
+      throw new Error('vnext.config.json not found. Run this command in an vNext domain project.');
+    }
+
+    const config = await fs.readJSON(this.configPath);
+    const domainName = config.domain;
+    const projectName = await this.getProjectName(config);
+    const variables = config.template?.variables || {};
+
+    const base = await this.ensureTemplate(from);
+    // The target is fetched last, so recordTemplateVersion records its version and source
+    const target = await this.ensureTemplate(to);
+
+    const result = {
+      fromVersion: base.version,
+      toVersion: target.version,
+      fromSource: base.source,
+      toSource: target.source,
+      files: [],
+      conflicts: 0,
+      versionRecorded: false
+    };
+
+    if (base.version === target.version && base.source === target.source) {
+      return result;
+    }
+
+    const baseFiles = await this.templateManager.renderTemplate(base.path, projectName, domainName, variables);
+    const targetFiles = await this.templateManager.renderTemplate(target.path, projectName, domainName, variables);
+    const allPaths = [...new Set([...baseFiles.keys(), ...targetFiles.keys()])].sort();
+
+    for (const relativePath of allPaths) {
+      const projectFile = path.join(this.options.projectRoot, relativePath);
+      const ours = (await fs.pathExists(projectFile)) ? await fs.readFile(projectFile) : null;
+      const entry = this.planFile(relativePath, baseFiles.get(relativePath) || null, ours, targetFiles.get(relativePath) || null);
+
+      if (entry.action === 'conflict') {
+        result.conflicts++;
+      }
+
+      if (!this.options.dryRun) {
+        await this.applyFile(projectFile, entry);
+      }
+
+      result.files.push(entry);
+    }
+
+    // Only move the recorded base forward when nothing is left unresolved against the old base
+    const unresolved = result.files.some(file => this.isUnresolved(file));
+    if (!this.options.dryRun && !unresolved) {
+      result.versionRecorded = await this.templateManager.recordTemplateVersion(this.options.projectRoot, target.version);
+    }
+
+    return result;
+  }
+
+  /**
+   * Decide what to do with a single file
+   * @param {string} relativePath - Project-relative file path
+   * @param {Buffer|null} base - Content in the base template version
+   * @param {Buffer|null} ours - Content in the project
+   * @param {Buffer|null} theirs - Content in the target template version
+   * @returns {Object} File entry (path, action, content, reason)
+   */
+  planFile(relativePath, base, ours, theirs) {
+    const same = (a, b) => a !== null && b !== null && a.equals(b);
+    const entry = { path: relativePath, action: 'unchanged', content: null, reason: null };
+
+    // File removed from the template
+    if (theirs === null) {
+      if (ours === null) {
+        return entry;
+      }
+      if (same(ours, base)) {
+        return { ...entry, action: 'removed' };
+      }
+      return { ...entry, action: 'kept', reason: 'removed from template but modified locally' };
+    }
+
+    // File added by the template
+    if (base === null) {
+      if (ours === null) {
+        return { ...entry, action: 'added', content: theirs };
+      }
+      if (same(ours, theirs)) {
+        return entry;
+      }
+      return this.mergeEntry(entry, Buffer.alloc(0), ours, theirs, 'added in template and exists locally');
+    }
+
+    if (same(base, theirs) || same(ours, theirs)) {
+      return entry;
+    }
+
+    if (ours === null) {
+      return { ...entry, action: 'skipped', reason: 'deleted locally' };
+    }
+
+    if (same(ours, base)) {
+      return { ...entry, action: 'updated', content: theirs };
+    }
+
+    return this.mergeEntry(entry, base, ours, theirs, 'changed in both project and template');
+  }
+
+  /**
+   * Three-way merge a file that changed on both sides
+   * @param {Object} entry - File entry
+   * @param {Buffer} base - Base content
+   * @param {Buffer} ours - Project content
+   * @param {Buffer} theirs - Target template content
+   * @param {string} reason - Conflict reason
+   * @returns {Object} File entry
+   */
+  mergeEntry(entry, base, ours, theirs, reason) {
+    if (this.templateManager.isBinaryFile(entry.path)) {
+      return { ...entry, action: 'conflict', reason: `${reason}, binary file` };
+    }
+
+    if (entry.path === 'vnext.config.json') {
+      return this.mergeConfigEntry(entry, base, ours, theirs, reason);
+    }
+
+    const merged = this.mergeText(base.toString('utf8'), ours.toString('utf8'), theirs.toString('utf8'));
+    if (merged.conflicts === 0) {
+      return { ...entry, action: 'merged', content: Buffer.from(merged.text) };
+    }
+
+    return {
+      ...entry,
+      action: 'conflict',
+      content: Buffer.from(merged.text),
+      reason: `${reason}, ${merged.conflicts} conflicting hunk${merged.conflicts === 1 ? '' : 's'}`
+    };
+  }
+
+  /**
+   * Three-way merge vnext.config.json by key, so the file stays valid JSON.
+   * Conflicting keys are reported and the project config is left untouched (never given markers).
+   * @param {Object} entry - File entry
+   * @param {Buffer} base - Base content (empty if the base template has no config)
+   * @param {Buffer} ours - Project content
+   * @param {Buffer} theirs - Target template content
+   * @param {string} reason - Conflict reason
+   * @returns {Object} File entry
+   */
+  mergeConfigEntry(entry, base, ours, theirs, reason) {
+    let values;
+    try {
+      values = [base, ours, theirs].map(content => (content.length === 0 ? {} : JSON.parse(content.toString('utf8'))));
+    } catch (error) {
+      return { ...entry, action: 'conflict', reason: `${reason}, not valid JSON: ${error.message}` };
+    }
+
+    const conflicts = [];
+    const merged = this.mergeJson(values[0], values[1], values[2], [], conflicts);
+    if (conflicts.length > 0) {
+      return { ...entry, action: 'conflict', reason: `${reason}, conflicting keys: ${conflicts.join(', ')}` };
+    }
+
+    const newline = ours.toString('utf8').endsWith('\n') ? '\n' : '';
+    return { ...entry, action: 'merged', content: Buffer.from(JSON.stringify(merged, null, 2) + newline) };
+  }
+
+  /**
+   * Three-way merge of JSON values, recursing into objects changed on both sides
+   * @param {*} base - Base value (undefined if missing)
+   * @param {*} ours - Project value (undefined if missing)
+   * @param {*} theirs - Target template value (undefined if missing)
+   * @param {Array<string>} keyPath - Keys leading to the value
+   * @param {Array<string>} conflicts - Collects the dotted paths of conflicting keys
+   * @returns {*} Merged value (undefined removes the key); the project value on conflict
+   */
+  mergeJson(base, ours, theirs, keyPath, conflicts) {
+    if (isDeepStrictEqual(ours, theirs) || isDeepStrictEqual(base, theirs)) {
+      return ours;
+    }
+    if (isDeepStrictEqual(base, ours)) {
+      return theirs;
+    }
+
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(ours) && isObject(theirs)) {
+      const baseObject = isObject(base) ? base : {};
+      const merged = {};
+      for (const key of new Set([...Object.keys(ours), ...Object.keys(theirs)])) {
+        const value = this.mergeJson(baseObject[key], ours[key], theirs[key], [...keyPath, key], conflicts);
+        if (value !== undefined) {
+          merged[key] = value;
+        }
+      }
+      return merged;
+    }
+
+    conflicts.push(keyPath.join('.') || '(root)');
+    return ours;
+  }
+
+  /**
+   * Whether a file entry leaves a conflict that was not written to the project
+   * @param {Object} entry - File entry
+   * @returns {boolean} True if the project file still needs a manual merge
+   */
+  isUnresolved(entry) {
+    return entry.action === 'conflict' && !(this.options.conflictMarkers && entry.content);
+  }
+
+  /**
+   * Write the outcome of a file entry to disk
+   * @param {string} projectFile - Absolute project file path
+   * @param {Object} entry - File entry
+   * @returns {Promise<void>}
+   */
+  async applyFile(projectFile, entry) {
+    switch (entry.action) {
+      case 'added':
+      case 'updated':
+      case 'merged':
+        await fs.ensureDir(path.dirname(projectFile));
+        await fs.writeFile(projectFile, entry.content);
+        break;
+      case 'removed':
+        await fs.remove(projectFile);
+        break;
+      case 'conflict':
+        // Project edits are never overwritten unless markers are explicitly requested
+        if (this.options.conflictMarkers && entry.content) {
+          await fs.writeFile(projectFile, entry.content);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Line-based three-way merge (diff3)
+   * @param {string} base - Base text
+   * @param {string} ours - Project text
+   * @param {string} theirs - Target template text
+   * @returns {Object} Merge result ({ text, conflicts })
+   */
+  mergeText(base, ours, theirs) {
+    const o = base === '' ? [] : base.split('\n');
+    const a = ours.split('\n');
+    const b = theirs.split('\n');
+
+    const matchA = this.matchLines(o, a);
+    const matchB = this.matchLines(o, b);
+
+    const output = [];
+    let conflicts = 0;
+    let i = 0;
+    let j = 0;
+    let k = 0;
+
+    while (i <= o.length) {
+      // Stable line: unchanged in both versions
+      if (i < o.length && matchA[i] === j && matchB[i] === k) {
+        output.push(o[i]);
+        i++;
+        j++;
+        k++;
+        continue;
+      }
+
+      // Find the next stable base line (or the end of all three texts)
+      let next = i;
+      while (next < o.length && (matchA[next] === -1 || matchB[next] === -1)) {
+        next++;
+      }
+      const aEnd = next < o.length ? matchA[next] : a.length;
+      const bEnd = next < o.length ? matchB[next] : b.length;
+
+      const baseChunk = o.slice(i, next);
+      const oursChunk = a.slice(j, aEnd);
+      const theirsChunk = b.slice(k, bEnd);
+
+      if (this.sameLines(oursChunk, baseChunk)) {
+        output.push(...theirsChunk);
+      } else if (this.sameLines(theirsChunk, baseChunk) || this.sameLines(oursChunk, theirsChunk)) {
+        output.push(...oursChunk);
+      } else {
+        conflicts++;
+        output.push('<<<<<<< project');
+        output.push(...oursChunk);
+        output.push('||||||| base template');
+        output.push(...baseChunk);
+        output.push('=======');
+        output.push(...theirsChunk);
+        output.push('>>>>>>> new template');
+      }
+
+      if (next >= o.length) {
+        break;
+      }
+
+      i = next;
+      j = aEnd;
+      k = bEnd;
+    }
+
+    return { text: output.join('\n'), conflicts };
+  }
+
+  /**
+   * Match base lines to lines of another version using the longest common subsequence
+   * @param {Array<string>} base - Base lines
+   * @param {Array<string>} other - Other version lines
+   * @returns {Array<number>} For each base line, the matching index in other (-1 if unmatched)
+   */
+  matchLines(base, other) {
+    const matches = new Array(base.length).fill(-1);
+
+    // Common prefix and suffix keep the LCS table small for typical edits
+    let start = 0;
+    while (start < base.length && start < other.length && base[start] === other[start]) {
+      matches[start] = start;
+      start++;
+    }
+
+    let baseEnd = base.length;
+    let otherEnd = other.length;
+    while (baseEnd > start && otherEnd > start && base[baseEnd - 1] === other[otherEnd - 1]) {
+      baseEnd--;
+      otherEnd--;
+      matches[baseEnd] = otherEnd;
+    }
+
+    const n = baseEnd - start;
+    const m = otherEnd - start;
+    if (n === 0 || m === 0) {
+      return matches;
+    }
+
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let x = n - 1; x >= 0; x--) {
+      for (let y = m - 1; y >= 0; y--) {
+        table[x][y] = base[start + x] === other[start + y]
+          ? table[x + 1][y + 1] + 1
+          : Math.max(table[x + 1][y], table[x][y + 1]);
+      }
+    }
+
+    let x = 0;
+    let y = 0;
+    while (x < n && y < m) {
+      if (base[start + x] === other[start + y]) {
+        matches[start + x] = start + y;
+        x++;
+        y++;
+      } else if (table[x + 1][y] >= table[x][y + 1]) {
+        x++;
+      } else {
+        y++;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Compare two line arrays
+   * @param {Array<string>} left - Lines
+   * @param {Array<string>} right - Lines
+   * @returns {boolean} True if equal
+   */
+  sameLines(left, right) {
+    return left.length === right.length && left.every((line, index) => line === right[index]);
+  }
+
+  /**
+   * Print a per-file upgrade report
+   * @param {Object} result - Upgrade result
+   */
+  printReport(result) {
+    const colors = {
+      added: chalk.green,
+      updated: chalk.green,
+      merged: chalk.cyan,
+      removed: chalk.yellow,
+      kept: chalk.yellow,
+      skipped: chalk.gray,
+      conflict: chalk.red
+    };
+
+    const changed = result.files.filter(file => file.action !== 'unchanged');
+    if (changed.length === 0) {
+      console.log(chalk.gray('  No template changes affect this project'));
+      return;
+    }
+
+    changed.forEach(file => {
+      const color = colors[file.action] || chalk.white;
+      const reason = file.reason ? chalk.gray(` (${file.reason})`) : '';
+      console.log(color(`  ${file.action.padEnd(8)} ${file.path}`) + reason);
+    });
+  }
+}
+
+module.exports = TemplateUpgrader;
@@ -0,0 +1,199 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const ComponentGraph = require('./component-graph');
+
+/**
+ * Persistent validation cache stored in the project's .vnext-cache folder.
+ *
+ * A file is skipped when its cache key is unchanged. The key covers:
+ * - the file content hash
+ * - the schema package version (SchemaManager.currentVersion)
+ * - the CLI version
+ * - validation settings (mode, domain, referenceResolution)
+ * - the content hashes of the components the file references
+ *
+ * Only files that passed validation are cached, so errors are always reported from a fresh run.
+ */
+class ValidationCache {
+  constructor(options = {}) {
+    this.options = {
+      cacheDir: path.join(process.cwd(), '.vnext-cache'),
+      schemaVersion: null,
+      cliVersion: null,
+      settings: {},
+      enabled: true,
+      ...options
+    };
+
+    this.cacheFile = path.join(this.options.cacheDir, 'validation.json');
+    this.entries = {};
+    this.fileHashes = new Map();
+    this.dirty = false;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cache format version (bump when the entry layout changes)
+   * @returns {number} Format version
+   */
+  static get formatVersion() {
+    return 1;
+  }
+
+  /**
+   * Load cached entries from disk (a missing or unreadable cache starts empty)
+   * @returns {Promise<ValidationCache>} This cache
+   */
+  async load() {
+    if (!this.options.enabled || !(await fs.pathExists(this.cacheFile))) {
+      return this;
+    }
+
+    try {
+      const content = await fs.readJSON(this.cacheFile);
+      if (content.formatVersion === ValidationCache.formatVersion && content.entries) {
+        this.entries = content.entries;
+      }
+    } catch (error) {
+      this.entries = {};
+    }
+    return this;
+  }
+
+  /**
+   * Write the cache to disk, dropping entries of files that no longer exist
+   * @param {string} projectRoot - Project root (entries are stored relative to it)
+   * @returns {Promise<void>}
+   */
+  async save(projectRoot = process.cwd()) {
+    if (!this.options.enabled || !this.dirty) {
+      return;
+    }
+
+    for (const entryKey of Object.keys(this.entries)) {
+      const relativePath = entryKey.slice(entryKey.indexOf(':') + 1);
+      if (!(await fs.pathExists(path.join(projectRoot, relativePath)))) {
+        delete this.entries[entryKey];
+      }
+    }
+
+    await fs.outputJSON(this.cacheFile, {
+      formatVersion: ValidationCache.formatVersion,
+      entries: this.entries
+    });
+    this.dirty = false;
+  }
+
+  /**
+   * Compute the cache key of a component file
+   * @param {string} filePath - Absolute component file path
+   * @param {RefResolver} resolver - Resolver used to locate referenced files
+   * @param {string} mode - Validation mode (e.g. 'schema', 'schema+refs', 'refs')
+   * @param {string} domain - Current domain
+   * @returns {Promise<string|null>} Key, or null if the file cannot be cached (e.g. invalid JSON)
+   */
+  async computeKey(filePath, resolver, mode, domain) {
+    if (!this.options.enabled) {
+      return null;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    const refs = [...new Set(ComponentGraph.collectRefs(content))].sort();
+    const referencedHashes = [];
+    for (const ref of refs) {
+      const refPath = await resolver.locateRefFile(ref, domain);
+      // Unlocatable refs (e.g. packages not downloaded yet) make the file uncacheable
+      if (!refPath) {
+        return null;
+      }
+      referencedHashes.push(`${ref}=${await this.hashFile(refPath)}`);
+    }
+    // Cross-schema $refs of sys-schemas resolve against every domain schema
+    if (content?.flow === 'sys-schemas') {
+      referencedHashes.push(`$id=${await resolver.getDomainSchemasFingerprint()}`);
+    }
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({
+        file: await this.hashFile(filePath),
+        schemaVersion: this.options.schemaVersion,
+        cliVersion: this.options.cliVersion,
+        settings: this.options.settings,
+        mode,
+        domain,
+        references: referencedHashes
+      }))
+      .digest('hex');
+  }
+
+  /**
+   * Hash file content (memoized for the lifetime of the cache object)
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<string>} Content hash, or 'missing'
+   */
+  async hashFile(filePath) {
+    if (!this.fileHashes.has(filePath)) {
+      const hash = (await fs.pathExists(filePath))
+        ? crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex')
+        : 'missing';
+      this.fileHashes.set(filePath, hash);
+    }
+    return this.fileHashes.get(filePath);
+  }
+
+  /**
+   * Get a cached validation record
+   * @param {string} mode - Validation mode
+   * @param {string} relativePath - Project-relative file path
+   * @param {string|null} key - Current cache key
+   * @returns {Object|null} Cached record, or null on a miss
+   */
+  get(mode, relativePath, key) {
+    const entry = key ? this.entries[`${mode}:${relativePath}`] : null;
+    if (entry && entry.key === key) {
+      this.hits++;
+      return entry.record || {};
+    }
+    if (key) {
+      this.misses++;
+    }
+    return null;
+  }
+
+  /**
+   * Store the record of a file that passed validation
+   * @param {string} mode - Validation mode
+   * @param {string} relativePath - Project-relative file path
+   * @param {string|null} key - Cache key
+   * @param {Object} record - Validation record
+   */
+  set(mode, relativePath, key, record = null) {
+    if (!key) {
+      return;
+    }
+    this.entries[`${mode}:${relativePath}`] = { key, record };
+    this.dirty = true;
+  }
+
+  /**
+   * Remove the entry of a file that failed validation
+   * @param {string} mode - Validation mode
+   * @param {string} relativePath - Project-relative file path
+   */
+  delete(mode, relativePath) {
+    if (this.entries[`${mode}:${relativePath}`]) {
+      delete this.entries[`${mode}:${relativePath}`];
+      this.dirty = true;
+    }
+  }
+}
+
+module.exports = ValidationCache;
@@ -0,0 +1,132 @@
+const path = require('path');
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+/**
+ * Pool of validation worker threads (see validation-worker.js).
+ *
+ * Files are handed out one at a time to idle workers. Package downloads requested by
+ * workers go through `ensurePackage` in the main thread and are shared by all workers,
+ * so an external package is fetched at most once per run.
+ */
+class ValidationPool {
+  constructor(options = {}) {
+    this.options = {
+      size: os.cpus().length,
+      workerData: {},
+      ensurePackage: async (packageName) => {
+        throw new Error(`Cannot download ${packageName}: no package resolver configured`);
+      },
+      ...options
+    };
+
+    this.workers = [];
+    this.packages = new Map();
+  }
+
+  /**
+   * Worker script path
+   * @returns {string} Absolute path
+   */
+  static get workerScript() {
+    return path.join(__dirname, 'validation-worker.js');
+  }
+
+  /**
+   * Validate files on the pool
+   * @param {Array<string>} files - Absolute component file paths
+   * @param {Function} onResult - Called with (index, result) as each file completes (completion order)
+   * @returns {Promise<Array<Object>>} Results in input order ({ record, schemaValid, valid, cached, output })
+   */
+  run(files, onResult = () => {}) {
+    const results = new Array(files.length);
+    if (files.length === 0) {
+      return Promise.resolve(results);
+    }
+
+    return new Promise((resolve, reject) => {
+      let next = 0;
+      let completed = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (!failed) {
+          failed = true;
+          reject(error);
+        }
+      };
+
+      const dispatch = (worker) => {
+        if (next < files.length) {
+          const index = next++;
+          worker.postMessage({ type: 'validate', index, filePath: files[index] });
+        }
+      };
+
+      const size = Math.max(1, Math.min(this.options.size, files.length));
+      for (let i = 0; i < size; i++) {
+        const worker = new Worker(ValidationPool.workerScript, { workerData: this.options.workerData });
+        this.workers.push(worker);
+
+        worker.on('message', async (message) => {
+          if (message.type === 'ensurePackage') {
+            try {
+              const packagePath = await this.ensurePackage(message.packageName);
+              worker.postMessage({ type: 'package', requestId: message.requestId, packagePath });
+            } catch (error) {
+              worker.postMessage({ type: 'package', requestId: message.requestId, error: error.message });
+            }
+            return;
+          }
+
+          if (message.type === 'result') {
+            results[message.index] = message.result;
+            completed++;
+            try {
+              onResult(message.index, message.result);
+            } catch (error) {
+              fail(error);
+              return;
+            }
+            if (completed === files.length) {
+              resolve(results);
+            } else {
+              dispatch(worker);
+            }
+          }
+        });
+        worker.on('error', fail);
+        worker.on('exit', (code) => {
+          if (completed < files.length) {
+            fail(new Error(`Validation worker stopped unexpectedly (exit code ${code})`));
+          }
+        });
+
+        dispatch(worker);
+      }
+    });
+  }
+
+  /**
+   * Download a package once for all workers
+   * @param {string} packageName - NPM package name
+   * @returns {Promise<string>} Path to the cached package
+   */
+  ensurePackage(packageName) {
+    if (!this.packages.has(packageName)) {
+      this.packages.set(packageName, this.options.ensurePackage(packageName));
+    }
+    return this.packages.get(packageName);
+  }
+
+  /**
+   * Stop all workers
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+  }
+}
+
+module.exports = ValidationPool;
@@ -0,0 +1,270 @@
+const path = require('path');
+
+/**
+ * Collects per-file validation records and renders them as JSON, JUnit XML or SARIF.
+ *
+ * Record:
+ * {
+ *   file: 'core/Tasks/my-task.json',
+ *   componentType: 'task',
+ *   valid: false,
+ *   schemaErrors: [{ instancePath: '/attributes/type', message: 'must be equal to one of the allowed values', keyword, schemaPath, params, line: 7, column: 13 }],
+ *   referenceErrors: [{ ref: 'Tasks/missing.json', path: '/attributes/task/ref', message: 'Local file not found: ...', line: 9, column: 15 }],
+ *   warnings: [{ rule: 'version-semver', path: '/version', message: 'Version should follow semantic versioning (x.y.z)' }],
+ *   errors: [{ message: 'Unexpected token } in JSON at position 12' }, { rule: 'tags-required', path: '/tags', message: '...' }],
+ *   references: { total: 2, resolved: 1 }
+ * }
+ *
+ * Lint findings are warnings or errors (by severity) carrying their rule id and JSON Pointer path.
+ * `line` and `column` (1-based) locate the offending value when the file could be parsed.
+ */
+class ValidationReport {
+  constructor(options = {}) {
+    this.options = {
+      toolName: 'vnext',
+      toolVersion: '0.0.0',
+      informationUri: 'https://github.com/burgan-tech/vnext-cli',
+      domain: null,
+      ...options
+    };
+    this.files = [];
+  }
+
+  /**
+   * Supported output formats
+   * @returns {Array<string>} Format names
+   */
+  static get formats() {
+    return ['json', 'junit', 'sarif'];
+  }
+
+  /**
+   * Add a file record
+   * @param {Object} record - File record (see class description)
+   * @returns {Object} Normalized record
+   */
+  addFile(record) {
+    const normalized = {
+      file: record.file,
+      componentType: record.componentType || null,
+      schemaErrors: record.schemaErrors || [],
+      referenceErrors: record.referenceErrors || [],
+      warnings: record.warnings || [],
+      errors: record.errors || [],
+      references: record.references || null
+    };
+    normalized.valid = normalized.schemaErrors.length === 0 &&
+      normalized.referenceErrors.length === 0 &&
+      normalized.errors.length === 0;
+
+    this.files.push(normalized);
+    return normalized;
+  }
+
+  /**
+   * Summary counters
+   * @returns {Object} Summary
+   */
+  get summary() {
+    return {
+      files: this.files.length,
+      valid: this.files.filter(file => file.valid).length,
+      invalid: this.files.filter(file => !file.valid).length,
+      schemaErrors: this.count('schemaErrors'),
+      referenceErrors: this.count('referenceErrors'),
+      errors: this.count('errors'),
+      warnings: this.count('warnings')
+    };
+  }
+
+  /**
+   * Count entries of a record list over all files
+   * @param {string} key - Record list name
+   * @returns {number} Count
+   */
+  count(key) {
+    return this.files.reduce((sum, file) => sum + file[key].length, 0);
+  }
+
+  /**
+   * Render the report
+   * @param {string} format - json, junit or sarif
+   * @returns {string} Rendered report
+   */
+  format(format) {
+    switch (format) {
+      case 'json':
+        return this.toJSON();
+      case 'junit':
+        return this.toJUnit();
+      case 'sarif':
+        return this.toSarif();
+      default:
+        throw new Error(`Unsupported report format '${format}'. Use one of: ${ValidationReport.formats.join(', ')}`);
+    }
+  }
+
+  /**
+   * Render as JSON
+   * @returns {string} JSON document
+   */
+  toJSON() {
+    return JSON.stringify({
+      tool: { name: this.options.toolName, version: this.options.toolVersion },
+      domain: this.options.domain,
+      summary: this.summary,
+      files: this.files
+    }, null, 2);
+  }
+
+  /**
+   * Render as JUnit XML (one test case per file)
+   * @returns {string} XML document
+   */
+  toJUnit() {
+    const summary = this.summary;
+    const suiteName = `${this.options.toolName} validate${this.options.domain ? ` (${this.options.domain})` : ''}`;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${this.escapeXml(suiteName)}" tests="${summary.files}" failures="${summary.invalid}">`,
+      `  <testsuite name="${this.escapeXml(suiteName)}" tests="${summary.files}" failures="${summary.invalid}" errors="0" skipped="0">`
+    ];
+
+    for (const file of this.files) {
+      const classname = this.escapeXml(file.componentType || 'component');
+      lines.push(`    <testcase classname="${classname}" name="${this.escapeXml(file.file)}">`);
+
+      const problems = this.getProblems(file).filter(problem => problem.level === 'error');
+      if (problems.length > 0) {
+        const message = `${problems.length} validation error${problems.length === 1 ? '' : 's'}`;
+        const details = problems.map(problem => `[${problem.rule}] ${this.location(file, problem)}${problem.text}`).join('\n');
+        lines.push(`      <failure message="${this.escapeXml(message)}" type="validation">${this.escapeXml(details)}</failure>`);
+      }
+
+      if (file.warnings.length > 0) {
+        const warnings = this.getProblems(file)
+          .filter(problem => problem.level === 'warning')
+          .map(problem => `warning [${problem.rule}]: ${problem.text}`)
+          .join('\n');
+        lines.push(`      <system-out>${this.escapeXml(warnings)}</system-out>`);
+      }
+
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render as SARIF 2.1.0 (for GitHub code scanning)
+   * @returns {string} SARIF document
+   */
+  toSarif() {
+    const rules = [
+      { id: 'schema', shortDescription: { text: 'Component does not match its JSON schema' } },
+      { id: 'reference', shortDescription: { text: 'Reference cannot be resolved' } },
+      { id: 'error', shortDescription: { text: 'Component could not be validated' } }
+    ];
+    for (const file of this.files) {
+      for (const problem of this.getProblems(file)) {
+        if (!rules.some(rule => rule.id === problem.rule)) {
+          rules.push({ id: problem.rule, shortDescription: { text: `Lint rule ${problem.rule}` } });
+        }
+      }
+    }
+
+    const results = [];
+    for (const file of this.files) {
+      for (const problem of this.getProblems(file)) {
+        const physicalLocation = {
+          artifactLocation: { uri: file.file.split(path.sep).join('/') }
+        };
+        if (problem.line) {
+          physicalLocation.region = { startLine: problem.line, ...(problem.column ? { startColumn: problem.column } : {}) };
+        }
+
+        results.push({
+          ruleId: problem.rule,
+          level: problem.level,
+          message: { text: problem.text },
+          locations: [{ physicalLocation }]
+        });
+      }
+    }
+
+    return JSON.stringify({
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: this.options.toolName,
+              version: this.options.toolVersion,
+              informationUri: this.options.informationUri,
+              rules
+            }
+          },
+          results
+        }
+      ]
+    }, null, 2);
+  }
+
+  /**
+   * Flatten a file record into problems
+   * @param {Object} file - File record
+   * @returns {Array<Object>} Problems ({ rule, level, text, line, column })
+   */
+  getProblems(file) {
+    return [
+      ...file.errors.map(error => ({ rule: error.rule || 'error', level: 'error', text: this.withPath(error), line: error.line, column: error.column })),
+      ...file.schemaErrors.map(error => ({
+        rule: 'schema',
+        level: 'error',
+        text: error.instancePath ? `${error.instancePath}: ${error.message}` : error.message,
+        line: error.line,
+        column: error.column
+      })),
+      ...file.referenceErrors.map(error => ({ rule: 'reference', level: 'error', text: `${error.ref}: ${error.message}`, line: error.line, column: error.column })),
+      ...file.warnings.map(warning => ({ rule: warning.rule || 'business-rule', level: 'warning', text: this.withPath(warning), line: warning.line, column: warning.column }))
+    ];
+  }
+
+  /**
+   * file:line:column prefix of a problem (empty without a position)
+   * @param {Object} file - File record
+   * @param {Object} problem - Problem
+   * @returns {string} Location followed by a space, or ''
+   */
+  location(file, problem) {
+    return problem.line ? `${file.file}:${problem.line}:${problem.column || 1} ` : '';
+  }
+
+  /**
+   * Prefix a message with its JSON Pointer path (lint findings)
+   * @param {Object} entry - Error or warning entry
+   * @returns {string} Text
+   */
+  withPath(entry) {
+    return entry.path ? `${entry.path}: ${entry.message}` : entry.message;
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = ValidationReport;
@@ -0,0 +1,301 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ComponentGraph = require('./component-graph');
+const ValidationReport = require('./validation-report');
+
+/**
+ * Watches the components root and re-validates changed files and the components referencing them.
+ * Validation itself is delegated to `validateFile`, so schemas and compiled validators stay in memory
+ * for the lifetime of the watcher. `beforeRun` is awaited before every run, and `annotateResult`
+ * adds domain-wide findings to the stored results when the summary is drawn. Paths for which
+ * `isIgnored` returns true (.vnextignore) are neither watched nor validated.
+ */
+class ValidationWatcher {
+  constructor(options = {}) {
+    this.options = {
+      rootPath: process.cwd(),
+      projectRoot: process.cwd(),
+      domain: null,
+      listFiles: async () => [],
+      isIgnored: () => false,
+      validateFile: async () => null,
+      beforeRun: async () => {},
+      annotateResult: (result) => result,
+      header: '',
+      debounceMs: 150,
+      clearScreen: Boolean(process.stdout.isTTY),
+      ...options
+    };
+
+    this.graph = new ComponentGraph({ projectRoot: this.options.projectRoot, domain: this.options.domain });
+    this.results = new Map();
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Validate everything once, then watch for changes
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const files = await this.options.listFiles();
+    for (const filePath of files) {
+      await this.updateGraph(filePath);
+    }
+
+    await this.options.beforeRun();
+    await this.validateFiles(files);
+    await this.watchDirectory(this.options.rootPath);
+
+    this.render(`Validated ${files.length} components`);
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Watch a directory and its subdirectories
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<void>}
+   */
+  async watchDirectory(dirPath) {
+    if (this.watchers.has(dirPath) || !(await fs.pathExists(dirPath))) {
+      return;
+    }
+
+    const watcher = fs.watch(dirPath, (eventType, filename) => {
+      if (filename) {
+        this.onChange(path.join(dirPath, filename.toString()));
+      }
+    });
+    watcher.on('error', () => this.unwatchDirectory(dirPath));
+    this.watchers.set(dirPath, watcher);
+
+    for (const item of await fs.readdir(dirPath)) {
+      const itemPath = path.join(dirPath, item);
+      if ((await fs.stat(itemPath)).isDirectory() && !this.options.isIgnored(itemPath, true)) {
+        await this.watchDirectory(itemPath);
+      }
+    }
+  }
+
+  /**
+   * Stop watching a removed directory and its subdirectories
+   * @param {string} dirPath - Directory path
+   */
+  unwatchDirectory(dirPath) {
+    for (const [watchedPath, watcher] of this.watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(`${dirPath}${path.sep}`)) {
+        watcher.close();
+        this.watchers.delete(watchedPath);
+      }
+    }
+  }
+
+  /**
+   * Handle a file system event
+   * @param {string} changedPath - Changed path
+   */
+  onChange(changedPath) {
+    this.pending.add(changedPath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.options.debounceMs);
+  }
+
+  /**
+   * Process the collected changes (one run at a time)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.running) {
+      await this.running;
+    }
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const changedPaths = [...this.pending];
+    this.pending.clear();
+    this.running = this.processChanges(changedPaths).finally(() => {
+      this.running = null;
+    });
+    await this.running;
+  }
+
+  /**
+   * Re-validate changed files and their dependents
+   * @param {Array<string>} changedPaths - Changed paths
+   * @returns {Promise<void>}
+   */
+  async processChanges(changedPaths) {
+    const changedFiles = [];
+    const removedFiles = [];
+
+    for (const changedPath of changedPaths) {
+      const stat = await fs.stat(changedPath).catch(() => null);
+      if (stat && this.options.isIgnored(changedPath, stat.isDirectory())) {
+        continue;
+      }
+
+      if (stat && stat.isDirectory()) {
+        // New folder: watch it and pick up the files it already contains
+        await this.watchDirectory(changedPath);
+        for (const filePath of await this.options.listFiles()) {
+          if (filePath.startsWith(`${changedPath}${path.sep}`) && !this.results.has(filePath)) {
+            changedFiles.push(filePath);
+          }
+        }
+        continue;
+      }
+
+      if (!stat) {
+        this.unwatchDirectory(changedPath);
+      }
+
+      if (path.extname(changedPath) !== '.json') {
+        continue;
+      }
+
+      if (stat) {
+        changedFiles.push(changedPath);
+      } else if (this.results.has(changedPath)) {
+        removedFiles.push(changedPath);
+      }
+    }
+
+    for (const filePath of removedFiles) {
+      this.graph.removeFile(filePath);
+      this.results.delete(filePath);
+    }
+    for (const filePath of changedFiles) {
+      await this.updateGraph(filePath);
+    }
+
+    const targets = new Set(changedFiles);
+    for (const filePath of [...changedFiles, ...removedFiles]) {
+      this.graph.getDependents(filePath)
+        .filter(dependent => this.results.has(dependent))
+        .forEach(dependent => targets.add(dependent));
+    }
+
+    if (targets.size === 0 && removedFiles.length === 0) {
+      return;
+    }
+
+    await this.options.beforeRun();
+    await this.validateFiles([...targets].sort());
+
+    const changed = [...changedFiles, ...removedFiles].map(filePath => this.relative(filePath));
+    const dependents = targets.size - changedFiles.length;
+    this.render(
+      `Changed: ${changed.join(', ')}` +
+      (removedFiles.length > 0 ? ` (${removedFiles.length} removed)` : '') +
+      ` · revalidated ${targets.size} file${targets.size === 1 ? '' : 's'}` +
+      (dependents > 0 ? ` (${dependents} dependent${dependents === 1 ? '' : 's'})` : '')
+    );
+  }
+
+  /**
+   * Update the reference graph for a file
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<void>}
+   */
+  async updateGraph(filePath) {
+    try {
+      this.graph.setFile(filePath, await fs.readJSON(filePath));
+    } catch (error) {
+      // Unreadable JSON has no usable references; validation reports the parse error
+      this.graph.setFile(filePath, {});
+    }
+  }
+
+  /**
+   * Validate files without letting per-file output scroll the summary
+   * @param {Array<string>} files - Absolute file paths
+   * @returns {Promise<void>}
+   */
+  async validateFiles(files) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      for (const filePath of files) {
+        this.results.set(filePath, await this.options.validateFile(filePath));
+      }
+    } finally {
+      console.log = log;
+    }
+  }
+
+  /**
+   * Print the current state of all components
+   * @param {string} lastRun - Description of the last run
+   */
+  render(lastRun) {
+    const report = new ValidationReport();
+    const files = [...this.results.keys()].sort();
+    // Domain-wide findings can change without the file itself changing, so they are applied on every render
+    files.forEach(filePath => report.addFile(this.options.annotateResult(this.results.get(filePath), filePath).record));
+
+    const lines = [];
+    lines.push(chalk.blue(`👀 Watching ${this.relative(this.options.rootPath) || '.'} for changes (Ctrl+C to stop)`));
+    if (this.options.header) {
+      lines.push(chalk.gray(this.options.header));
+    }
+    lines.push(chalk.gray(`🕒 ${new Date().toLocaleTimeString()} ${lastRun}`));
+    lines.push('');
+
+    const problemFiles = report.files.filter(file => !file.valid || file.warnings.length > 0);
+    if (problemFiles.length === 0) {
+      lines.push(chalk.green(`🎉 All ${report.files.length} components valid`));
+    }
+
+    for (const file of problemFiles) {
+      lines.push(file.valid ? chalk.yellow(`⚠️  ${file.file}`) : chalk.red(`❌ ${file.file}`));
+      const problems = report.getProblems(file);
+      problems.slice(0, 5).forEach(problem => {
+        const color = problem.level === 'error' ? chalk.red : chalk.yellow;
+        lines.push(color(`    ${report.location(file, problem)}${problem.rule}: ${problem.text.split('\n')[0]}`));
+      });
+      if (problems.length > 5) {
+        lines.push(chalk.gray(`    … ${problems.length - 5} more`));
+      }
+    }
+
+    const summary = report.summary;
+    lines.push('');
+    lines.push(chalk.blue(
+      `📊 Files: ${summary.valid}/${summary.files} valid · ` +
+      `Schema errors: ${summary.schemaErrors} · Reference errors: ${summary.referenceErrors} · ` +
+      `Errors: ${summary.errors} · Warnings: ${summary.warnings}`
+    ));
+
+    if (this.options.clearScreen) {
+      process.stdout.write('\x1b[2J\x1b[3J\x1b[H');
+    } else {
+      lines.unshift(chalk.gray('─'.repeat(60)));
+    }
+    console.log(lines.join('\n'));
+  }
+
+  /**
+   * Path relative to the project root
+   * @param {string} filePath - Absolute path
+   * @returns {string} Relative path
+   */
+  relative(filePath) {
+    return path.relative(this.options.projectRoot, filePath);
+  }
+}
+
+module.exports = ValidationWatcher;
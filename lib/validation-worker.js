@@ -0,0 +1,58 @@
+const { parentPort, workerData } = require('worker_threads');
+const util = require('util');
+const chalk = require('chalk');
+const RefResolver = require('./ref-resolver');
+const ComponentValidator = require('./component-validator');
+
+/**
+ * Validation worker (started by ValidationPool).
+ *
+ * Each worker owns a RefResolver, and with it an AJV instance compiled from the runtime schemas.
+ * Package downloads are delegated to the main thread so every package is fetched once per run.
+ * Console output is captured per file and returned with the result, so the pool can print it in file order.
+ */
+
+// Worker stdout is not a TTY; keep the color level of the main thread
+chalk.level = workerData.colorLevel;
+
+let output = [];
+console.log = (...args) => output.push(util.format(...args));
+
+const resolver = new RefResolver(workerData.resolverOptions);
+const validator = new ComponentValidator({
+  resolver,
+  domain: workerData.domain,
+  resolveRefs: workerData.resolveRefs,
+  projectRoot: workerData.projectRoot
+});
+
+const packageRequests = new Map();
+let nextRequestId = 0;
+
+resolver.ensurePackage = (packageName) => new Promise((resolve, reject) => {
+  const requestId = nextRequestId++;
+  packageRequests.set(requestId, { resolve, reject });
+  parentPort.postMessage({ type: 'ensurePackage', requestId, packageName });
+});
+
+const ready = resolver.loadValidationConfig(workerData.configPath);
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'package') {
+    const request = packageRequests.get(message.requestId);
+    packageRequests.delete(message.requestId);
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.packagePath);
+    }
+    return;
+  }
+
+  if (message.type === 'validate') {
+    await ready;
+    output = [];
+    const result = await validator.validateFile(message.filePath);
+    parentPort.postMessage({ type: 'result', index: message.index, result: { ...result, output } });
+  }
+});
@@ -0,0 +1,205 @@
+const chalk = require('chalk');
+
+/**
+ * Semantic checks of sys-flows workflows that JSON Schema cannot express.
+ *
+ * The analyzer builds the state graph from `attributes.startTransition`, `attributes.states[].transitions`
+ * and `attributes.sharedTransitions` (available in the states listed in `availableIn`) and reports:
+ * - workflow/missing-target (error): a transition targets a state that does not exist
+ * - workflow/start-state (error): more than one initial state, or none at all
+ * - workflow/duplicate-state (error): two states share a key
+ * - workflow/duplicate-transition (error): two transitions available in the same state share a key
+ * - workflow/dead-end (error): a non-final state has no outgoing transition
+ * - workflow/unreachable (warning): a state cannot be reached from the start state
+ *
+ * Findings have the lint finding format ({ rule, severity, path, message }).
+ */
+class WorkflowAnalyzer {
+  /**
+   * State types of the vNext engine
+   * @returns {Object} State type name to value
+   */
+  static get stateTypes() {
+    return { initial: 1, intermediate: 2, final: 3, subFlow: 4 };
+  }
+
+  /**
+   * Normalize a stateType value (numbers or names like "Initial", "Finish")
+   * @param {number|string} stateType - State type
+   * @returns {number|null} Numeric state type
+   */
+  static normalizeStateType(stateType) {
+    if (typeof stateType === 'number') {
+      return stateType;
+    }
+    const names = { initial: 1, intermediate: 2, final: 3, finish: 3, subflow: 4 };
+    return typeof stateType === 'string' ? (names[stateType.toLowerCase()] || Number(stateType) || null) : null;
+  }
+
+  /**
+   * Analyze a workflow component
+   * @param {Object} workflow - Workflow component JSON
+   * @returns {Array<Object>} Findings ({ rule, severity, path, message })
+   */
+  analyze(workflow) {
+    const findings = [];
+    const report = (rule, severity, path, message) => findings.push({ rule: `workflow/${rule}`, severity, path, message });
+
+    const attributes = workflow.attributes || {};
+    const states = Array.isArray(attributes.states) ? attributes.states : [];
+    const sharedTransitions = Array.isArray(attributes.sharedTransitions) ? attributes.sharedTransitions : [];
+    const { initial, final } = WorkflowAnalyzer.stateTypes;
+
+    // States
+    const stateIndex = new Map();
+    states.forEach((state, index) => {
+      if (!state || typeof state.key !== 'string') {
+        return;
+      }
+      if (stateIndex.has(state.key)) {
+        report('duplicate-state', 'error', `/attributes/states/${index}/key`, `State '${state.key}' is defined more than once`);
+      } else {
+        stateIndex.set(state.key, index);
+      }
+    });
+
+    const hasState = (target) => target === '$self' || stateIndex.has(target);
+
+    // Start state
+    const initialStates = states
+      .map((state, index) => ({ state, index }))
+      .filter(({ state }) => state && WorkflowAnalyzer.normalizeStateType(state.stateType) === initial);
+    if (initialStates.length > 1) {
+      initialStates.slice(1).forEach(({ state, index }) => report(
+        'start-state', 'error', `/attributes/states/${index}/stateType`,
+        `State '${state.key}' is a second start state (first: '${initialStates[0].state.key}')`
+      ));
+    }
+
+    const startTransition = attributes.startTransition;
+    const startTargets = [];
+    if (startTransition && startTransition.target !== undefined) {
+      if (!hasState(startTransition.target)) {
+        report('missing-target', 'error', '/attributes/startTransition/target', `Start transition targets unknown state '${startTransition.target}'`);
+      } else {
+        startTargets.push(startTransition.target);
+      }
+    } else if (initialStates.length > 0) {
+      startTargets.push(initialStates[0].state.key);
+    } else if (states.length > 0) {
+      report('start-state', 'error', '/attributes', 'Workflow has no start state (no startTransition and no initial state)');
+    }
+
+    // Transitions and edges
+    const edges = new Map([...stateIndex.keys()].map(key => [key, new Set()]));
+    const transitionKeys = new Map([...stateIndex.keys()].map(key => [key, new Map()]));
+
+    const addTransition = (from, transition, path, label) => {
+      if (!transition || typeof transition !== 'object') {
+        return;
+      }
+
+      const keys = transitionKeys.get(from);
+      if (keys && transition.key !== undefined) {
+        if (keys.has(transition.key)) {
+          report('duplicate-transition', 'error', `${path}/key`,
+            `Transition '${transition.key}' is available more than once in state '${from}' (also ${keys.get(transition.key)})`);
+        } else {
+          keys.set(transition.key, label);
+        }
+      }
+
+      if (transition.target !== undefined && hasState(transition.target) && edges.has(from)) {
+        edges.get(from).add(transition.target === '$self' ? from : transition.target);
+      }
+    };
+
+    states.forEach((state, stateIdx) => {
+      if (!state || typeof state.key !== 'string') {
+        return;
+      }
+      (Array.isArray(state.transitions) ? state.transitions : []).forEach((transition, index) => {
+        const path = `/attributes/states/${stateIdx}/transitions/${index}`;
+        if (transition && transition.target !== undefined && !hasState(transition.target)) {
+          report('missing-target', 'error', `${path}/target`,
+            `Transition '${transition.key}' of state '${state.key}' targets unknown state '${transition.target}'`);
+        }
+        addTransition(state.key, transition, path, `transitions/${index}`);
+      });
+    });
+
+    sharedTransitions.forEach((transition, index) => {
+      const path = `/attributes/sharedTransitions/${index}`;
+      if (!transition || typeof transition !== 'object') {
+        return;
+      }
+      if (transition.target !== undefined && !hasState(transition.target)) {
+        report('missing-target', 'error', `${path}/target`,
+          `Shared transition '${transition.key}' targets unknown state '${transition.target}'`);
+      }
+
+      const availableIn = Array.isArray(transition.availableIn) ? transition.availableIn : [];
+      availableIn.forEach((stateKey, availableIndex) => {
+        if (!stateIndex.has(stateKey)) {
+          report('missing-target', 'error', `${path}/availableIn/${availableIndex}`,
+            `Shared transition '${transition.key}' is available in unknown state '${stateKey}'`);
+          return;
+        }
+        addTransition(stateKey, transition, path, `sharedTransitions/${index}`);
+      });
+    });
+
+    // Dead ends
+    states.forEach((state, index) => {
+      if (!state || typeof state.key !== 'string' || stateIndex.get(state.key) !== index) {
+        return;
+      }
+      if (WorkflowAnalyzer.normalizeStateType(state.stateType) !== final && transitionKeys.get(state.key).size === 0 &&
+          edges.get(state.key).size === 0) {
+        report('dead-end', 'error', `/attributes/states/${index}`,
+          `State '${state.key}' is not a final state but has no outgoing transitions`);
+      }
+    });
+
+    // Reachability from the start state
+    if (startTargets.length > 0) {
+      const reached = new Set(startTargets);
+      const queue = [...startTargets];
+      while (queue.length > 0) {
+        for (const target of edges.get(queue.shift()) || []) {
+          if (!reached.has(target)) {
+            reached.add(target);
+            queue.push(target);
+          }
+        }
+      }
+
+      for (const [key, index] of stateIndex) {
+        if (!reached.has(key)) {
+          report('unreachable', 'warning', `/attributes/states/${index}`, `State '${key}' cannot be reached from the start state`);
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Print findings below a component line
+   * @param {Array<Object>} findings - Findings
+   */
+  printFindings(findings) {
+    if (findings.length === 0) {
+      console.log(chalk.green('  ✅ Workflow state machine is consistent'));
+      return;
+    }
+
+    console.log(chalk.yellow('    Workflow:'));
+    findings.forEach(finding => {
+      const color = finding.severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`      ${finding.severity === 'error' ? '✗' : '⚠'} ${finding.message} (${finding.rule})`));
+    });
+  }
+}
+
+module.exports = WorkflowAnalyzer;
@@ -0,0 +1,175 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Multi-domain workspace described by a root vnext.workspace.json file.
+ *
+ * Example:
+ * {
+ *   "name": "banking",
+ *   "members": ["core", "loan", "customer"]
+ * }
+ *
+ * Every member is a folder (relative to the workspace root) containing a regular
+ * vNext domain project with its own vnext.config.json and package.json.
+ */
+class Workspace {
+  constructor(rootPath, definition = {}) {
+    this.rootPath = rootPath;
+    this.name = definition.name || path.basename(rootPath);
+    this.members = definition.members || [];
+    this.raw = definition;
+    this.memberCache = null;
+  }
+
+  /**
+   * Workspace file name at the workspace root
+   * @returns {string} File name
+   */
+  static get fileName() {
+    return 'vnext.workspace.json';
+  }
+
+  /**
+   * Load a workspace from its root directory
+   * @param {string} rootPath - Workspace root directory
+   * @returns {Promise<Workspace>} Workspace
+   */
+  static async load(rootPath) {
+    const workspacePath = path.join(rootPath, Workspace.fileName);
+    if (!(await fs.pathExists(workspacePath))) {
+      throw new Error(`${Workspace.fileName} not found in ${rootPath}`);
+    }
+
+    let definition;
+    try {
+      definition = await fs.readJSON(workspacePath);
+    } catch (error) {
+      throw new Error(`Invalid ${Workspace.fileName}: ${error.message}`);
+    }
+
+    if (!Array.isArray(definition.members) || definition.members.some(member => typeof member !== 'string')) {
+      throw new Error(`${Workspace.fileName} must declare "members" as an array of folder paths`);
+    }
+
+    return new Workspace(rootPath, definition);
+  }
+
+  /**
+   * Find the workspace containing a directory (the directory itself or any parent)
+   * @param {string} startPath - Directory to start from
+   * @returns {Promise<Workspace|null>} Workspace or null if the directory is not in a workspace
+   */
+  static async find(startPath = process.cwd()) {
+    let current = path.resolve(startPath);
+
+    while (true) {
+      if (await fs.pathExists(path.join(current, Workspace.fileName))) {
+        return Workspace.load(current);
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return null;
+      }
+      current = parent;
+    }
+  }
+
+  /**
+   * Create a new empty workspace file
+   * @param {string} rootPath - Workspace root directory
+   * @param {string} name - Workspace name
+   * @returns {Promise<Workspace>} Workspace
+   */
+  static async create(rootPath, name = path.basename(rootPath)) {
+    const workspace = new Workspace(rootPath, { name, members: [] });
+    await workspace.save();
+    return workspace;
+  }
+
+  /**
+   * Write the workspace file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.writeJSON(
+      path.join(this.rootPath, Workspace.fileName),
+      { ...this.raw, name: this.name, members: this.members },
+      { spaces: 2 }
+    );
+    this.memberCache = null;
+  }
+
+  /**
+   * Add a member folder to the workspace
+   * @param {string} memberPath - Member folder (absolute or relative to the workspace root)
+   * @returns {Promise<boolean>} True if the member was added, false if it was already listed
+   */
+  async addMember(memberPath) {
+    const relativePath = path.relative(this.rootPath, path.resolve(this.rootPath, memberPath)).split(path.sep).join('/');
+    if (this.members.includes(relativePath)) {
+      return false;
+    }
+
+    this.members.push(relativePath);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Load all member projects
+   * @returns {Promise<Array<Object>>} Members ({ name, path, configPath, config, packageName })
+   * @throws {Error} If a member folder is not a vNext domain project
+   */
+  async getMembers() {
+    if (this.memberCache) {
+      return this.memberCache;
+    }
+
+    const members = [];
+    for (const member of this.members) {
+      const memberPath = path.resolve(this.rootPath, member);
+      const configPath = path.join(memberPath, 'vnext.config.json');
+      if (!(await fs.pathExists(configPath))) {
+        throw new Error(`Workspace member '${member}' has no vnext.config.json`);
+      }
+
+      const config = await fs.readJSON(configPath);
+      const packageJsonPath = path.join(memberPath, 'package.json');
+      const packageJson = (await fs.pathExists(packageJsonPath)) ? await fs.readJSON(packageJsonPath) : {};
+
+      members.push({
+        name: member,
+        path: memberPath,
+        configPath,
+        config,
+        packageName: packageJson.name || null
+      });
+    }
+
+    const domains = new Map();
+    for (const member of members) {
+      if (domains.has(member.config.domain)) {
+        throw new Error(`Workspace members '${domains.get(member.config.domain)}' and '${member.name}' use the same domain '${member.config.domain}'`);
+      }
+      domains.set(member.config.domain, member.name);
+    }
+
+    this.memberCache = members;
+    return members;
+  }
+
+  /**
+   * Get the member that publishes a package
+   * @param {string} packageName - NPM package name (reference and runtime build suffixes are accepted)
+   * @returns {Promise<Object|null>} Member or null if no member publishes the package
+   */
+  async getMemberByPackage(packageName) {
+    const baseName = packageName.replace(/-(reference|runtime)$/, '');
+    const members = await this.getMembers();
+    return members.find(member => member.packageName === packageName || member.packageName === baseName) || null;
+  }
+}
+
+module.exports = Workspace;
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { runTests, writeProject, writeTemplate, packTarball, runCli } = require('./test-helpers');
+
+runTests('CLI commands', {
+  'add writes the component version given on the command line': async (tmpDir) => {
+    await writeProject(tmpDir, {}, { exports: {} });
+
+    const long = runCli(['add', 'task', 'check-limit', '--component-version', '2.0.0'], tmpDir);
+    assert.strictEqual(long.status, 0, long.stderr);
+    assert.strictEqual((await fs.readJSON(path.join(tmpDir, 'loan', 'Tasks', 'check-limit.json'))).version, '2.0.0');
+
+    const short = runCli(['add', 'task', 'check-score', '-v', '3.1.0'], tmpDir);
+    assert.strictEqual(short.status, 0, short.stderr);
+    assert.strictEqual((await fs.readJSON(path.join(tmpDir, 'loan', 'Tasks', 'check-score.json'))).version, '3.1.0');
+  },
+
+  'add defaults the component version to 1.0.0': async (tmpDir) => {
+    await writeProject(tmpDir, {}, { exports: {} });
+
+    const result = runCli(['add', 'workflow', 'loan-application'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual((await fs.readJSON(path.join(tmpDir, 'loan', 'Workflows', 'loan-application.json'))).version, '1.0.0');
+  },
+
+  'template-verify checks the template version given on the command line': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '2.0.0');
+    const imported = runCli(['template-import', await packTarball(templateDir, path.join(tmpDir, 'template.tgz'))], tmpDir);
+    assert.strictEqual(imported.status, 0, imported.stderr);
+
+    const valid = runCli(['template-verify', '--template-version', '2.0.0'], tmpDir);
+    assert.strictEqual(valid.status, 0, valid.stderr);
+    assert.match(valid.stdout, /@2\.0\.0/);
+    assert.match(valid.stdout, /Template structure is valid/);
+
+    const missing = runCli(['template-verify', '-v', '9.9.9'], tmpDir);
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /9\.9\.9/);
+  },
+
+  'init and create use the template version given on the command line': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '2.0.0');
+    assert.strictEqual(runCli(['template-import', await packTarball(templateDir, path.join(tmpDir, 'template.tgz'))], tmpDir).status, 0);
+
+    const created = runCli(['create', 'created', '--template-version', '2.0.0', '--yes', '--no-hooks'], tmpDir);
+    assert.strictEqual(created.status, 0, created.stderr);
+    assert.strictEqual((await fs.readJSON(path.join(tmpDir, 'created', 'vnext.config.json'))).template.version, '2.0.0');
+
+    const projectRoot = path.join(tmpDir, 'initialized');
+    await fs.ensureDir(projectRoot);
+    const initialized = runCli(['init', '--template-version', '2.0.0', '--yes', '--no-hooks'], projectRoot, {
+      AMORPHIE_CACHE_DIR: path.join(tmpDir, '.test-cache')
+    });
+    assert.strictEqual(initialized.status, 0, initialized.stderr);
+    assert.strictEqual((await fs.readJSON(path.join(projectRoot, 'vnext.config.json'))).template.version, '2.0.0');
+  },
+
+  'init keeps an existing package.json that differs from the template': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '1.0.0');
+    const projectRoot = path.join(tmpDir, 'loan');
+    const existing = { name: 'loan', version: '3.0.0', description: 'Existing description' };
+    await fs.outputJSON(path.join(projectRoot, 'package.json'), existing);
+
+    const result = runCli(['init', '--template', templateDir, '--description', 'New desc', '--yes', '--no-hooks'], projectRoot);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(await fs.readJSON(path.join(projectRoot, 'package.json')), existing);
+    assert.match(result.stdout, /Existing package\.json kept/);
+    assert.strictEqual((await fs.readJSON(path.join(projectRoot, 'vnext.config.json'))).description, 'New desc');
+  },
+
+  'init writes nothing when a kept vnext.config.json belongs to another domain': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '1.0.0');
+    const projectRoot = path.join(tmpDir, 'proj');
+    const existing = { version: '1.0.0', domain: 'legacy', description: 'Legacy domain', paths: { componentsRoot: 'legacy' }, exports: {} };
+    await fs.outputJSON(path.join(projectRoot, 'vnext.config.json'), existing);
+    await fs.outputFile(path.join(projectRoot, 'README.md'), 'Legacy\n');
+
+    const failed = runCli(['init', '--template', templateDir, '--yes', '--no-hooks'], projectRoot);
+    assert.strictEqual(failed.status, 1);
+    assert.match(failed.stderr, /'domain' is 'legacy', expected 'proj'/);
+    assert.match(failed.stderr, /nothing was written/);
+    assert.deepStrictEqual((await fs.readdir(projectRoot)).sort(), ['.test-cache', 'README.md', 'vnext.config.json']);
+
+    const initialized = runCli(['init', '--template', templateDir, '--domain', 'legacy', '--yes', '--no-hooks'], projectRoot);
+    assert.strictEqual(initialized.status, 0, initialized.stderr);
+    assert.match(initialized.stdout, /conflict\s+vnext\.config\.json/);
+    assert.match(initialized.stdout, /added\s+package\.json/);
+    assert.deepStrictEqual(await fs.readJSON(path.join(projectRoot, 'vnext.config.json')), existing);
+    assert.ok(await fs.pathExists(path.join(projectRoot, 'legacy', 'Tasks', '.gitkeep')));
+  },
+
+  'publish points to the schema cache in offline mode': async (tmpDir) => {
+    await writeProject(tmpDir, {}, { runtimeVersion: '0.0.50', exports: {} });
+
+    const result = runCli(['publish', '--dry-run'], tmpDir);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /Failed to load runtime schemas/);
+    assert.match(result.stdout, /Offline mode uses cached schema packages only/);
+    assert.doesNotMatch(result.stdout + result.stderr, /NPM access required/);
+  },
+
+  'create applies domain, description and runtime version from the command line without prompting': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'));
+
+    const result = runCli(['create', 'Loan App', '--template', templateDir, '--domain', 'loans', '--description', 'Loan origination', '--runtime-version', '0.0.50'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    const config = await fs.readJSON(path.join(tmpDir, 'Loan App', 'vnext.config.json'));
+    assert.strictEqual(config.domain, 'loans');
+    assert.strictEqual(config.description, 'Loan origination');
+    assert.strictEqual(config.runtimeVersion, '0.0.50');
+    assert.ok(await fs.pathExists(path.join(tmpDir, 'Loan App', 'loans', 'Tasks')));
+    assert.strictEqual((await fs.readJSON(path.join(tmpDir, 'Loan App', 'package.json'))).description, 'Loan origination');
+  },
+
+  'create reads settings from --answers and lets the command line override them': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'));
+    await fs.outputJSON(path.join(tmpDir, 'answers.json'), {
+      projectName: 'loan-app',
+      domain: 'loan',
+      description: 'From answers',
+      exports: { tasks: ['check.json'] }
+    });
+
+    const result = runCli(['create', '--template', templateDir, '--answers', 'answers.json', '--description', 'From flags'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    const config = await fs.readJSON(path.join(tmpDir, 'loan-app', 'vnext.config.json'));
+    assert.strictEqual(config.domain, 'loan');
+    assert.strictEqual(config.description, 'From flags');
+    assert.deepStrictEqual(config.exports, { tasks: ['check.json'] });
+  },
+
+  'create fails clearly on missing or invalid settings when it cannot prompt': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'));
+    const create = (...args) => runCli(['create', ...args, '--template', templateDir], tmpDir);
+
+    const noName = create();
+    assert.strictEqual(noName.status, 1);
+    assert.match(noName.stderr, /Project name is required\. Pass it as an argument or in --answers \(stdin is not a TTY, so it cannot be prompted for\)/);
+
+    assert.match(create('loan', '--domain', 'Loan Domain').stderr, /Invalid domain name 'Loan Domain'/);
+    assert.match(create('loan', '--runtime-version', 'next').stderr, /Invalid runtime version 'next'/);
+    assert.match(create('loan', '--answers', 'missing.json').stderr, /Answers file not found: missing\.json/);
+    await fs.outputJSON(path.join(tmpDir, 'answers.json'), { exports: ['check.json'] });
+    assert.match(create('loan', '--answers', 'answers.json').stderr, /Answers file "exports" must be an object of category arrays/);
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'loan')), false);
+  },
+
+  'create --dry-run previews the project without writing it': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '1.0.0', { 'README.md': '# {packageName}\n' });
+
+    const result = runCli(['create', 'loan-app', '--template', templateDir, '--domain', 'loan', '--description', 'Loans', '--dry-run'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /Dry run: nothing will be written/);
+    assert.match(result.stdout, /\{packageName\} → loan-app/);
+    assert.match(result.stdout, /description: Loans/);
+    assert.match(result.stdout, /README\.md \(11 B\)/);
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'loan-app')), false);
+  },
+
+  'create --dry-run --json prints only the preview document': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '1.0.0', { 'README.md': '# {packageName}\n' });
+    await fs.ensureDir(path.join(tmpDir, 'loan-app'));
+
+    const result = runCli(['create', 'loan-app', '--template', templateDir, '--domain', 'loan', '--runtime-version', '0.0.50', '--dry-run', '--json'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    const preview = JSON.parse(result.stdout);
+    assert.deepStrictEqual(Object.keys(preview), [
+      'dryRun', 'projectName', 'domain', 'targetPath', 'targetExists', 'template', 'placeholders', 'variables',
+      'settings', 'files', 'totalFiles', 'totalSize', 'postCreate'
+    ]);
+    assert.strictEqual(preview.projectName, 'loan-app');
+    assert.strictEqual(preview.domain, 'loan');
+    assert.strictEqual(preview.targetPath, path.join(tmpDir, 'loan-app'));
+    assert.strictEqual(preview.targetExists, true);
+    assert.strictEqual(preview.template.version, '1.0.0');
+    assert.strictEqual(preview.placeholders['{packageName}'], 'loan-app');
+    assert.deepStrictEqual(preview.settings, { description: null, runtimeVersion: '0.0.50', exports: null });
+    assert.deepStrictEqual(preview.files.find(file => file.path === 'README.md'), { path: 'README.md', size: 11 });
+    assert.ok(preview.files.some(file => file.path === 'loan/Tasks/.gitkeep'));
+    assert.strictEqual(preview.totalFiles, preview.files.length);
+    assert.strictEqual(preview.totalSize, preview.files.reduce((sum, file) => sum + file.size, 0));
+    assert.deepStrictEqual(preview.postCreate, []);
+    assert.deepStrictEqual(await fs.readdir(path.join(tmpDir, 'loan-app')), []);
+
+    const withoutDryRun = runCli(['create', 'loan-app', '--template', templateDir, '--json'], tmpDir);
+    assert.strictEqual(withoutDryRun.status, 1);
+    assert.match(withoutDryRun.stderr, /--json is only supported together with --dry-run/);
+  }
+});
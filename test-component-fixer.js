@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const RefResolver = require('./lib/ref-resolver');
+const ComponentFixer = require('./lib/component-fixer');
+const { runTests, writeProject, component } = require('./test-helpers');
+
+/**
+ * Create a fixer for a project
+ * @param {string} projectRoot - Project folder
+ * @returns {ComponentFixer} Fixer
+ */
+function createFixer(projectRoot) {
+  return new ComponentFixer({ resolver: new RefResolver({ projectRoot }), projectRoot, domain: 'loan' });
+}
+
+/**
+ * Absolute path of a component file
+ * @param {string} projectRoot - Project folder
+ * @param {string} relativePath - Path below the components root
+ * @returns {string} Absolute path
+ */
+function componentPath(projectRoot, relativePath) {
+  return path.join(projectRoot, 'loan', relativePath);
+}
+
+runTests('ComponentFixer', {
+  'fixes key, version, domain and flow of a component': async (tmpDir) => {
+    const broken = { key: 'CheckCredit', version: '1.0', domain: 'other', tags: ['test'], attributes: {} };
+    await writeProject(tmpDir, { 'Tasks/check-credit.json': broken });
+    const filePath = componentPath(tmpDir, 'Tasks/check-credit.json');
+
+    const [change] = await createFixer(tmpDir).plan([filePath], [filePath]);
+    const fixed = JSON.parse(change.after);
+
+    assert.deepStrictEqual(change.fixes.map(fix => fix.rule), ['key', 'version', 'domain', 'flow']);
+    assert.deepStrictEqual(Object.keys(fixed).slice(0, 4), ['key', 'version', 'domain', 'flow']);
+    assert.strictEqual(fixed.key, 'check-credit');
+    assert.strictEqual(fixed.version, '1.0.0');
+    assert.strictEqual(fixed.domain, 'loan');
+    assert.strictEqual(fixed.flow, 'sys-tasks');
+    assert.strictEqual(change.newPath, filePath);
+  },
+
+  'renames files to their key and rewrites refs in other components': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/Old_Name.1.0.json': component('old-name', 'sys-tasks', { version: '1.0' }),
+      'Workflows/flow.json': component('flow', 'sys-flows', { attributes: { task: { ref: 'Tasks/Old_Name.1.0.json' } } })
+    });
+    const taskPath = componentPath(tmpDir, 'Tasks/Old_Name.1.0.json');
+    const flowPath = componentPath(tmpDir, 'Workflows/flow.json');
+
+    const changes = await createFixer(tmpDir).plan([taskPath], [taskPath, flowPath]);
+    const taskChange = changes.find(change => change.filePath === taskPath);
+    const flowChange = changes.find(change => change.filePath === flowPath);
+
+    assert.strictEqual(taskChange.newPath, componentPath(tmpDir, 'Tasks/old-name.1.0.0.json'));
+    assert.strictEqual(JSON.parse(flowChange.after).attributes.task.ref, 'Tasks/old-name.1.0.0.json');
+    assert.deepStrictEqual(flowChange.fixes, [{ rule: 'ref', message: 'Tasks/Old_Name.1.0.json → Tasks/old-name.1.0.0.json' }]);
+  },
+
+  'rewrites plain references to re-keyed components': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/LoanCheck.json': component('LoanCheck'),
+      'Workflows/flow.json': component('flow', 'sys-flows', {
+        attributes: { task: { key: 'LoanCheck', version: '1.0.0', domain: 'loan', flow: 'sys-tasks' } }
+      })
+    });
+    const taskPath = componentPath(tmpDir, 'Tasks/LoanCheck.json');
+    const flowPath = componentPath(tmpDir, 'Workflows/flow.json');
+
+    const changes = await createFixer(tmpDir).plan([taskPath], [taskPath, flowPath]);
+    const flowChange = changes.find(change => change.filePath === flowPath);
+
+    assert.strictEqual(changes.find(change => change.filePath === taskPath).newPath, componentPath(tmpDir, 'Tasks/loan-check.json'));
+    assert.strictEqual(JSON.parse(flowChange.after).attributes.task.key, 'loan-check');
+  },
+
+  'does not touch JSON Schema content of schema components': async (tmpDir) => {
+    const schemaComponent = component('customer', 'sys-schemas', {
+      attributes: { schema: { properties: { owner: { key: 'LoanCheck', version: '1.0.0', domain: 'loan', flow: 'sys-tasks' } } } }
+    });
+    await writeProject(tmpDir, {
+      'Tasks/LoanCheck.json': component('LoanCheck'),
+      'Schemas/customer.json': schemaComponent
+    });
+    const taskPath = componentPath(tmpDir, 'Tasks/LoanCheck.json');
+    const schemaPath = componentPath(tmpDir, 'Schemas/customer.json');
+
+    const changes = await createFixer(tmpDir).plan([taskPath], [taskPath, schemaPath]);
+    assert.ok(!changes.some(change => change.filePath === schemaPath));
+  },
+
+  'keeps the file name when the target already exists': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/Loan.json': component('Loan'),
+      'Tasks/loan.json': component('loan-other')
+    });
+    const filePath = componentPath(tmpDir, 'Tasks/Loan.json');
+    if ((await fs.readdir(path.dirname(filePath))).length < 2) {
+      return; // Case-insensitive file system: both names are the same file
+    }
+
+    const [change] = await createFixer(tmpDir).plan([filePath], [filePath]);
+    assert.strictEqual(change.newPath, filePath);
+    assert.match(change.fixes.find(fix => fix.rule === 'filename').message, /already exists/);
+  },
+
+  'keeps indentation and trailing newline, and applies renames': async (tmpDir) => {
+    await writeProject(tmpDir);
+    const filePath = componentPath(tmpDir, 'Tasks/My Task.json');
+    await fs.outputFile(filePath, `${JSON.stringify(component('MyTask'), null, 4)}\n`);
+
+    const fixer = createFixer(tmpDir);
+    const changes = await fixer.plan([filePath], [filePath]);
+    assert.ok(changes[0].after.startsWith('{\n    "key": "my-task"'));
+    assert.ok(changes[0].after.endsWith('}\n'));
+
+    const renamed = await fixer.apply(changes);
+    const newPath = componentPath(tmpDir, 'Tasks/my-task.json');
+    assert.strictEqual(renamed.get(filePath), newPath);
+    assert.strictEqual(await fs.pathExists(filePath), false);
+    assert.strictEqual((await fs.readJSON(newPath)).key, 'my-task');
+  },
+
+  'skips files with invalid JSON': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/broken.json': '{ "key": ' });
+    const filePath = componentPath(tmpDir, 'Tasks/broken.json');
+    assert.deepStrictEqual(await createFixer(tmpDir).plan([filePath], [filePath]), []);
+  }
+});
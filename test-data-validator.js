@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const RefResolver = require('./lib/ref-resolver');
+const DataValidator = require('./lib/data-validator');
+const { runTests, writeProject, component, runCli } = require('./test-helpers');
+
+/**
+ * Build a customer schema component
+ * @param {string} version - Component version
+ * @param {Array<string>} required - Required properties
+ * @returns {Object} Component JSON
+ */
+function customerSchema(version, required) {
+  return component('customer', 'sys-schemas', {
+    version,
+    attributes: {
+      type: 'workflow',
+      schema: {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `https://schemas.example.com/loan/customer/${version}`,
+        type: 'object',
+        properties: { name: { type: 'string' }, age: { type: 'integer' } },
+        required,
+        additionalProperties: false
+      }
+    }
+  });
+}
+
+/**
+ * Create a validator for a project
+ * @param {string} projectRoot - Project folder
+ * @returns {Promise<Object>} { validator, files }
+ */
+async function createValidator(projectRoot) {
+  const resolver = new RefResolver({ projectRoot, cacheDir: path.join(projectRoot, '.vnext-cache') });
+  await resolver.loadValidationConfig(path.join(projectRoot, 'vnext.config.json'));
+  const files = (await fs.readdir(path.join(projectRoot, 'loan', 'Schemas'))).map(file => path.join(projectRoot, 'loan', 'Schemas', file));
+  return { validator: new DataValidator({ resolver, projectRoot, domain: 'loan' }), files };
+}
+
+runTests('DataValidator', {
+  'finds the newest schema component by key, or a given version': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Schemas/customer.1.0.0.json': customerSchema('1.0.0', ['name']),
+      'Schemas/customer.1.2.0.json': customerSchema('1.2.0', ['name', 'age']),
+      'Tasks/customer.json': component('customer')
+    });
+    const { validator, files } = await createValidator(tmpDir);
+
+    assert.strictEqual((await validator.findSchemaComponent('customer', files)).component.version, '1.2.0');
+    const pinned = await validator.findSchemaComponent('customer@1.0.0', files);
+    assert.strictEqual(pinned.component.version, '1.0.0');
+    assert.strictEqual(pinned.source, path.join('loan', 'Schemas', 'customer.1.0.0.json'));
+    await assert.rejects(validator.findSchemaComponent('customer@9.9.9', files), /No sys-schemas component/);
+  },
+
+  'reports payload errors with their line and column': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Schemas/customer.json': customerSchema('1.0.0', ['name']) });
+    const { validator, files } = await createValidator(tmpDir);
+    const { component: schema } = await validator.findSchemaComponent('customer', files);
+    const validate = await validator.compile(schema);
+
+    const validPath = path.join(tmpDir, 'valid.json');
+    await fs.writeJSON(validPath, { name: 'Ada', age: 36 });
+    assert.strictEqual((await validator.validateFile(validPath, validate)).valid, true);
+
+    const invalidPath = path.join(tmpDir, 'invalid.json');
+    await fs.writeFile(invalidPath, '{\n  "name": "Ada",\n  "age": "old",\n  "extra": 1\n}\n');
+    const result = await validator.validateFile(invalidPath, validate);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(error => [error.path, error.line, error.column]).sort(), [['/age', 3, 10], ['/extra', 4, 3]]);
+
+    const brokenPath = path.join(tmpDir, 'broken.json');
+    await fs.writeFile(brokenPath, '{ "name": ');
+    assert.match((await validator.validateFile(brokenPath, validate)).errors[0].message, /^Invalid JSON/);
+  },
+
+  'rejects components that are not schemas': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Schemas/customer.json': customerSchema('1.0.0', []), 'Tasks/check.json': component('check') });
+    const { validator } = await createValidator(tmpDir);
+    await assert.rejects(validator.findSchemaComponent('Tasks/check.json', []), /is not a sys-schemas component/);
+  },
+
+  'validate-data exits with 1 when a payload is invalid': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Schemas/customer.json': customerSchema('1.0.0', ['name']) });
+    await fs.outputJSON(path.join(tmpDir, 'payloads', 'a.json'), { name: 'Ada' });
+    await fs.outputJSON(path.join(tmpDir, 'payloads', 'b.json'), { age: 1 });
+
+    const invalid = runCli(['validate-data', 'customer', 'payloads'], tmpDir);
+    assert.strictEqual(invalid.status, 1, invalid.stderr);
+    assert.match(invalid.stdout, /Payloads: 1\/2 valid/);
+
+    const valid = runCli(['validate-data', 'customer', 'payloads/a.json'], tmpDir);
+    assert.strictEqual(valid.status, 0, valid.stderr);
+  }
+});
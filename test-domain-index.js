@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const DomainIndex = require('./lib/domain-index');
+const { runTests, writeProject, component, cacheSchemas, runCli } = require('./test-helpers');
+
+/**
+ * Build the index of a project's components
+ * @param {string} projectRoot - Project folder
+ * @param {Array<string>} files - Paths relative to the components root
+ * @returns {Promise<DomainIndex>} Index
+ */
+function buildIndex(projectRoot, files) {
+  return new DomainIndex({ projectRoot, domain: 'loan' }).build(files.map(file => path.join(projectRoot, 'loan', file)));
+}
+
+/**
+ * Findings of a file as [rule, severity, path, line] tuples
+ * @param {DomainIndex} index - Index
+ * @param {string} projectRoot - Project folder
+ * @param {string} file - Path relative to the components root
+ * @returns {Array<Array>} Findings
+ */
+function findings(index, projectRoot, file) {
+  return index.getFindings(path.join(projectRoot, 'loan', file)).map(finding => [finding.rule, finding.severity, finding.path, finding.line]);
+}
+
+runTests('DomainIndex', {
+  'reports components that share domain, flow, key and version': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/check.json': component('check'),
+      'Tasks/check-copy.json': component('check'),
+      'Tasks/check-v2.json': component('check', 'sys-tasks', { version: '2.0.0' })
+    });
+    const index = await buildIndex(tmpDir, ['Tasks/check.json', 'Tasks/check-copy.json', 'Tasks/check-v2.json']);
+
+    assert.strictEqual(index.size, 3);
+    assert.deepStrictEqual(findings(index, tmpDir, 'Tasks/check.json'), [['domain/duplicate-component', 'error', '/key', 2]]);
+    assert.match(index.getFindings(path.join(tmpDir, 'loan', 'Tasks', 'check.json'))[0].message, /loan\/sys-tasks\/check@1\.0\.0 is also declared in loan\/Tasks\/check-copy\.json/);
+    assert.deepStrictEqual(findings(index, tmpDir, 'Tasks/check-v2.json'), []);
+  },
+
+  'reports domain mismatches and keys reused across flows': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/score.json': component('score'),
+      'Functions/score.json': component('score', 'sys-functions'),
+      'Tasks/foreign.json': component('foreign', 'sys-tasks', { domain: 'card' })
+    });
+    const index = await buildIndex(tmpDir, ['Tasks/score.json', 'Functions/score.json', 'Tasks/foreign.json']);
+
+    assert.deepStrictEqual(findings(index, tmpDir, 'Tasks/score.json'), [['domain/key-reused', 'warning', '/key', 2]]);
+    assert.deepStrictEqual(findings(index, tmpDir, 'Tasks/foreign.json'), [['domain/mismatch', 'error', '/domain', 4]]);
+  },
+
+  'skips files with invalid JSON': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/check.json': component('check'), 'Tasks/broken.json': '{ "key": ' });
+    const index = await buildIndex(tmpDir, ['Tasks/check.json', 'Tasks/broken.json']);
+
+    assert.strictEqual(index.size, 1);
+    assert.deepStrictEqual(findings(index, tmpDir, 'Tasks/broken.json'), []);
+  },
+
+  'adds findings to a copy of the validation record': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/a.json': component('check'), 'Tasks/b.json': component('check'), 'Tasks/c.json': component('c') });
+    const index = await buildIndex(tmpDir, ['Tasks/a.json', 'Tasks/b.json', 'Tasks/c.json']);
+    const result = { record: { file: 'loan/Tasks/a.json', errors: [], warnings: [] }, valid: true };
+
+    const applied = index.apply(result, path.join(tmpDir, 'loan', 'Tasks', 'a.json'));
+    assert.strictEqual(applied.valid, false);
+    assert.deepStrictEqual(applied.record.errors.map(error => [error.rule, error.line, error.column]), [['domain/duplicate-component', 2, 10]]);
+    assert.deepStrictEqual(result.record.errors, []);
+    assert.strictEqual(index.apply(result, path.join(tmpDir, 'loan', 'Tasks', 'c.json')), result);
+  },
+
+  'validate fails on duplicates also when validating a single file': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/check.json': component('check'),
+      'Tasks/check-copy.json': component('check')
+    }, { runtimeVersion: '0.0.50' });
+    await cacheSchemas(tmpDir);
+
+    const result = runCli(['validate', 'loan/Tasks/check.json', '--jobs', '1'], tmpDir);
+    assert.strictEqual(result.status, 1, result.stdout + result.stderr);
+    assert.match(result.stdout, /loan\/Tasks\/check\.json:2:10 domain\/duplicate-component/);
+    assert.match(result.stdout, /Domain index: 1 errors, 0 warnings/);
+  }
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const ExportsChecker = require('./lib/exports-checker');
+const DomainIndex = require('./lib/domain-index');
+const RefResolver = require('./lib/ref-resolver');
+const { runTests, writeProject, component, cacheSchemas, runCli } = require('./test-helpers');
+
+/**
+ * Check the exports of a project
+ * @param {string} projectRoot - Project folder
+ * @param {Object} files - Path relative to the components root to JSON content
+ * @param {Object} exports - exports section of vnext.config.json
+ * @param {Object} schemaValid - Path relative to the components root to false for files that fail schema validation
+ * @returns {Promise<ExportsChecker>} Checker
+ */
+async function checkExports(projectRoot, files, exports, schemaValid = {}) {
+  const config = await writeProject(projectRoot, files, { exports });
+  const filePaths = Object.keys(files).map(file => path.join(projectRoot, 'loan', file));
+  const domainIndex = await new DomainIndex({ projectRoot, domain: 'loan' }).build(filePaths);
+  const resolver = new RefResolver({ projectRoot, cacheDir: path.join(projectRoot, '.vnext-cache') });
+  const results = new Map(Object.keys(files).map(file => [path.join(projectRoot, 'loan', file), { schemaValid: schemaValid[file] !== false }]));
+
+  return new ExportsChecker({ projectRoot, config, resolver, domainIndex }).check(results);
+}
+
+/**
+ * Findings of a file as [rule, path, line] triples
+ * @param {ExportsChecker} checker - Checker
+ * @param {string} file - Project-relative file
+ * @returns {Array<Array>} Findings
+ */
+function findings(checker, file) {
+  return checker.getFindings(file).map(finding => [finding.rule, finding.path, finding.line]);
+}
+
+runTests('ExportsChecker', {
+  'accepts exports that are present, valid and self-contained': async (tmpDir) => {
+    const checker = await checkExports(tmpDir, {
+      'Tasks/check.json': component('check'),
+      'Workflows/loan-flow.json': component('loan-flow', 'sys-flows', { attributes: { task: { ref: 'Tasks/check.json' } } })
+    }, { tasks: ['check.json'], workflows: ['loan-flow.json'] });
+
+    assert.strictEqual(checker.size, 2);
+    assert.strictEqual(checker.errorCount, 0);
+    assert.strictEqual(checker.getConfigRecord(), null);
+  },
+
+  'reports missing exports and exports listed under the wrong category': async (tmpDir) => {
+    const checker = await checkExports(tmpDir, {
+      'Tasks/check.json': component('check'),
+      'Functions/score.json': component('score', 'sys-tasks')
+    }, { tasks: ['missing.json'], workflows: ['check.json'], functions: ['score.json'], reports: [] });
+
+    assert.deepStrictEqual(findings(checker, 'vnext.config.json'), [
+      ['exports/missing', '/exports/tasks/0', 9],
+      ['exports/wrong-category', '/exports/workflows/0', 12],
+      ['exports/wrong-category', '/exports/functions/0', 15],
+      ['exports/wrong-category', '/exports/reports', 17]
+    ]);
+    const messages = checker.getFindings('vnext.config.json').map(finding => finding.message);
+    assert.match(messages[1], /check\.json is listed in exports\.workflows but lives in Tasks \(exports\.tasks\)/);
+    assert.match(messages[2], /Functions\/score\.json has flow 'sys-tasks' but exports\.functions expects 'sys-functions'/);
+    assert.strictEqual(checker.getConfigRecord().errors.length, 4);
+  },
+
+  'reports exports that fail schema validation': async (tmpDir) => {
+    const checker = await checkExports(tmpDir, { 'Tasks/check.json': component('check') }, { tasks: ['check.json'] }, { 'Tasks/check.json': false });
+
+    assert.deepStrictEqual(findings(checker, 'vnext.config.json'), [['exports/invalid', '/exports/tasks/0', 9]]);
+  },
+
+  'reports local and plain references to components that are not exported': async (tmpDir) => {
+    const checker = await checkExports(tmpDir, {
+      'Tasks/check.json': component('check'),
+      'Tasks/score.json': component('score'),
+      'Tasks/public.json': component('public'),
+      'Workflows/loan-flow.json': component('loan-flow', 'sys-flows', {
+        attributes: {
+          local: { ref: 'Tasks/check.json' },
+          plain: { key: 'score', version: '1.0.0', domain: 'loan', flow: 'sys-tasks' },
+          exported: { ref: 'Tasks/public.json' },
+          external: { key: 'score', version: '1.0.0', domain: 'card', flow: 'sys-tasks' },
+          schema: { task: { ref: 'Tasks/check.json' } }
+        }
+      })
+    }, { tasks: ['public.json'], workflows: ['loan-flow.json'] });
+
+    assert.deepStrictEqual(findings(checker, 'loan/Workflows/loan-flow.json'), [
+      ['exports/private-dependency', '/attributes/local/ref', 12],
+      ['exports/private-dependency', '/attributes/plain', 14]
+    ]);
+    assert.match(checker.getFindings('loan/Workflows/loan-flow.json')[0].message, /references Tasks\/check\.json, which is not exported/);
+
+    const result = checker.apply({ record: { errors: [] }, valid: true }, path.join(tmpDir, 'loan', 'Workflows', 'loan-flow.json'));
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.record.errors.length, 2);
+  },
+
+  'checks nothing when exports are private': async (tmpDir) => {
+    const checker = await checkExports(tmpDir, { 'Tasks/check.json': component('check') }, { visibility: 'private', tasks: ['missing.json'] });
+
+    assert.strictEqual(checker.size, 0);
+    assert.strictEqual(checker.errorCount, 0);
+  },
+
+  'validate fails on private dependencies of exported components': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/check.json': component('check'),
+      'Workflows/loan-flow.json': component('loan-flow', 'sys-flows', { attributes: { task: { ref: 'Tasks/check.json' } } })
+    }, { runtimeVersion: '0.0.50', exports: { workflows: ['loan-flow.json'] } });
+    await cacheSchemas(tmpDir);
+
+    const result = runCli(['validate', '--jobs', '1'], tmpDir);
+    assert.strictEqual(result.status, 1, result.stdout + result.stderr);
+    assert.match(result.stdout, /loan\/Workflows\/loan-flow\.json:\d+:\d+ exports\/private-dependency: Exported component references Tasks\/check\.json, which is not exported/);
+    assert.match(result.stdout, /Exports: 1 exported, 1 errors/);
+  }
+});
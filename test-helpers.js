@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const tar = require('tar');
+
+/**
+ * Minimal test runner for the test-*.js scripts (run by npm test).
+ *
+ * Every test gets a fresh temporary folder that is removed afterwards. A failing test is printed
+ * with its error and sets the exit code, the remaining tests still run.
+ * @param {string} title - Suite title
+ * @param {Object} tests - Test name to async function (tmpDir) => void
+ * @returns {Promise<void>}
+ */
+async function runTests(title, tests) {
+  console.log(chalk.blue(`🧪 ${title}`));
+
+  let failed = 0;
+  for (const [name, test] of Object.entries(tests)) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vnext-test-'));
+    try {
+      await test(tmpDir);
+      console.log(chalk.green(`  ✅ ${name}`));
+    } catch (error) {
+      failed++;
+      console.log(chalk.red(`  ❌ ${name}`));
+      console.log(chalk.red(`     ${(error.stack || error.message).split('\n').join('\n     ')}`));
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  }
+
+  if (failed > 0) {
+    console.log(chalk.red(`\n${failed} of ${Object.keys(tests).length} tests failed`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Write a minimal domain project (vnext.config.json and component files)
+ * @param {string} projectRoot - Project folder
+ * @param {Object} files - Path relative to the components root to JSON content (or string)
+ * @param {Object} config - Extra vnext.config.json properties
+ * @returns {Promise<Object>} vnext.config.json content
+ */
+async function writeProject(projectRoot, files = {}, config = {}) {
+  const projectConfig = { domain: 'loan', version: '1.0.0', paths: { componentsRoot: 'loan' }, ...config };
+  await fs.outputJSON(path.join(projectRoot, 'vnext.config.json'), projectConfig, { spaces: 2 });
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(projectRoot, projectConfig.paths.componentsRoot, relativePath);
+    await fs.outputFile(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  return projectConfig;
+}
+
+/**
+ * Build a component
+ * @param {string} key - Component key
+ * @param {string} flow - Component flow (sys-tasks, sys-flows, ...)
+ * @param {Object} extra - Extra properties
+ * @returns {Object} Component JSON
+ */
+function component(key, flow = 'sys-tasks', extra = {}) {
+  return { key, version: '1.0.0', domain: 'loan', flow, flowVersion: '1.0.0', tags: ['test'], attributes: {}, ...extra };
+}
+
+/**
+ * Write a minimal template that passes the structure check
+ * @param {string} templateRoot - Template folder
+ * @param {string} version - Template version (package.json)
+ * @param {Object} files - Extra files: relative path to content
+ * @returns {Promise<string>} Template folder
+ */
+async function writeTemplate(templateRoot, version = '1.0.0', files = {}) {
+  await fs.outputJSON(path.join(templateRoot, 'package.json'), {
+    name: '{packageName}',
+    version,
+    description: 'Template project'
+  }, { spaces: 2 });
+  await fs.outputJSON(path.join(templateRoot, 'vnext.config.json'), {
+    version: '1.0.0',
+    domain: '{domainName}',
+    description: 'Template domain',
+    paths: { componentsRoot: '{domainName}' },
+    exports: {}
+  }, { spaces: 2 });
+  for (const folder of ['Tasks', 'Workflows', 'Functions', 'Views', 'Schemas', 'Extensions']) {
+    await fs.outputFile(path.join(templateRoot, '{domainName}', folder, '.gitkeep'), '');
+  }
+  for (const [relativePath, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(templateRoot, relativePath), content);
+  }
+  return templateRoot;
+}
+
+/**
+ * Pack a folder like npm pack (files below a top-level package/ folder)
+ * @param {string} sourceDir - Folder to pack
+ * @param {string} tarPath - Output .tgz path
+ * @returns {Promise<string>} Output path
+ */
+async function packTarball(sourceDir, tarPath) {
+  await fs.ensureDir(path.dirname(tarPath));
+  await tar.c({ gzip: true, file: tarPath, cwd: sourceDir, prefix: 'package' }, await fs.readdir(sourceDir));
+  return tarPath;
+}
+
+/**
+ * Cache a schema package in the private cache that runCli uses for a folder
+ * @param {string} cwd - Folder the CLI runs in
+ * @param {string} version - Runtime version (use it as runtimeVersion in vnext.config.json)
+ * @param {Object} schemas - Component type to JSON Schema (default: any object)
+ * @returns {Promise<void>}
+ */
+async function cacheSchemas(cwd, version = '0.0.50', schemas = {}) {
+  const schemaDir = path.join(cwd, '.test-cache', 'schemas', version, 'schemas');
+  for (const type of ['task', 'workflow', 'function', 'view', 'schema', 'extension']) {
+    await fs.outputJSON(path.join(schemaDir, `${type}-definition.schema.json`), schemas[type] || { type: 'object' });
+  }
+}
+
+/**
+ * Run the CLI in a folder (offline, with a private cache, without colors)
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} cwd - Working directory
+ * @param {Object} env - Extra environment variables (e.g. AMORPHIE_CACHE_DIR to share a cache between folders)
+ * @returns {Object} { status, stdout, stderr }
+ */
+function runCli(args, cwd, env = {}) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'create.js'), ...args], {
+    cwd,
+    encoding: 'utf8',
+    input: '',
+    timeout: 60000,
+    env: { ...process.env, AMORPHIE_CACHE_DIR: path.join(cwd, '.test-cache'), VNEXT_OFFLINE: '1', FORCE_COLOR: '0', ...env }
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+module.exports = {
+  runTests,
+  writeProject,
+  component,
+  writeTemplate,
+  packTarball,
+  cacheSchemas,
+  runCli
+};
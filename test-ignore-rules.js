@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const IgnoreRules = require('./lib/ignore-rules');
+const { runTests, writeProject, component, cacheSchemas, runCli } = require('./test-helpers');
+
+/**
+ * Write a project that exports a file matched by config.ignore
+ * @param {string} tmpDir - Project folder
+ */
+async function writeProjectWithIgnoredExport(tmpDir) {
+  await writeProject(tmpDir, {
+    'Tasks/check-limit.json': component('check-limit'),
+    'Tasks/check-limit.bak.json': component('check-limit')
+  }, {
+    runtimeVersion: '0.0.50',
+    paths: { componentsRoot: 'loan', tasks: 'Tasks' },
+    exports: { tasks: ['check-limit.json', 'check-limit.bak.json'] },
+    ignore: ['*.bak.json']
+  });
+  await cacheSchemas(tmpDir);
+}
+
+runTests('Ignore rules', {
+  'matches gitignore-style patterns': async (tmpDir) => {
+    const rules = new IgnoreRules(['# comment', '', '*.bak.json', 'scratch/', '/loan/Tasks/experimental-*.json', 'drafts/**', '!drafts/keep.json'], { projectRoot: tmpDir });
+    const ignores = (relativePath, isDirectory) => rules.ignores(path.join(tmpDir, relativePath), isDirectory);
+
+    assert.strictEqual(rules.size, 5);
+    assert.strictEqual(ignores('loan/Tasks/check.bak.json'), true);
+    assert.strictEqual(ignores('loan/scratch/a.json'), true);
+    assert.strictEqual(ignores('loan/scratch', false), false);
+    assert.strictEqual(ignores('loan/Tasks/experimental-1.json'), true);
+    assert.strictEqual(ignores('other/loan/Tasks/experimental-1.json'), false);
+    assert.strictEqual(ignores('drafts/a.json'), true);
+    assert.strictEqual(ignores('drafts/keep.json'), false);
+    assert.strictEqual(ignores('loan/Tasks/check.json'), false);
+  },
+
+  'loads .vnextignore before config.ignore': async (tmpDir) => {
+    await fs.writeFile(path.join(tmpDir, '.vnextignore'), '*.json\n');
+    const rules = await IgnoreRules.load(tmpDir, { ignore: ['!keep.json'] });
+
+    assert.strictEqual(rules.ignores(path.join(tmpDir, 'loan', 'drop.json')), true);
+    assert.strictEqual(rules.ignores(path.join(tmpDir, 'loan', 'keep.json')), false);
+    await assert.rejects(IgnoreRules.load(tmpDir, { ignore: 'keep.json' }), /must be an array/);
+  },
+
+  'reference build skips ignored exports': async (tmpDir) => {
+    await writeProjectWithIgnoredExport(tmpDir);
+
+    const result = runCli(['build', '--skip-validation'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.ok(await fs.pathExists(path.join(tmpDir, 'dist', 'loan', 'Tasks', 'check-limit.json')));
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'dist', 'loan', 'Tasks', 'check-limit.bak.json')), false);
+    assert.match(result.stdout, /Tasks\/check-limit\.bak\.json is listed in exports but matches \.vnextignore or config\.ignore/);
+  },
+
+  'publish skips ignored exports': async (tmpDir) => {
+    await writeProjectWithIgnoredExport(tmpDir);
+
+    const result = runCli(['publish', '--dry-run'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /loan\/Tasks\/check-limit\.json/);
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'dist', 'loan', 'Tasks', 'check-limit.bak.json')), false);
+  }
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonSource = require('./lib/json-source');
+const RefResolver = require('./lib/ref-resolver');
+const ComponentValidator = require('./lib/component-validator');
+const { runTests, writeProject, component } = require('./test-helpers');
+
+const text = `{
+  "key": "loan-flow",
+  "attributes": {
+    "states": [
+      { "key": "start" },
+      {
+        "key": "approved",
+        "transitions": [{ "target": "done" }]
+      }
+    ],
+    "a/b": { "m~n": true }
+  }
+}
+`;
+
+/**
+ * Parse the sample document
+ * @returns {JsonSource} Parsed source
+ */
+function parseSample() {
+  const source = new JsonSource(text, 'loan/Workflows/loan-flow.json');
+  source.parse();
+  return source;
+}
+
+/**
+ * Remove terminal colors
+ * @param {string} value - Colored text
+ * @returns {string} Plain text
+ */
+function stripColors(value) {
+  return value.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+runTests('JsonSource', {
+  'parses like JSON.parse': async () => {
+    assert.deepStrictEqual(parseSample().value, JSON.parse(text));
+    assert.deepStrictEqual(new JsonSource('\uFEFF{"a": [1, -2.5e3, "x\\"y", null]}').parse(), { a: [1, -2.5e3, 'x"y', null] });
+  },
+
+  'maps pointers to the position of nested values': async () => {
+    const source = parseSample();
+
+    assert.deepStrictEqual(source.getPosition(''), { line: 1, column: 1, pointer: '' });
+    assert.deepStrictEqual(source.getPosition('/key'), { line: 2, column: 10, pointer: '/key' });
+    assert.deepStrictEqual(source.getPosition('/attributes/states/0'), { line: 5, column: 7, pointer: '/attributes/states/0' });
+    assert.deepStrictEqual(source.getPosition('/attributes/states/1/transitions/0/target'), { line: 8, column: 37, pointer: '/attributes/states/1/transitions/0/target' });
+  },
+
+  'points at property names with the key option': async () => {
+    const source = parseSample();
+
+    assert.deepStrictEqual(source.getPosition('/attributes/states/1/key', { key: true }), { line: 7, column: 9, pointer: '/attributes/states/1/key' });
+    assert.deepStrictEqual(source.getPosition('/attributes/states/1/key'), { line: 7, column: 16, pointer: '/attributes/states/1/key' });
+    // Array items have no key, so the value is used
+    assert.deepStrictEqual(source.getPosition('/attributes/states/0', { key: true }), { line: 5, column: 7, pointer: '/attributes/states/0' });
+  },
+
+  'resolves escaped pointer segments': async () => {
+    const source = parseSample();
+    const pointer = `/attributes/${JsonSource.escapePointer('a/b')}/${JsonSource.escapePointer('m~n')}`;
+
+    assert.strictEqual(pointer, '/attributes/a~1b/m~0n');
+    assert.deepStrictEqual(source.getPosition(pointer), { line: 11, column: 21, pointer });
+    assert.deepStrictEqual(source.getPosition(pointer, { key: true }), { line: 11, column: 14, pointer });
+  },
+
+  'falls back to the closest parent of a missing value': async () => {
+    const source = parseSample();
+
+    assert.deepStrictEqual(source.getPosition('/attributes/states/1/transitions/0/missing'), { line: 8, column: 25, pointer: '/attributes/states/1/transitions/0' });
+    assert.deepStrictEqual(source.getPosition('/nothing/here'), { line: 1, column: 1, pointer: '' });
+    assert.strictEqual(new JsonSource(text).getPosition('/key'), null);
+  },
+
+  'reports syntax errors with line and column': async () => {
+    const source = new JsonSource('{\n  "key": "a",\n  "version" "1.0.0"\n}');
+
+    assert.throws(() => source.parse(), error => error instanceof SyntaxError && error.line === 3 && error.column === 13 &&
+      /Expected ':' but found '"' at line 3 column 13/.test(error.message));
+    assert.throws(() => new JsonSource('{"a": 1,}').parse(), /Expected a property name in double quotes at line 1 column 9/);
+    assert.throws(() => new JsonSource('[1, 2').parse(), /Unexpected end of JSON input/);
+  },
+
+  'prints a code frame around a position': async () => {
+    const frame = stripColors(parseSample().codeFrame(8, 37, 1)).split('\n');
+
+    assert.deepStrictEqual(frame, [
+      '  7 |         "key": "approved",',
+      '> 8 |         "transitions": [{ "target": "done" }]',
+      `    | ${' '.repeat(36)}^`,
+      '  9 |       }'
+    ]);
+  },
+
+  'adds line and column to schema errors of a component': async (tmpDir) => {
+    const schemaPath = path.join(tmpDir, 'schemas');
+    await fs.outputJSON(path.join(schemaPath, 'task-definition.schema.json'), {
+      type: 'object',
+      properties: { version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' } },
+      additionalProperties: true
+    });
+    await fs.outputJSON(path.join(schemaPath, 'view-definition.schema.json'), {
+      type: 'object',
+      properties: { key: { type: 'string' } },
+      additionalProperties: false
+    });
+    await writeProject(tmpDir, {
+      'Tasks/check.json': component('check', 'sys-tasks', { version: '1.0' }),
+      'Views/form.json': { key: 'form', colour: 'red' }
+    });
+    const resolver = new RefResolver({ projectRoot: tmpDir, schemaPath, cacheDir: path.join(tmpDir, '.vnext-cache') });
+    await resolver.loadValidationConfig(path.join(tmpDir, 'vnext.config.json'));
+    const validator = new ComponentValidator({ resolver, domain: 'loan', projectRoot: tmpDir });
+
+    const task = await validator.validateFile(path.join(tmpDir, 'loan', 'Tasks', 'check.json'));
+    assert.strictEqual(task.schemaValid, false);
+    assert.deepStrictEqual(task.record.schemaErrors.map(error => [error.instancePath, error.line, error.column]), [['/version', 3, 14]]);
+
+    const view = await validator.validateFile(path.join(tmpDir, 'loan', 'Views', 'form.json'));
+    const unknown = view.record.schemaErrors.find(error => error.keyword === 'additionalProperties');
+    assert.deepStrictEqual([unknown.line, unknown.column], [3, 3]);
+  }
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const LintEngine = require('./lib/lint-engine');
+const { runTests, component } = require('./test-helpers');
+
+/**
+ * Rule ids of findings
+ * @param {Array<Object>} findings - Lint findings
+ * @returns {Array<string>} Sorted rule ids
+ */
+function ruleIds(findings) {
+  return findings.map(finding => finding.rule).sort();
+}
+
+const pluginSource = `module.exports = {
+  name: 'acme',
+  rules: {
+    'no-plain-http': {
+      description: 'URLs must use https',
+      check(component, context) {
+        if (String(component.attributes.url || '').startsWith('http:')) {
+          context.report({ path: '/attributes/url', message: 'Use https' });
+        }
+      }
+    },
+    'throws': {
+      description: 'Always fails',
+      check() {
+        throw new Error('boom');
+      }
+    }
+  }
+};
+`;
+
+runTests('LintEngine', {
+  'applies built-in rules with their default severity': async () => {
+    const engine = await new LintEngine().load();
+    const findings = engine.lint({ key: 'Bad_Key', version: '1.0' }, 'loan/Tasks/bad.json', { componentType: 'task' });
+
+    assert.deepStrictEqual(ruleIds(findings), ['key-format', 'version-semver']);
+    assert.ok(findings.every(finding => finding.severity === 'warning' && finding.file === 'loan/Tasks/bad.json'));
+    assert.strictEqual(findings.find(finding => finding.rule === 'version-semver').path, '/version');
+  },
+
+  'uses configured severities and rule options': async () => {
+    const engine = await new LintEngine({
+      config: {
+        rules: {
+          'key-format': 'off',
+          'version-semver': 'warn',
+          'key-prefix': ['error', { task: 'task-' }],
+          'tags-required': ['error', { min: 2 }]
+        }
+      }
+    }).load();
+    const findings = engine.lint(component('Loan'), 'loan/Tasks/loan.json', { componentType: 'task' });
+
+    assert.deepStrictEqual(ruleIds(findings), ['key-prefix', 'tags-required']);
+    assert.ok(findings.every(finding => finding.severity === 'error'));
+    assert.match(findings.find(finding => finding.rule === 'tags-required').message, /at least 2 tags/);
+  },
+
+  'rejects unknown rules and invalid severities': async () => {
+    await assert.rejects(new LintEngine({ config: { rules: { 'no-such-rule': 'error' } } }).load(), /Unknown lint rule 'no-such-rule'/);
+    await assert.rejects(new LintEngine({ config: { rules: { 'key-format': 'fatal' } } }).load(), /Invalid severity 'fatal'/);
+  },
+
+  'loads local plugins with namespaced rules that are off until enabled': async (tmpDir) => {
+    await fs.outputFile(path.join(tmpDir, 'lint', 'acme-rules.js'), pluginSource);
+    const httpComponent = component('loan', 'sys-tasks', { attributes: { url: 'http://example.com' } });
+
+    const disabled = await new LintEngine({ projectRoot: tmpDir, config: { plugins: ['./lint/acme-rules.js'] } }).load();
+    assert.deepStrictEqual(ruleIds(disabled.lint(httpComponent, 'loan/Tasks/loan.json')), []);
+
+    const enabled = await new LintEngine({
+      projectRoot: tmpDir,
+      config: { plugins: ['./lint/acme-rules.js'], rules: { 'acme/no-plain-http': 'error', 'acme/throws': 'warning' } }
+    }).load();
+    const findings = enabled.lint(httpComponent, 'loan/Tasks/loan.json');
+    assert.deepStrictEqual(ruleIds(findings), ['acme/no-plain-http', 'acme/throws']);
+    assert.strictEqual(findings.find(finding => finding.rule === 'acme/throws').message, 'Rule failed: boom');
+  },
+
+  'reports missing and malformed plugins': async (tmpDir) => {
+    await assert.rejects(new LintEngine({ projectRoot: tmpDir, config: { plugins: ['./missing.js'] } }).load(), /Cannot find lint plugin/);
+
+    await fs.outputFile(path.join(tmpDir, 'empty.js'), 'module.exports = {};');
+    await assert.rejects(new LintEngine({ projectRoot: tmpDir, config: { plugins: ['./empty.js'] } }).load(), /must export a "rules" object/);
+  },
+
+  'changes the fingerprint with the configuration and plugin sources': async (tmpDir) => {
+    const pluginPath = path.join(tmpDir, 'rules.js');
+    await fs.outputFile(pluginPath, pluginSource);
+    const config = { plugins: ['./rules.js'] };
+
+    const fingerprint = await (await new LintEngine({ projectRoot: tmpDir, config }).load()).getFingerprint();
+    const reconfigured = await new LintEngine({ projectRoot: tmpDir, config: { ...config, rules: { 'key-format': 'off' } } }).load();
+    assert.notStrictEqual(await reconfigured.getFingerprint(), fingerprint);
+
+    await fs.outputFile(pluginPath, `${pluginSource}// changed\n`);
+    assert.notStrictEqual(await (await new LintEngine({ projectRoot: tmpDir, config }).load()).getFingerprint(), fingerprint);
+  }
+});
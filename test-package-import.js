@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const SchemaManager = require('./lib/schema-manager');
+const TemplateManager = require('./lib/template-manager');
+const { runTests, writeTemplate, packTarball } = require('./test-helpers');
+
+/**
+ * Pack a schema package
+ * @param {string} tmpDir - Temporary folder
+ * @param {string} tarPath - Output .tgz path
+ * @param {string} version - Package version
+ * @returns {Promise<string>} Output path
+ */
+async function packSchemaPackage(tmpDir, tarPath, version = '0.0.50') {
+  const packageDir = path.join(tmpDir, `schema-package-${version}`);
+  await fs.outputJSON(path.join(packageDir, 'package.json'), { name: '@burgan-tech/vnext-schema', version });
+  await fs.outputJSON(path.join(packageDir, 'schemas', 'task-definition.schema.json'), { type: 'object' });
+  return packTarball(packageDir, tarPath);
+}
+
+runTests('Package import', {
+  'imports a schema package from a path with spaces': async (tmpDir) => {
+    const tarPath = await packSchemaPackage(tmpDir, path.join(tmpDir, 'my pkg', 'vnext schema.tgz'));
+    const manager = new SchemaManager({ cacheDir: path.join(tmpDir, 'cache') });
+
+    const imported = await manager.importSchemaPackage(tarPath);
+    assert.strictEqual(imported.version, '0.0.50');
+    assert.deepStrictEqual(imported.schemaFiles, ['task-definition.schema.json']);
+    assert.deepStrictEqual(await manager.getCachedVersions(), ['0.0.50']);
+    assert.strictEqual(await fs.pathExists(path.join(manager.schemaCacheDir, 'temp-import')), false);
+  },
+
+  'does not run shell syntax in the file name': async (tmpDir) => {
+    const marker = path.join(tmpDir, 'pwned');
+    const tarPath = await packSchemaPackage(tmpDir, path.join(tmpDir, `pkg $(touch ${marker}); .tgz`));
+    const manager = new SchemaManager({ cacheDir: path.join(tmpDir, 'cache') });
+
+    await manager.importSchemaPackage(tarPath);
+    assert.strictEqual(await fs.pathExists(marker), false);
+  },
+
+  'replaces a cached schema version only with force': async (tmpDir) => {
+    const tarPath = await packSchemaPackage(tmpDir, path.join(tmpDir, 'schema.tgz'));
+    const manager = new SchemaManager({ cacheDir: path.join(tmpDir, 'cache') });
+
+    await manager.importSchemaPackage(tarPath);
+    await assert.rejects(manager.importSchemaPackage(tarPath), /already cached. Use --force/);
+    assert.strictEqual((await manager.importSchemaPackage(tarPath, { force: true })).version, '0.0.50');
+  },
+
+  'rejects files that are not schema packages': async (tmpDir) => {
+    const manager = new SchemaManager({ cacheDir: path.join(tmpDir, 'cache') });
+
+    const brokenPath = path.join(tmpDir, 'broken.tgz');
+    await fs.writeFile(brokenPath, 'not a tarball');
+    await assert.rejects(manager.importSchemaPackage(brokenPath), /Failed to extract schema package/);
+
+    const templatePath = await packTarball(await writeTemplate(path.join(tmpDir, 'template'), '1.0.0'), path.join(tmpDir, 'template.tgz'));
+    await assert.rejects(manager.importSchemaPackage(templatePath), /does not contain 'schemas' directory/);
+    assert.deepStrictEqual(await manager.getCachedVersions(), []);
+  },
+
+  'imports a template package from a path with spaces': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '2.1.0');
+    const tarPath = await packTarball(templateDir, path.join(tmpDir, 'my templates', 'vnext template.tgz'));
+    const manager = new TemplateManager({ cacheDir: path.join(tmpDir, 'cache') });
+
+    const imported = await manager.importTemplatePackage(tarPath);
+    assert.strictEqual(imported.version, '2.1.0');
+    assert.strictEqual(imported.path, path.join(tmpDir, 'cache', 'template-2.1.0'));
+    assert.ok(await fs.pathExists(path.join(imported.path, '{domainName}', 'Tasks')));
+    await assert.rejects(manager.importTemplatePackage(tarPath), /already cached. Use --force/);
+  },
+
+  'rejects template packages with a broken structure': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '2.1.0');
+    await fs.remove(path.join(templateDir, '{domainName}', 'Views'));
+    const tarPath = await packTarball(templateDir, path.join(tmpDir, 'template.tgz'));
+    const manager = new TemplateManager({ cacheDir: path.join(tmpDir, 'cache') });
+
+    await assert.rejects(manager.importTemplatePackage(tarPath), /Views/);
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'cache', 'template-2.1.0')), false);
+  }
+});
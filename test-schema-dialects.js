@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const RefResolver = require('./lib/ref-resolver');
+const { runTests, writeProject, component } = require('./test-helpers');
+
+/**
+ * Create a resolver with the domain schemas of a project
+ * @param {string} projectRoot - Project folder
+ * @returns {Promise<RefResolver>} Resolver
+ */
+async function createResolver(projectRoot) {
+  const resolver = new RefResolver({ projectRoot, cacheDir: path.join(projectRoot, '.vnext-cache') });
+  await resolver.loadValidationConfig(path.join(projectRoot, 'vnext.config.json'));
+  return resolver;
+}
+
+/**
+ * Build a sys-schemas component
+ * @param {string} key - Component key
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Component JSON
+ */
+function schemaComponent(key, schema) {
+  return component(key, 'sys-schemas', { attributes: { type: 'workflow', schema } });
+}
+
+const address = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://schemas.example.com/loan/address',
+  title: 'Address',
+  description: 'Postal address',
+  type: 'object',
+  properties: { city: { type: 'string' } },
+  required: ['city']
+};
+
+runTests('Schema dialects', {
+  'compiles each supported dialect with its own keywords': async (tmpDir) => {
+    await writeProject(tmpDir);
+    const resolver = await createResolver(tmpDir);
+
+    const tuple = await resolver.compileJsonSchema({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'array',
+      prefixItems: [{ type: 'string' }, { type: 'number' }],
+      items: false
+    });
+    assert.strictEqual(tuple.dialect, '2020-12');
+    assert.strictEqual(tuple.validate(['a', 1]), true);
+    assert.strictEqual(tuple.validate(['a', 1, 2]), false);
+
+    const legacy = await resolver.compileJsonSchema({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'array',
+      items: [{ type: 'string' }],
+      additionalItems: false
+    });
+    assert.strictEqual(legacy.dialect, 'draft-07');
+    assert.strictEqual(legacy.validate(['a', 'b']), false);
+
+    const unevaluated = await resolver.compileJsonSchema({
+      $schema: 'https://json-schema.org/draft/2019-09/schema',
+      type: 'object',
+      properties: { a: { type: 'string' } },
+      unevaluatedProperties: false
+    });
+    assert.strictEqual(unevaluated.dialect, '2019-09');
+    assert.strictEqual(unevaluated.validate({ a: 'x', b: 'y' }), false);
+  },
+
+  'rejects unsupported dialects and meta-schema violations': async (tmpDir) => {
+    await writeProject(tmpDir);
+    const resolver = await createResolver(tmpDir);
+
+    await assert.rejects(resolver.compileJsonSchema({ $schema: 'https://json-schema.org/draft-04/schema', type: 'object' }),
+      error => error.path === '/attributes/schema/$schema' && /Unsupported \$schema/.test(error.message));
+
+    await assert.rejects(resolver.compileJsonSchema({ $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'object', minProperties: -1 }),
+      error => error.schemaErrors.some(schemaError => schemaError.instancePath === '/attributes/schema/minProperties'));
+  },
+
+  'reports unknown keywords as strict warnings': async (tmpDir) => {
+    await writeProject(tmpDir);
+    const resolver = await createResolver(tmpDir);
+
+    const { findings } = await resolver.compileJsonSchema({ $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'object', maxLenght: 3 });
+    assert.strictEqual(findings.length, 1);
+    assert.strictEqual(findings[0].rule, 'schema/strict');
+    assert.match(findings[0].message, /maxLenght/);
+  },
+
+  'resolves $refs to other domain schemas by $id': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Schemas/address.json': schemaComponent('address', address) });
+    const resolver = await createResolver(tmpDir);
+
+    const { validate } = await resolver.compileJsonSchema({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $id: 'https://schemas.example.com/loan/customer',
+      type: 'object',
+      properties: { home: { $ref: 'https://schemas.example.com/loan/address' } }
+    });
+    assert.strictEqual(validate({ home: { city: 'Istanbul' } }), true);
+    assert.strictEqual(validate({ home: {} }), false);
+  },
+
+  'reports unresolved $refs with their location': async (tmpDir) => {
+    await writeProject(tmpDir);
+    const resolver = await createResolver(tmpDir);
+
+    await assert.rejects(resolver.compileJsonSchema({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      properties: { home: { $ref: 'https://schemas.example.com/loan/missing' } }
+    }), error => error.path === '/attributes/schema/properties/home/$ref' && /Unresolved \$ref/.test(error.message));
+  },
+
+  'changes the domain schemas fingerprint when a schema changes': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Schemas/address.json': schemaComponent('address', address) });
+    const resolver = await createResolver(tmpDir);
+    const fingerprint = await resolver.getDomainSchemasFingerprint();
+
+    await fs.writeJSON(path.join(tmpDir, 'loan', 'Schemas', 'address.json'), schemaComponent('address', { ...address, required: [] }));
+    assert.strictEqual(await resolver.getDomainSchemasFingerprint(), fingerprint);
+    resolver.clearCache();
+    assert.notStrictEqual(await resolver.getDomainSchemasFingerprint(), fingerprint);
+  },
+
+  'validates schema examples against the schema': async (tmpDir) => {
+    await writeProject(tmpDir);
+    const resolver = await createResolver(tmpDir);
+
+    const findings = await resolver.validateJsonSchema({ ...address, examples: [{ city: 'Ankara' }, { city: 42 }] });
+    assert.deepStrictEqual(findings.map(finding => [finding.rule, finding.severity]), [['schema/example', 'error']]);
+    assert.match(findings[0].path, /^\/attributes\/schema\/examples\/1/);
+  }
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { execFileSync } = require('child_process');
+const TemplateHooks = require('./lib/template-hooks');
+const { runTests, writeTemplate, runCli } = require('./test-helpers');
+
+// git commit needs an identity, which CI machines often lack; the default branch name silences git init hints
+Object.assign(process.env, {
+  GIT_CONFIG_COUNT: '1',
+  GIT_CONFIG_KEY_0: 'init.defaultBranch',
+  GIT_CONFIG_VALUE_0: 'main',
+  GIT_AUTHOR_NAME: 'vnext test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'vnext test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+/**
+ * Write a template whose manifest declares post-create steps
+ * @param {string} tmpDir - Temporary folder
+ * @param {Array<Object>} postCreate - Steps
+ * @returns {Promise<string>} Template folder
+ */
+async function writeHookTemplate(tmpDir, postCreate) {
+  return writeTemplate(path.join(tmpDir, 'template'), '1.0.0', {
+    'vnext-template.json': JSON.stringify({ postCreate })
+  });
+}
+
+const writeMarkerStep = {
+  type: 'command',
+  run: `node -e "require('fs').writeFileSync('hook.txt', 'ran')"`,
+  description: 'Write hook.txt'
+};
+
+runTests('Template hooks', {
+  'runs git without a shell': async (tmpDir) => {
+    const marker = path.join(tmpDir, 'pwned');
+    const projectPath = path.join(tmpDir, 'proj');
+    await fs.outputFile(path.join(projectPath, 'README.md'), 'Project\n');
+    const hooks = new TemplateHooks({ projectPath, placeholders: { '{packageName}': `$(touch ${marker})` }, yes: true });
+
+    const summary = await hooks.run([{ type: 'git-init', message: 'Scaffold {packageName} `touch x`' }]);
+    assert.deepStrictEqual(summary, { ran: 1, skipped: 0, failed: 0 });
+    assert.strictEqual(await fs.pathExists(marker), false);
+    const subject = execFileSync('git', ['log', '-1', '--format=%s'], { cwd: projectPath, encoding: 'utf8' }).trim();
+    assert.strictEqual(subject, `Scaffold $(touch ${marker}) \`touch x\``);
+  },
+
+  'quotes placeholder values in command steps': async (tmpDir) => {
+    const marker = path.join(tmpDir, 'pwned');
+    const value = `it's $(touch ${marker}); touch ${marker}`;
+    const hooks = new TemplateHooks({ projectPath: tmpDir, placeholders: { '{team}': value }, yes: true });
+    const step = { type: 'command', run: 'printf %s {team} > team.txt' };
+
+    assert.strictEqual(hooks.describe(step), `printf %s 'it'\\''s $(touch ${marker}); touch ${marker}' > team.txt`);
+    assert.deepStrictEqual(await hooks.run([step]), { ran: 1, skipped: 0, failed: 0 });
+    assert.strictEqual(await fs.readFile(path.join(tmpDir, 'team.txt'), 'utf8'), value);
+    assert.strictEqual(await fs.pathExists(marker), false);
+  },
+
+  'describes commands as they are run': async (tmpDir) => {
+    const hooks = new TemplateHooks({ projectPath: tmpDir, placeholders: { '{packageName}': 'loan app' } });
+
+    assert.strictEqual(hooks.describe({ type: 'npm-install' }), 'npm install');
+    assert.strictEqual(hooks.describe({ type: 'git-init', commit: false }), 'git init');
+    assert.strictEqual(hooks.describe({ type: 'git-init', message: 'Scaffold {packageName}' }), "git init && git add -A && git commit -m 'Scaffold loan app'");
+    assert.strictEqual(hooks.describe({ type: 'command', run: 'npm run setup', description: 'Set up {packageName}' }), 'Set up loan app (npm run setup)');
+  },
+
+  'skips steps that are not confirmed and counts failures': async (tmpDir) => {
+    const unconfirmed = new TemplateHooks({ projectPath: tmpDir, interactive: false });
+    assert.deepStrictEqual(await unconfirmed.run([writeMarkerStep, { type: 'message', text: 'Done' }]), { ran: 0, skipped: 1, failed: 0 });
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'hook.txt')), false);
+
+    const accepted = new TemplateHooks({ projectPath: tmpDir, yes: true });
+    assert.deepStrictEqual(await accepted.run([writeMarkerStep, { type: 'command', run: 'exit 3' }]), { ran: 1, skipped: 0, failed: 1 });
+    assert.strictEqual(await fs.readFile(path.join(tmpDir, 'hook.txt'), 'utf8'), 'ran');
+  },
+
+  'create runs steps with --yes, skips them with --no-hooks and without confirmation': async (tmpDir) => {
+    const templateDir = await writeHookTemplate(tmpDir, [writeMarkerStep]);
+
+    const accepted = runCli(['create', 'accepted', '--template', templateDir, '--yes'], tmpDir);
+    assert.strictEqual(accepted.status, 0, accepted.stderr);
+    assert.match(accepted.stdout, /Post-create step 1\/1: Write hook\.txt/);
+    assert.strictEqual(await fs.readFile(path.join(tmpDir, 'accepted', 'hook.txt'), 'utf8'), 'ran');
+
+    const noHooks = runCli(['create', 'no-hooks', '--template', templateDir, '--yes', '--no-hooks'], tmpDir);
+    assert.strictEqual(noHooks.status, 0, noHooks.stderr);
+    assert.match(noHooks.stdout, /Skipped 1 template post-create steps \(--no-hooks\)/);
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'no-hooks', 'hook.txt')), false);
+
+    const unconfirmed = runCli(['create', 'unconfirmed', '--template', templateDir, '--domain', 'unconfirmed', '--description', 'Unconfirmed', '--runtime-version', '0.0.50'], tmpDir);
+    assert.strictEqual(unconfirmed.status, 0, unconfirmed.stdout + unconfirmed.stderr);
+    assert.match(unconfirmed.stdout, /Not confirmed \(no TTY\)/);
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, 'unconfirmed', 'hook.txt')), false);
+  }
+});
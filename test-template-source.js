@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const TemplateManager = require('./lib/template-manager');
+const { runTests, writeTemplate, packTarball, runCli } = require('./test-helpers');
+
+/**
+ * Pack a template version into a folder with spaces in its name
+ * @param {string} tmpDir - Temporary folder
+ * @param {string} version - Template version
+ * @param {Object} files - Extra template files
+ * @returns {Promise<string>} Tarball path
+ */
+async function packTemplate(tmpDir, version, files = {}) {
+  const templateDir = await writeTemplate(path.join(tmpDir, `template-${version}`), version, files);
+  return packTarball(templateDir, path.join(tmpDir, 'my templates', `template ${version}.tgz`));
+}
+
+runTests('Template sources', {
+  'extracts a template tarball from a path with spaces without a shell': async (tmpDir) => {
+    const marker = path.join(tmpDir, 'pwned');
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '1.0.0');
+    const tarPath = await packTarball(templateDir, path.join(tmpDir, 'my templates', `t $(touch ${marker}).tgz`));
+    const manager = new TemplateManager({ cacheDir: path.join(tmpDir, 'cache') });
+
+    const templatePath = await manager.ensureTemplateFromSource(tarPath);
+    assert.ok(await fs.pathExists(path.join(templatePath, 'vnext.config.json')));
+    assert.strictEqual(manager.currentVersion, '1.0.0');
+    assert.strictEqual(manager.currentSource, tarPath);
+    assert.strictEqual(await fs.pathExists(marker), false);
+  },
+
+  'upgrades a project against its recorded template source': async (tmpDir) => {
+    const v1 = await packTemplate(tmpDir, '1.0.0', { 'README.md': 'v1\n', 'notes.md': 'template notes\n' });
+    const v2 = await packTemplate(tmpDir, '2.0.0', { 'README.md': 'v2\n', 'notes.md': 'template notes\n', 'docs/new.md': 'new\n' });
+
+    const created = runCli(['create', 'proj', '--template', v1, '--yes', '--no-hooks'], tmpDir);
+    assert.strictEqual(created.status, 0, created.stderr);
+    const projectRoot = path.join(tmpDir, 'proj');
+    assert.deepStrictEqual((await fs.readJSON(path.join(projectRoot, 'vnext.config.json'))).template, { version: '1.0.0', source: v1, projectName: 'proj' });
+    await fs.writeFile(path.join(projectRoot, 'notes.md'), 'project notes\n');
+
+    const upgraded = runCli(['template-upgrade', '--template', v2], projectRoot);
+    assert.strictEqual(upgraded.status, 0, upgraded.stderr);
+    assert.strictEqual(await fs.readFile(path.join(projectRoot, 'README.md'), 'utf8'), 'v2\n');
+    assert.strictEqual(await fs.readFile(path.join(projectRoot, 'notes.md'), 'utf8'), 'project notes\n');
+    assert.ok(await fs.pathExists(path.join(projectRoot, 'docs', 'new.md')));
+    assert.deepStrictEqual((await fs.readJSON(path.join(projectRoot, 'vnext.config.json'))).template, { version: '2.0.0', source: v2, projectName: 'proj' });
+  },
+
+  'asks for a target when the project has a custom template source': async (tmpDir) => {
+    const v1 = await packTemplate(tmpDir, '1.0.0');
+    assert.strictEqual(runCli(['create', 'proj', '--template', v1, '--yes', '--no-hooks'], tmpDir).status, 0);
+
+    const result = runCli(['template-upgrade'], path.join(tmpDir, 'proj'));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /--template <source>/);
+  }
+});
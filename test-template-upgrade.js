@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const TemplateManager = require('./lib/template-manager');
+const TemplateUpgrader = require('./lib/template-upgrader');
+const { runTests, writeTemplate, packTarball, runCli } = require('./test-helpers');
+
+/**
+ * Pack a template version
+ * @param {string} tmpDir - Temporary folder
+ * @param {string} version - Template version
+ * @param {Object} files - Extra template files
+ * @returns {Promise<string>} Tarball path
+ */
+async function packTemplate(tmpDir, version, files = {}) {
+  const templateDir = await writeTemplate(path.join(tmpDir, `template-${version}`), version, files);
+  return packTarball(templateDir, path.join(tmpDir, `template-${version}.tgz`));
+}
+
+/**
+ * Template vnext.config.json content
+ * @param {Object} overrides - Properties to change
+ * @returns {string} JSON text
+ */
+function templateConfig(overrides = {}) {
+  return JSON.stringify({
+    version: '1.0.0',
+    domain: '{domainName}',
+    description: 'Template domain',
+    paths: { componentsRoot: '{domainName}' },
+    exports: {},
+    ...overrides
+  }, null, 2) + '\n';
+}
+
+/**
+ * Create a project from a template tarball
+ * @param {string} tmpDir - Temporary folder
+ * @param {string} tarPath - Template tarball
+ * @returns {string} Project folder
+ */
+function createProject(tmpDir, tarPath) {
+  const result = runCli(['create', 'proj', '--template', tarPath, '--yes', '--no-hooks'], tmpDir);
+  assert.strictEqual(result.status, 0, result.stderr);
+  return path.join(tmpDir, 'proj');
+}
+
+/**
+ * Change the description in a project's vnext.config.json
+ * @param {string} projectRoot - Project folder
+ * @param {string} description - New description
+ */
+async function setProjectDescription(projectRoot, description) {
+  const configPath = path.join(projectRoot, 'vnext.config.json');
+  const config = await fs.readJSON(configPath);
+  config.description = description;
+  await fs.writeJSON(configPath, config, { spaces: 2 });
+}
+
+runTests('Template upgrade', {
+  'merges edits to different lines and marks overlapping ones': async (tmpDir) => {
+    const upgrader = new TemplateUpgrader(new TemplateManager({ cacheDir: tmpDir }));
+
+    const clean = upgrader.mergeText('a\nb\nc\nd\n', 'a\nB\nc\nd\n', 'a\nb\nc\nD\n');
+    assert.deepStrictEqual(clean, { text: 'a\nB\nc\nD\n', conflicts: 0 });
+
+    const conflicting = upgrader.mergeText('a\nb\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n');
+    assert.strictEqual(conflicting.conflicts, 1);
+    assert.strictEqual(conflicting.text, 'a\n<<<<<<< project\nours\n||||||| base template\nb\n=======\ntheirs\n>>>>>>> new template\nc\n');
+  },
+
+  'plans file actions from base, project and target content': async (tmpDir) => {
+    const upgrader = new TemplateUpgrader(new TemplateManager({ cacheDir: tmpDir }));
+    const plan = (base, ours, theirs) => upgrader.planFile('notes.md', ...[base, ours, theirs].map(text => (text === null ? null : Buffer.from(text)))).action;
+
+    assert.strictEqual(plan(null, null, 'new'), 'added');
+    assert.strictEqual(plan('v1', 'v1', 'v2'), 'updated');
+    assert.strictEqual(plan('v1', 'v1', null), 'removed');
+    assert.strictEqual(plan('v1', 'edited', null), 'kept');
+    assert.strictEqual(plan('v1', null, 'v2'), 'skipped');
+    assert.strictEqual(plan('v1', 'edited', 'v1'), 'unchanged');
+    assert.strictEqual(plan('a\nb\nc', 'A\nb\nc', 'a\nb\nC'), 'merged');
+    assert.strictEqual(plan('a', 'ours', 'theirs'), 'conflict');
+  },
+
+  'merges vnext.config.json by key': async (tmpDir) => {
+    const upgrader = new TemplateUpgrader(new TemplateManager({ cacheDir: tmpDir }));
+    const json = (value) => Buffer.from(JSON.stringify(value, null, 2) + '\n');
+    const base = { domain: 'loan', description: 'Template', exports: {} };
+
+    const merged = upgrader.planFile('vnext.config.json',
+      json(base),
+      json({ ...base, description: 'Loans', template: { version: '1.0.0' } }),
+      json({ ...base, exports: { tasks: [] }, ignore: [] }));
+    assert.strictEqual(merged.action, 'merged');
+    assert.deepStrictEqual(JSON.parse(merged.content), { domain: 'loan', description: 'Loans', exports: { tasks: [] }, template: { version: '1.0.0' }, ignore: [] });
+
+    const conflict = upgrader.planFile('vnext.config.json', json(base), json({ ...base, description: 'Loans' }), json({ ...base, description: 'Domain' }));
+    assert.strictEqual(conflict.action, 'conflict');
+    assert.strictEqual(conflict.content, null);
+    assert.match(conflict.reason, /conflicting keys: description/);
+  },
+
+  'upgrades vnext.config.json changed in the project and the template': async (tmpDir) => {
+    const v1 = await packTemplate(tmpDir, '1.0.0');
+    const v2 = await packTemplate(tmpDir, '2.0.0', { 'vnext.config.json': templateConfig({ exports: { tasks: [] } }) });
+    const projectRoot = createProject(tmpDir, v1);
+    await setProjectDescription(projectRoot, 'Loan domain');
+
+    const result = runCli(['template-upgrade', '--template', v2], projectRoot);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /merged\s+vnext\.config\.json/);
+
+    const config = await fs.readJSON(path.join(projectRoot, 'vnext.config.json'));
+    assert.strictEqual(config.description, 'Loan domain');
+    assert.deepStrictEqual(config.exports, { tasks: [] });
+    assert.strictEqual(config.template.version, '2.0.0');
+  },
+
+  'never writes conflict markers into vnext.config.json': async (tmpDir) => {
+    const v1 = await packTemplate(tmpDir, '1.0.0', { 'notes.md': 'template notes\n' });
+    const v2 = await packTemplate(tmpDir, '2.0.0', {
+      'notes.md': 'new template notes\n',
+      'vnext.config.json': templateConfig({ description: 'New template domain', exports: { tasks: [] } })
+    });
+    const projectRoot = createProject(tmpDir, v1);
+    await setProjectDescription(projectRoot, 'Loan domain');
+    await fs.writeFile(path.join(projectRoot, 'notes.md'), 'project notes\n');
+
+    const result = runCli(['template-upgrade', '--template', v2, '--conflict-markers'], projectRoot);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /conflict\s+vnext\.config\.json .*conflicting keys: description/);
+    assert.match(result.stdout, /1 files contain conflict markers/);
+    assert.match(result.stdout, /1 files have conflicts and were left untouched/);
+    assert.match(await fs.readFile(path.join(projectRoot, 'notes.md'), 'utf8'), /<<<<<<< project\nproject notes/);
+
+    const config = await fs.readJSON(path.join(projectRoot, 'vnext.config.json'));
+    assert.strictEqual(config.description, 'Loan domain');
+    assert.strictEqual(config.template.version, '1.0.0');
+  },
+
+  'leaves conflicting files untouched without --conflict-markers': async (tmpDir) => {
+    const v1 = await packTemplate(tmpDir, '1.0.0', { 'notes.md': 'template notes\n' });
+    const v2 = await packTemplate(tmpDir, '2.0.0', { 'notes.md': 'new template notes\n' });
+    const projectRoot = createProject(tmpDir, v1);
+    await fs.writeFile(path.join(projectRoot, 'notes.md'), 'project notes\n');
+
+    const result = runCli(['template-upgrade', '--template', v2], projectRoot);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /conflict\s+notes\.md \(changed in both project and template, 1 conflicting hunk\)/);
+    assert.strictEqual(await fs.readFile(path.join(projectRoot, 'notes.md'), 'utf8'), 'project notes\n');
+    assert.strictEqual((await fs.readJSON(path.join(projectRoot, 'vnext.config.json'))).template.version, '1.0.0');
+  },
+
+  'renders the templates with the recorded project name': async (tmpDir) => {
+    const v1 = await packTemplate(tmpDir, '1.0.0');
+    const v2 = await packTemplate(tmpDir, '2.0.0', { 'docs/new.md': 'new\n' });
+    const projectRoot = path.join(tmpDir, 'repo');
+    await fs.ensureDir(projectRoot);
+    const env = { AMORPHIE_CACHE_DIR: path.join(tmpDir, '.test-cache') };
+
+    const initialized = runCli(['init', '--template', v1, '--name', 'loan-app', '--yes', '--no-hooks'], projectRoot, env);
+    assert.strictEqual(initialized.status, 0, initialized.stderr);
+    assert.strictEqual((await fs.readJSON(path.join(projectRoot, 'vnext.config.json'))).template.projectName, 'loan-app');
+
+    const result = runCli(['template-upgrade', '--template', v2], projectRoot, env);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /updated\s+package\.json/);
+    assert.doesNotMatch(result.stdout, /conflict/);
+    assert.strictEqual((await fs.readJSON(path.join(projectRoot, 'package.json'))).name, 'loan-app');
+    assert.ok(await fs.pathExists(path.join(projectRoot, 'docs', 'new.md')));
+  },
+
+  'reports the plan without writing files in a dry run': async (tmpDir) => {
+    const v1 = await packTemplate(tmpDir, '1.0.0', { 'README.md': 'v1\n' });
+    const v2 = await packTemplate(tmpDir, '2.0.0', { 'README.md': 'v2\n', 'docs/new.md': 'new\n' });
+    const projectRoot = createProject(tmpDir, v1);
+
+    const result = runCli(['template-upgrade', '--template', v2, '--dry-run'], projectRoot);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /updated\s+README\.md/);
+    assert.match(result.stdout, /added\s+docs\/new\.md/);
+    assert.match(result.stdout, /Dry run mode - no files were changed/);
+    assert.strictEqual(await fs.readFile(path.join(projectRoot, 'README.md'), 'utf8'), 'v1\n');
+    assert.strictEqual(await fs.pathExists(path.join(projectRoot, 'docs')), false);
+    assert.strictEqual((await fs.readJSON(path.join(projectRoot, 'vnext.config.json'))).template.version, '1.0.0');
+  }
+});
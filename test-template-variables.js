@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { runTests, writeTemplate, runCli } = require('./test-helpers');
+
+/**
+ * Write a template with a manifest that declares variables and conditional paths
+ * @param {string} tmpDir - Temporary folder
+ * @returns {Promise<string>} Template folder
+ */
+async function writeConditionalTemplate(tmpDir) {
+  return writeTemplate(path.join(tmpDir, 'template'), '1.0.0', {
+    'vnext-template.json': JSON.stringify({
+      variables: {
+        language: { prompt: 'Default language', type: 'choice', choices: ['en', 'tr'], default: 'en' },
+        includeSamples: { prompt: 'Include sample workflows?', type: 'boolean', default: false }
+      },
+      conditionalPaths: {
+        'docs/tr': "language == 'tr'",
+        '{domainName}/Workflows/samples': 'includeSamples'
+      }
+    }),
+    'docs/tr/guide.md': 'Rehber\n',
+    '{domainName}/Workflows/samples/sample.json': '{}\n',
+    'README.md': 'Language: {language}\n'
+  });
+}
+
+runTests('Template variables', {
+  'does not leave folders whose entries are all excluded': async (tmpDir) => {
+    const templateDir = await writeConditionalTemplate(tmpDir);
+
+    const result = runCli(['create', 'proj', '--template', templateDir, '--yes', '--no-hooks'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const projectRoot = path.join(tmpDir, 'proj');
+    assert.strictEqual(await fs.readFile(path.join(projectRoot, 'README.md'), 'utf8'), 'Language: en\n');
+    assert.strictEqual(await fs.pathExists(path.join(projectRoot, 'docs')), false);
+    assert.strictEqual(await fs.pathExists(path.join(projectRoot, 'proj', 'Workflows', 'samples')), false);
+    assert.ok(await fs.pathExists(path.join(projectRoot, 'proj', 'Workflows', '.gitkeep')));
+  },
+
+  'copies conditional folders when their condition holds': async (tmpDir) => {
+    const templateDir = await writeConditionalTemplate(tmpDir);
+
+    const result = runCli(['create', 'proj', '--template', templateDir, '--var', 'language=tr', '--var', 'includeSamples=true', '--yes', '--no-hooks'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const projectRoot = path.join(tmpDir, 'proj');
+    assert.strictEqual(await fs.readFile(path.join(projectRoot, 'docs', 'tr', 'guide.md'), 'utf8'), 'Rehber\n');
+    assert.ok(await fs.pathExists(path.join(projectRoot, 'proj', 'Workflows', 'samples', 'sample.json')));
+  },
+
+  'keeps empty template folders': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'), '1.0.0');
+    await fs.ensureDir(path.join(templateDir, 'scripts'));
+
+    const result = runCli(['create', 'proj', '--template', templateDir, '--yes', '--no-hooks'], tmpDir);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(await fs.pathExists(path.join(tmpDir, 'proj', 'scripts')));
+  }
+});
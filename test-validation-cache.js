@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const RefResolver = require('./lib/ref-resolver');
+const ValidationCache = require('./lib/validation-cache');
+const { runTests, writeProject, component } = require('./test-helpers');
+
+/**
+ * Create a cache and resolver for a project
+ * @param {string} projectRoot - Project folder
+ * @param {Object} options - Extra ValidationCache options
+ * @returns {Promise<Object>} { cache, resolver }
+ */
+async function open(projectRoot, options = {}) {
+  const resolver = new RefResolver({ projectRoot, cacheDir: path.join(projectRoot, '.vnext-cache') });
+  await resolver.loadValidationConfig(path.join(projectRoot, 'vnext.config.json'));
+  const cache = await new ValidationCache({
+    cacheDir: path.join(projectRoot, '.vnext-cache'),
+    schemaVersion: '0.0.1',
+    cliVersion: '1.0.0',
+    ...options
+  }).load();
+  return { cache, resolver };
+}
+
+runTests('ValidationCache', {
+  'reuses the record of an unchanged file across runs': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/a.json': component('a') });
+    const filePath = path.join(tmpDir, 'loan', 'Tasks', 'a.json');
+
+    const first = await open(tmpDir);
+    const key = await first.cache.computeKey(filePath, first.resolver, 'schema', 'loan');
+    assert.strictEqual(first.cache.get('schema', 'loan/Tasks/a.json', key), null);
+    first.cache.set('schema', 'loan/Tasks/a.json', key, { file: 'loan/Tasks/a.json' });
+    await first.cache.save(tmpDir);
+
+    const second = await open(tmpDir);
+    const sameKey = await second.cache.computeKey(filePath, second.resolver, 'schema', 'loan');
+    assert.strictEqual(sameKey, key);
+    assert.deepStrictEqual(second.cache.get('schema', 'loan/Tasks/a.json', sameKey), { file: 'loan/Tasks/a.json' });
+    assert.strictEqual(second.cache.hits, 1);
+  },
+
+  'invalidates a file when its content changes': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/a.json': component('a') });
+    const filePath = path.join(tmpDir, 'loan', 'Tasks', 'a.json');
+
+    const first = await open(tmpDir);
+    const key = await first.cache.computeKey(filePath, first.resolver, 'schema', 'loan');
+
+    await fs.writeJSON(filePath, component('a', 'sys-tasks', { tags: ['changed'] }));
+    const second = await open(tmpDir);
+    assert.notStrictEqual(await second.cache.computeKey(filePath, second.resolver, 'schema', 'loan'), key);
+  },
+
+  'invalidates a file when a referenced component changes': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Workflows/flow.json': component('flow', 'sys-flows', { attributes: { task: { ref: 'Tasks/b.json' } } }),
+      'Tasks/b.json': component('b')
+    });
+    const filePath = path.join(tmpDir, 'loan', 'Workflows', 'flow.json');
+
+    const first = await open(tmpDir);
+    const key = await first.cache.computeKey(filePath, first.resolver, 'schema+refs', 'loan');
+    assert.ok(key);
+
+    await fs.writeJSON(path.join(tmpDir, 'loan', 'Tasks', 'b.json'), component('b', 'sys-tasks', { tags: ['changed'] }));
+    const second = await open(tmpDir);
+    assert.notStrictEqual(await second.cache.computeKey(filePath, second.resolver, 'schema+refs', 'loan'), key);
+  },
+
+  'invalidates every file when the schema version, settings or mode change': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/a.json': component('a') });
+    const filePath = path.join(tmpDir, 'loan', 'Tasks', 'a.json');
+
+    const base = await open(tmpDir);
+    const key = await base.cache.computeKey(filePath, base.resolver, 'schema', 'loan');
+
+    const newSchemas = await open(tmpDir, { schemaVersion: '0.0.2' });
+    assert.notStrictEqual(await newSchemas.cache.computeKey(filePath, newSchemas.resolver, 'schema', 'loan'), key);
+
+    const strict = await open(tmpDir, { settings: { strict: true } });
+    assert.notStrictEqual(await strict.cache.computeKey(filePath, strict.resolver, 'schema', 'loan'), key);
+
+    assert.notStrictEqual(await base.cache.computeKey(filePath, base.resolver, 'schema+refs', 'loan'), key);
+  },
+
+  'does not cache files with invalid JSON or unlocatable refs': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/broken.json': '{ "key": ',
+      'Tasks/external.json': component('external', 'sys-tasks', { attributes: { task: { ref: '@acme/core/Tasks/x.json' } } })
+    });
+
+    const { cache, resolver } = await open(tmpDir);
+    assert.strictEqual(await cache.computeKey(path.join(tmpDir, 'loan', 'Tasks', 'broken.json'), resolver, 'schema', 'loan'), null);
+    assert.strictEqual(await cache.computeKey(path.join(tmpDir, 'loan', 'Tasks', 'external.json'), resolver, 'schema', 'loan'), null);
+  },
+
+  'drops entries of deleted files and of files that failed': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/a.json': component('a'), 'Tasks/b.json': component('b') });
+
+    const first = await open(tmpDir);
+    first.cache.set('schema', 'loan/Tasks/a.json', 'key-a');
+    first.cache.set('schema', 'loan/Tasks/b.json', 'key-b');
+    await first.cache.save(tmpDir);
+
+    await fs.remove(path.join(tmpDir, 'loan', 'Tasks', 'a.json'));
+    const second = await open(tmpDir);
+    second.cache.delete('schema', 'loan/Tasks/b.json');
+    await second.cache.save(tmpDir);
+
+    const third = await open(tmpDir);
+    assert.deepStrictEqual(third.cache.entries, {});
+  },
+
+  'ignores the cache when disabled': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/a.json': component('a') });
+    const { cache, resolver } = await open(tmpDir, { enabled: false });
+    assert.strictEqual(await cache.computeKey(path.join(tmpDir, 'loan', 'Tasks', 'a.json'), resolver, 'schema', 'loan'), null);
+    cache.set('schema', 'loan/Tasks/a.json', null);
+    await cache.save(tmpDir);
+    assert.strictEqual(await fs.pathExists(path.join(tmpDir, '.vnext-cache')), false);
+  }
+});
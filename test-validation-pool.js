@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const ValidationPool = require('./lib/validation-pool');
+const { runTests, writeProject, component } = require('./test-helpers');
+
+/**
+ * Create a pool for a project (runtime schemas are not needed for these tests)
+ * @param {string} projectRoot - Project folder
+ * @param {Object} options - Extra ValidationPool options
+ * @returns {ValidationPool} Pool
+ */
+function createPool(projectRoot, options = {}) {
+  return new ValidationPool({
+    size: 3,
+    workerData: {
+      resolverOptions: {
+        projectRoot,
+        cacheDir: path.join(projectRoot, '.vnext-cache'),
+        schemaPath: path.join(projectRoot, 'no-schemas')
+      },
+      configPath: path.join(projectRoot, 'vnext.config.json'),
+      domain: 'loan',
+      resolveRefs: Boolean(options.resolveRefs),
+      projectRoot,
+      colorLevel: 0
+    },
+    ...options
+  });
+}
+
+runTests('ValidationPool', {
+  'returns results in input order and reports each file once': async (tmpDir) => {
+    const files = {};
+    for (let index = 0; index < 12; index++) {
+      // Invalid JSON in between makes some files finish faster than others
+      files[`Tasks/task-${String(index).padStart(2, '0')}.json`] = index % 4 === 1 ? '{ "key": ' : component(`task-${index}`);
+    }
+    await writeProject(tmpDir, files);
+    const filePaths = Object.keys(files).map(file => path.join(tmpDir, 'loan', file));
+
+    const pool = createPool(tmpDir);
+    const reported = [];
+    let results;
+    try {
+      results = await pool.run(filePaths, (index, result) => {
+        assert.strictEqual(result.record.file, path.relative(tmpDir, filePaths[index]));
+        reported.push(index);
+      });
+    } finally {
+      await pool.close();
+    }
+
+    assert.deepStrictEqual(results.map(result => result.record.file), filePaths.map(filePath => path.relative(tmpDir, filePath)));
+    assert.deepStrictEqual([...reported].sort((a, b) => a - b), filePaths.map((filePath, index) => index));
+    assert.deepStrictEqual(results.map(result => result.valid), filePaths.map((filePath, index) => index % 4 !== 1));
+  },
+
+  'starts no more workers than files': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/a.json': component('a') });
+    const pool = createPool(tmpDir, { size: 4 });
+    try {
+      const results = await pool.run([path.join(tmpDir, 'loan', 'Tasks', 'a.json')]);
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(pool.workers.length, 1);
+    } finally {
+      await pool.close();
+    }
+  },
+
+  'resolves an empty file list without workers': async (tmpDir) => {
+    const pool = createPool(tmpDir);
+    assert.deepStrictEqual(await pool.run([]), []);
+    assert.strictEqual(pool.workers.length, 0);
+  },
+
+  'downloads a package once for all workers': async (tmpDir) => {
+    const files = {};
+    for (let index = 0; index < 4; index++) {
+      files[`Tasks/task-${index}.json`] = component(`task-${index}`, 'sys-tasks', {
+        attributes: { task: { ref: '@acme/core/Tasks/shared.json' } }
+      });
+    }
+    await writeProject(tmpDir, files);
+
+    const requested = [];
+    const pool = createPool(tmpDir, {
+      resolveRefs: true,
+      ensurePackage: async (packageName) => {
+        requested.push(packageName);
+        throw new Error(`${packageName} is not available`);
+      }
+    });
+    let results;
+    try {
+      results = await pool.run(Object.keys(files).map(file => path.join(tmpDir, 'loan', file)));
+    } finally {
+      await pool.close();
+    }
+
+    assert.deepStrictEqual(requested, ['@acme/core']);
+    assert.ok(results.every(result => !result.valid));
+  }
+});
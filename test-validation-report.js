@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const ValidationReport = require('./lib/validation-report');
+const { runTests, writeProject, component, cacheSchemas, runCli } = require('./test-helpers');
+
+/**
+ * Report with a valid file, an invalid file with every kind of problem and a file with a warning only
+ * @returns {ValidationReport} Report
+ */
+function sampleReport() {
+  const report = new ValidationReport({ toolVersion: '1.2.3', domain: 'loan' });
+  report.addFile({ file: 'loan/Tasks/ok.json', componentType: 'task' });
+  report.addFile({
+    file: 'loan/Workflows/loan-flow.json',
+    componentType: 'workflow',
+    schemaErrors: [{ instancePath: '/version', message: 'must match pattern', line: 3, column: 14 }],
+    referenceErrors: [{ ref: 'Tasks/missing.json', message: 'Local file not found', line: 9, column: 15 }],
+    errors: [{ rule: 'workflow/dead-end', path: '/attributes/states/0', message: "State 'a' <has> no \"exit\" & more", line: 12, column: 7 }],
+    warnings: [{ rule: 'version-semver', path: '/version', message: 'Version should follow semantic versioning' }]
+  });
+  report.addFile({ file: 'loan/Views/form.json', componentType: 'view', warnings: [{ message: 'Consider a label' }] });
+  return report;
+}
+
+runTests('ValidationReport', {
+  'renders JSON with a summary and normalized records': async () => {
+    const document = JSON.parse(sampleReport().format('json'));
+
+    assert.deepStrictEqual(document.tool, { name: 'vnext', version: '1.2.3' });
+    assert.strictEqual(document.domain, 'loan');
+    assert.deepStrictEqual(document.summary, { files: 3, valid: 2, invalid: 1, schemaErrors: 1, referenceErrors: 1, errors: 1, warnings: 2 });
+    assert.deepStrictEqual(document.files[0], {
+      file: 'loan/Tasks/ok.json', componentType: 'task', schemaErrors: [], referenceErrors: [], warnings: [], errors: [], references: null, valid: true
+    });
+    assert.strictEqual(document.files[1].valid, false);
+  },
+
+  'renders one JUnit test case per file with failures and warnings': async () => {
+    const xml = sampleReport().format('junit');
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="vnext validate \(loan\)" tests="3" failures="1">/);
+    assert.match(xml, /<testsuite name="vnext validate \(loan\)" tests="3" failures="1" errors="0" skipped="0">/);
+    assert.strictEqual(xml.match(/<testcase /g).length, 3);
+    assert.match(xml, /<testcase classname="task" name="loan\/Tasks\/ok\.json">\n    <\/testcase>/);
+    assert.match(xml, /<failure message="3 validation errors" type="validation">\[workflow\/dead-end\] loan\/Workflows\/loan-flow\.json:12:7 \/attributes\/states\/0: State &apos;a&apos; &lt;has&gt; no &quot;exit&quot; &amp; more\n\[schema\] loan\/Workflows\/loan-flow\.json:3:14 \/version: must match pattern\n\[reference\] loan\/Workflows\/loan-flow\.json:9:15 Tasks\/missing\.json: Local file not found<\/failure>/);
+    assert.match(xml, /<system-out>warning \[version-semver\]: \/version: Version should follow semantic versioning<\/system-out>/);
+    assert.match(xml, /<system-out>warning \[business-rule\]: Consider a label<\/system-out>/);
+    assert.match(xml, /<\/testsuite>\n<\/testsuites>$/);
+  },
+
+  'renders SARIF results with rules, levels and regions': async () => {
+    const sarif = JSON.parse(sampleReport().format('sarif'));
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(sarif.runs.length, 1);
+    const { driver } = sarif.runs[0].tool;
+    assert.strictEqual(driver.name, 'vnext');
+    assert.strictEqual(driver.version, '1.2.3');
+    assert.deepStrictEqual(driver.rules.map(rule => rule.id), ['schema', 'reference', 'error', 'workflow/dead-end', 'version-semver', 'business-rule']);
+
+    const results = sarif.runs[0].results.map(result => [result.ruleId, result.level, result.locations[0].physicalLocation.artifactLocation.uri, result.locations[0].physicalLocation.region]);
+    assert.deepStrictEqual(results, [
+      ['workflow/dead-end', 'error', 'loan/Workflows/loan-flow.json', { startLine: 12, startColumn: 7 }],
+      ['schema', 'error', 'loan/Workflows/loan-flow.json', { startLine: 3, startColumn: 14 }],
+      ['reference', 'error', 'loan/Workflows/loan-flow.json', { startLine: 9, startColumn: 15 }],
+      ['version-semver', 'warning', 'loan/Workflows/loan-flow.json', undefined],
+      ['business-rule', 'warning', 'loan/Views/form.json', undefined]
+    ]);
+    assert.strictEqual(sarif.runs[0].results[1].message.text, '/version: must match pattern');
+  },
+
+  'rejects unknown formats': async () => {
+    assert.throws(() => sampleReport().format('xml'), /Unsupported report format 'xml'\. Use one of: json, junit, sarif/);
+  },
+
+  'validate keeps stdout for the report': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Tasks/check.json': component('check'),
+      'Tasks/broken.json': component('broken', 'sys-tasks', { version: 'one' })
+    }, { runtimeVersion: '0.0.50' });
+    await cacheSchemas(tmpDir, '0.0.50', { task: { type: 'object', properties: { version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' } } } });
+
+    const json = runCli(['validate', '--format', 'json', '--jobs', '1'], tmpDir);
+    assert.strictEqual(json.status, 1, json.stderr);
+    const document = JSON.parse(json.stdout);
+    assert.deepStrictEqual(document.files.map(file => [file.file, file.valid]).sort(), [['loan/Tasks/broken.json', false], ['loan/Tasks/check.json', true]]);
+    assert.match(json.stderr, /Validation Summary/);
+
+    const sarif = runCli(['validate', '--format', 'sarif', '--output', 'reports/vnext.sarif', '--jobs', '1'], tmpDir);
+    assert.strictEqual(sarif.status, 1, sarif.stderr);
+    assert.strictEqual(sarif.stdout, '');
+    const results = (await fs.readJSON(path.join(tmpDir, 'reports', 'vnext.sarif'))).runs[0].results;
+    assert.deepStrictEqual(results.map(result => [result.ruleId, result.locations[0].physicalLocation.artifactLocation.uri]), [['schema', 'loan/Tasks/broken.json']]);
+  },
+
+  'validate rejects unknown formats and --output without --format': async (tmpDir) => {
+    await writeProject(tmpDir, { 'Tasks/check.json': component('check') }, { runtimeVersion: '0.0.50' });
+
+    const unknown = runCli(['validate', '--format', 'xml'], tmpDir);
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stdout + unknown.stderr, /Invalid format 'xml'\. Use one of: text, json, junit, sarif/);
+
+    const output = runCli(['validate', '--output', 'report.json'], tmpDir);
+    assert.strictEqual(output.status, 1);
+    assert.match(output.stdout + output.stderr, /--output requires --format json, junit or sarif/);
+  }
+});
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const ValidationWatcher = require('./lib/validation-watcher');
+const { runTests, writeProject, component } = require('./test-helpers');
+
+/**
+ * Watcher over a project whose validation only records which files were validated
+ * @param {string} projectRoot - Project folder
+ * @param {Object} options - Extra watcher options
+ * @returns {Object} { watcher, validated, output }
+ */
+function createWatcher(projectRoot, options = {}) {
+  const rootPath = path.join(projectRoot, 'loan');
+  const validated = [];
+  const output = [];
+  const watcher = new ValidationWatcher({
+    rootPath,
+    projectRoot,
+    domain: 'loan',
+    clearScreen: false,
+    listFiles: async () => (await listJson(rootPath)).sort(),
+    validateFile: async (filePath) => {
+      validated.push(path.relative(rootPath, filePath));
+      const valid = await fs.pathExists(filePath);
+      return { valid, record: { file: path.relative(projectRoot, filePath), errors: valid ? [] : [{ message: 'missing' }] } };
+    },
+    ...options
+  });
+  // Keep the summary out of the test output but let the tests read it
+  watcher.render = (lastRun) => output.push(lastRun);
+  return { watcher, validated, output };
+}
+
+/**
+ * JSON files below a folder
+ * @param {string} dirPath - Folder
+ * @returns {Promise<Array<string>>} Absolute paths
+ */
+async function listJson(dirPath) {
+  const files = [];
+  for (const item of await fs.readdir(dirPath)) {
+    const itemPath = path.join(dirPath, item);
+    if ((await fs.stat(itemPath)).isDirectory()) {
+      files.push(...(await listJson(itemPath)));
+    } else if (item.endsWith('.json')) {
+      files.push(itemPath);
+    }
+  }
+  return files;
+}
+
+const files = {
+  'Tasks/check.json': component('check'),
+  'Tasks/score.json': component('score'),
+  'Workflows/loan-flow.json': component('loan-flow', 'sys-flows', { attributes: { task: { ref: 'Tasks/check.json' } } }),
+  'Workflows/other-flow.json': component('other-flow', 'sys-flows', { attributes: { task: { ref: 'Tasks/score.json' } } })
+};
+
+runTests('ValidationWatcher', {
+  'validates everything on start and stops watching': async (tmpDir) => {
+    await writeProject(tmpDir, files);
+    const { watcher, validated, output } = createWatcher(tmpDir);
+
+    await watcher.start();
+    try {
+      assert.deepStrictEqual(validated, ['Tasks/check.json', 'Tasks/score.json', 'Workflows/loan-flow.json', 'Workflows/other-flow.json']);
+      assert.deepStrictEqual(output, ['Validated 4 components']);
+      assert.ok(watcher.watchers.has(path.join(tmpDir, 'loan', 'Workflows')));
+    } finally {
+      watcher.stop();
+    }
+    assert.strictEqual(watcher.watchers.size, 0);
+  },
+
+  're-validates the components referencing a changed file': async (tmpDir) => {
+    await writeProject(tmpDir, files);
+    const { watcher, validated, output } = createWatcher(tmpDir);
+    await watcher.start();
+    watcher.stop();
+    validated.length = 0;
+
+    await watcher.processChanges([path.join(tmpDir, 'loan', 'Tasks', 'check.json')]);
+    assert.deepStrictEqual(validated, ['Tasks/check.json', 'Workflows/loan-flow.json']);
+    assert.strictEqual(output.pop(), 'Changed: loan/Tasks/check.json · revalidated 2 files (1 dependent)');
+  },
+
+  'follows reference changes of an edited file': async (tmpDir) => {
+    await writeProject(tmpDir, files);
+    const { watcher, validated } = createWatcher(tmpDir);
+    await watcher.start();
+    watcher.stop();
+
+    const flowPath = path.join(tmpDir, 'loan', 'Workflows', 'loan-flow.json');
+    await fs.writeJSON(flowPath, component('loan-flow', 'sys-flows', { attributes: { task: { ref: 'Tasks/score.json' } } }));
+    await watcher.processChanges([flowPath]);
+    validated.length = 0;
+
+    await watcher.processChanges([path.join(tmpDir, 'loan', 'Tasks', 'score.json')]);
+    assert.deepStrictEqual(validated, ['Tasks/score.json', 'Workflows/loan-flow.json', 'Workflows/other-flow.json']);
+    validated.length = 0;
+
+    await watcher.processChanges([path.join(tmpDir, 'loan', 'Tasks', 'check.json')]);
+    assert.deepStrictEqual(validated, ['Tasks/check.json']);
+  },
+
+  're-validates dependents of a removed file and forgets its result': async (tmpDir) => {
+    await writeProject(tmpDir, files);
+    const { watcher, validated, output } = createWatcher(tmpDir);
+    await watcher.start();
+    watcher.stop();
+    validated.length = 0;
+
+    const taskPath = path.join(tmpDir, 'loan', 'Tasks', 'check.json');
+    await fs.remove(taskPath);
+    await watcher.processChanges([taskPath]);
+    assert.deepStrictEqual(validated, ['Workflows/loan-flow.json']);
+    assert.strictEqual(watcher.results.has(taskPath), false);
+    assert.strictEqual(output.pop(), 'Changed: loan/Tasks/check.json (1 removed) · revalidated 1 file (1 dependent)');
+  },
+
+  'skips ignored and non-JSON files and picks up new folders': async (tmpDir) => {
+    await writeProject(tmpDir, files);
+    const { watcher, validated, output } = createWatcher(tmpDir, { isIgnored: (filePath) => filePath.includes('drafts') });
+    await watcher.start();
+    watcher.stop();
+    validated.length = 0;
+    output.length = 0;
+
+    await fs.outputFile(path.join(tmpDir, 'loan', 'Tasks', 'notes.md'), 'notes');
+    await fs.outputJSON(path.join(tmpDir, 'loan', 'drafts', 'draft.json'), component('draft'));
+    await watcher.processChanges([path.join(tmpDir, 'loan', 'Tasks', 'notes.md'), path.join(tmpDir, 'loan', 'drafts', 'draft.json')]);
+    assert.deepStrictEqual(validated, []);
+    assert.deepStrictEqual(output, []);
+
+    await fs.outputJSON(path.join(tmpDir, 'loan', 'Views', 'form.json'), component('form', 'sys-views'));
+    await watcher.processChanges([path.join(tmpDir, 'loan', 'Views')]);
+    watcher.stop();
+    assert.deepStrictEqual(validated, ['Views/form.json']);
+  },
+
+  'collects changes and validates them in one run': async (tmpDir) => {
+    await writeProject(tmpDir, files);
+    const { watcher, validated, output } = createWatcher(tmpDir, { debounceMs: 10000 });
+    await watcher.start();
+    watcher.stop();
+    validated.length = 0;
+
+    watcher.onChange(path.join(tmpDir, 'loan', 'Tasks', 'check.json'));
+    watcher.onChange(path.join(tmpDir, 'loan', 'Tasks', 'score.json'));
+    watcher.onChange(path.join(tmpDir, 'loan', 'Tasks', 'check.json'));
+    await watcher.flush();
+    watcher.stop();
+
+    assert.deepStrictEqual(validated, ['Tasks/check.json', 'Tasks/score.json', 'Workflows/loan-flow.json', 'Workflows/other-flow.json']);
+    assert.strictEqual(output.pop(), 'Changed: loan/Tasks/check.json, loan/Tasks/score.json · revalidated 4 files (2 dependents)');
+  },
+
+  'draws the summary with domain-wide findings': async (tmpDir) => {
+    await writeProject(tmpDir, files);
+    const annotateResult = (result, filePath) => (filePath.endsWith('score.json')
+      ? { ...result, valid: false, record: { ...result.record, errors: [{ rule: 'domain/duplicate-component', path: '/key', message: 'duplicate', line: 2, column: 10 }] } }
+      : result);
+    const { watcher } = createWatcher(tmpDir, { annotateResult, header: 'Domain loan' });
+    await watcher.start();
+    watcher.stop();
+
+    const lines = [];
+    const log = console.log;
+    console.log = (text) => lines.push(...text.replace(/\x1b\[[0-9;]*m/g, '').split('\n'));
+    try {
+      ValidationWatcher.prototype.render.call(watcher, 'Validated 4 components');
+    } finally {
+      console.log = log;
+    }
+
+    assert.ok(lines.includes('Domain loan'));
+    assert.ok(lines.includes('❌ loan/Tasks/score.json'));
+    assert.ok(lines.includes('    loan/Tasks/score.json:2:10 domain/duplicate-component: /key: duplicate'));
+    assert.ok(lines.includes('📊 Files: 3/4 valid · Schema errors: 0 · Reference errors: 0 · Errors: 1 · Warnings: 0'));
+  }
+});
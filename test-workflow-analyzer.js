@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const WorkflowAnalyzer = require('./lib/workflow-analyzer');
+const { runTests, writeProject, component, cacheSchemas, runCli } = require('./test-helpers');
+
+/**
+ * Build a workflow component
+ * @param {Object} attributes - Workflow attributes (states, startTransition, sharedTransitions)
+ * @returns {Object} Workflow JSON
+ */
+function workflow(attributes) {
+  return component('loan-flow', 'sys-flows', { attributes });
+}
+
+/**
+ * Build a state
+ * @param {string} key - State key
+ * @param {number|string} stateType - State type
+ * @param {Array<Object>} transitions - Transitions ({ key, target })
+ * @returns {Object} State
+ */
+function state(key, stateType, transitions = []) {
+  return { key, stateType, transitions };
+}
+
+/**
+ * Findings as [rule, severity, path] triples
+ * @param {Object} attributes - Workflow attributes
+ * @returns {Array<Array<string>>} Findings
+ */
+function analyze(attributes) {
+  return new WorkflowAnalyzer().analyze(workflow(attributes)).map(finding => [finding.rule, finding.severity, finding.path]);
+}
+
+const consistent = {
+  startTransition: { key: 'start', target: 'draft' },
+  states: [
+    state('draft', 1, [{ key: 'submit', target: 'review' }]),
+    state('review', 2, [{ key: 'approve', target: 'approved' }, { key: 'comment', target: '$self' }]),
+    state('approved', 3)
+  ],
+  sharedTransitions: [{ key: 'cancel', target: 'approved', availableIn: ['draft', 'review'] }]
+};
+
+runTests('WorkflowAnalyzer', {
+  'accepts a consistent workflow': async () => {
+    assert.deepStrictEqual(analyze(consistent), []);
+  },
+
+  'reports transitions to unknown states': async () => {
+    assert.deepStrictEqual(analyze({
+      startTransition: { key: 'start', target: 'missing' },
+      states: [state('draft', 1, [{ key: 'submit', target: 'nowhere' }]), state('done', 3)],
+      sharedTransitions: [{ key: 'cancel', target: 'gone', availableIn: ['draft', 'unknown'] }]
+    }), [
+      ['workflow/missing-target', 'error', '/attributes/startTransition/target'],
+      ['workflow/missing-target', 'error', '/attributes/states/0/transitions/0/target'],
+      ['workflow/missing-target', 'error', '/attributes/sharedTransitions/0/target'],
+      ['workflow/missing-target', 'error', '/attributes/sharedTransitions/0/availableIn/1']
+    ]);
+  },
+
+  'reports several start states and a missing start state': async () => {
+    assert.deepStrictEqual(analyze({
+      states: [state('draft', 1, [{ key: 'submit', target: 'done' }]), state('copy', 'Initial', [{ key: 'submit', target: 'done' }]), state('done', 'Finish')]
+    }), [
+      ['workflow/start-state', 'error', '/attributes/states/1/stateType'],
+      ['workflow/unreachable', 'warning', '/attributes/states/1']
+    ]);
+
+    assert.deepStrictEqual(analyze({ states: [state('draft', 2, [{ key: 'submit', target: 'done' }]), state('done', 3)] }), [
+      ['workflow/start-state', 'error', '/attributes']
+    ]);
+  },
+
+  'reports duplicate states and transitions, including shared ones': async () => {
+    assert.deepStrictEqual(analyze({
+      ...consistent,
+      states: [
+        state('draft', 1, [{ key: 'submit', target: 'review' }, { key: 'submit', target: 'approved' }, { key: 'cancel', target: 'approved' }]),
+        state('review', 2, [{ key: 'approve', target: 'approved' }]),
+        state('approved', 3),
+        state('review', 2)
+      ]
+    }), [
+      ['workflow/duplicate-state', 'error', '/attributes/states/3/key'],
+      ['workflow/duplicate-transition', 'error', '/attributes/states/0/transitions/1/key'],
+      ['workflow/duplicate-transition', 'error', '/attributes/sharedTransitions/0/key']
+    ]);
+  },
+
+  'reports dead ends and unreachable states': async () => {
+    assert.deepStrictEqual(analyze({
+      startTransition: { key: 'start', target: 'draft' },
+      states: [
+        state('draft', 1, [{ key: 'submit', target: 'review' }]),
+        state('review', 2),
+        state('orphan', 2, [{ key: 'close', target: 'done' }]),
+        state('done', 3)
+      ]
+    }), [
+      ['workflow/dead-end', 'error', '/attributes/states/1'],
+      ['workflow/unreachable', 'warning', '/attributes/states/2'],
+      ['workflow/unreachable', 'warning', '/attributes/states/3']
+    ]);
+  },
+
+  'counts shared transitions as outgoing edges': async () => {
+    assert.deepStrictEqual(analyze({
+      startTransition: { key: 'start', target: 'draft' },
+      states: [state('draft', 1), state('cancelled', 3)],
+      sharedTransitions: [{ key: 'cancel', target: 'cancelled', availableIn: ['draft'] }]
+    }), []);
+  },
+
+  'validate fails on workflow errors and keeps warnings non-fatal': async (tmpDir) => {
+    await writeProject(tmpDir, {
+      'Workflows/broken.json': workflow({ startTransition: { key: 'start', target: 'draft' }, states: [state('draft', 1)] }),
+      'Workflows/unreachable.json': component('unreachable-flow', 'sys-flows', {
+        attributes: { ...consistent, states: [...consistent.states, state('legacy', 3)] }
+      })
+    }, { runtimeVersion: '0.0.50' });
+    await cacheSchemas(tmpDir);
+
+    const result = runCli(['validate', '--jobs', '1'], tmpDir);
+    assert.strictEqual(result.status, 1, result.stdout + result.stderr);
+    assert.match(result.stdout, /State 'draft' is not a final state but has no outgoing transitions \(workflow\/dead-end\)/);
+    assert.match(result.stdout, /State 'legacy' cannot be reached from the start state \(workflow\/unreachable\)/);
+    assert.match(result.stdout, /Workflow state machines: 1 errors, 1 warnings/);
+    assert.match(result.stdout, /Files: 1\/2 valid/);
+  }
+});
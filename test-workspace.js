@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const Workspace = require('./lib/workspace');
+const RefResolver = require('./lib/ref-resolver');
+const { runTests, writeProject, component, writeTemplate, cacheSchemas, runCli } = require('./test-helpers');
+
+/**
+ * Write a workspace with a core member (exporting check.json) and a loan member referencing it
+ * @param {string} rootPath - Workspace root
+ * @param {Object} loanAttributes - Attributes of the loan workflow
+ * @param {Object} config - Extra vnext.config.json properties of both members
+ * @returns {Promise<Workspace>} Workspace
+ */
+async function writeWorkspace(rootPath, loanAttributes = {}, config = {}) {
+  await fs.outputJSON(path.join(rootPath, Workspace.fileName), { name: 'banking', members: ['core', 'loan'] });
+
+  await writeProject(path.join(rootPath, 'core'), {
+    'Tasks/check.json': component('check', 'sys-tasks', { domain: 'core' }),
+    'Tasks/internal.json': component('internal', 'sys-tasks', { domain: 'core' })
+  }, { domain: 'core', paths: { componentsRoot: 'core' }, exports: { tasks: ['check.json'] }, ...config });
+  await fs.outputJSON(path.join(rootPath, 'core', 'package.json'), { name: '@banking/core', version: '1.0.0' });
+
+  await writeProject(path.join(rootPath, 'loan'), {
+    'Workflows/loan-flow.json': component('loan-flow', 'sys-flows', { attributes: loanAttributes })
+  }, config);
+  await fs.outputJSON(path.join(rootPath, 'loan', 'package.json'), { name: '@banking/loan', version: '1.0.0' });
+
+  return Workspace.load(rootPath);
+}
+
+runTests('Workspace', {
+  'finds the workspace from a member subfolder and lists members': async (tmpDir) => {
+    await writeWorkspace(tmpDir);
+
+    const workspace = await Workspace.find(path.join(tmpDir, 'loan', 'loan', 'Workflows'));
+    assert.strictEqual(workspace.rootPath, tmpDir);
+    assert.strictEqual(workspace.name, 'banking');
+    const members = await workspace.getMembers();
+    assert.deepStrictEqual(members.map(member => [member.name, member.config.domain, member.packageName]), [
+      ['core', 'core', '@banking/core'],
+      ['loan', 'loan', '@banking/loan']
+    ]);
+    assert.strictEqual((await workspace.getMemberByPackage('@banking/core-reference')).name, 'core');
+    assert.strictEqual(await workspace.getMemberByPackage('@banking/cards'), null);
+    assert.strictEqual(await Workspace.find(path.parse(tmpDir).root), null);
+  },
+
+  'adds members once with workspace-relative paths': async (tmpDir) => {
+    const workspace = await Workspace.create(tmpDir, 'banking');
+
+    assert.strictEqual(await workspace.addMember(path.join(tmpDir, 'domains', 'loan')), true);
+    assert.strictEqual(await workspace.addMember('domains/loan'), false);
+    assert.deepStrictEqual(await fs.readJSON(path.join(tmpDir, Workspace.fileName)), { name: 'banking', members: ['domains/loan'] });
+  },
+
+  'rejects invalid workspace files, missing members and duplicate domains': async (tmpDir) => {
+    await fs.outputJSON(path.join(tmpDir, Workspace.fileName), { members: 'core' });
+    await assert.rejects(Workspace.load(tmpDir), /vnext\.workspace\.json must declare "members" as an array of folder paths/);
+
+    await fs.outputJSON(path.join(tmpDir, Workspace.fileName), { members: ['core', 'missing'] });
+    await writeProject(path.join(tmpDir, 'core'), {}, { domain: 'core' });
+    await assert.rejects((await Workspace.load(tmpDir)).getMembers(), /Workspace member 'missing' has no vnext\.config\.json/);
+
+    await fs.outputJSON(path.join(tmpDir, Workspace.fileName), { members: ['core', 'core-copy'] });
+    await writeProject(path.join(tmpDir, 'core-copy'), {}, { domain: 'core' });
+    await assert.rejects((await Workspace.load(tmpDir)).getMembers(), /Workspace members 'core' and 'core-copy' use the same domain 'core'/);
+  },
+
+  'resolves package refs of members from their folders': async (tmpDir) => {
+    await writeWorkspace(tmpDir);
+    const resolver = new RefResolver({ projectRoot: path.join(tmpDir, 'loan'), cacheDir: path.join(tmpDir, '.vnext-cache') });
+
+    const resolved = await resolver.resolveRef('@banking/core/core/Tasks/check.json');
+    assert.strictEqual(resolved.key, 'check');
+    assert.strictEqual(resolved._resolvedFrom, 'workspace:core/core/Tasks/check.json');
+    assert.strictEqual(resolved._packageVersion, '1.0.0');
+    assert.strictEqual(await resolver.locateRefFile('@banking/core-reference/core/Tasks/check.json'), path.join(tmpDir, 'core', 'core', 'Tasks', 'check.json'));
+
+    await assert.rejects(resolver.resolveRef('@banking/core/core/Tasks/internal.json'), /is not exported by @banking\/core \(workspace member 'core'\)/);
+    await fs.remove(path.join(tmpDir, 'core', 'core', 'Tasks', 'check.json'));
+    const fresh = new RefResolver({ projectRoot: path.join(tmpDir, 'loan'), cacheDir: path.join(tmpDir, '.vnext-cache') });
+    await assert.rejects(fresh.resolveRef('@banking/core/core/Tasks/check.json'), /Component file not found in workspace member 'core'/);
+  },
+
+  'validate at the workspace root resolves refs between members': async (tmpDir) => {
+    await writeWorkspace(tmpDir, { task: { ref: '@banking/core/core/Tasks/check.json' } }, { runtimeVersion: '0.0.50' });
+    // Members share the schema cache of the workspace root
+    await cacheSchemas(tmpDir);
+    const env = { AMORPHIE_CACHE_DIR: path.join(tmpDir, '.test-cache') };
+
+    const loan = runCli(['validate', '--resolve-refs', '--jobs', '1'], path.join(tmpDir, 'loan'), env);
+    assert.strictEqual(loan.status, 0, loan.stdout + loan.stderr);
+    assert.match(loan.stdout, /Successfully resolved external reference: @banking\/core\/core\/Tasks\/check\.json/);
+    assert.match(loan.stdout, /📄 task: check@1\.0\.0 \(core\)/);
+
+    const result = runCli(['validate', '--jobs', '1'], tmpDir, env);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /Running validate in 2 workspace members of banking/);
+    assert.match(result.stdout, /Members: 2\/2 succeeded/);
+  },
+
+  'create --workspace adds members and refuses a domain that is already used': async (tmpDir) => {
+    const templateDir = await writeTemplate(path.join(tmpDir, 'template'));
+    const root = path.join(tmpDir, 'banking');
+    await fs.ensureDir(root);
+    const env = { AMORPHIE_CACHE_DIR: path.join(tmpDir, '.test-cache') };
+
+    const created = runCli(['create', 'loan', '--template', templateDir, '--workspace', '--yes', '--no-hooks'], root, env);
+    assert.strictEqual(created.status, 0, created.stdout + created.stderr);
+    assert.match(created.stdout, /Added loan to workspace banking/);
+
+    // Created from a member folder, the project still goes to the workspace root
+    const second = runCli(['create', 'core', '--template', templateDir, '--workspace', '--yes', '--no-hooks'], path.join(root, 'loan'), env);
+    assert.strictEqual(second.status, 0, second.stdout + second.stderr);
+    assert.deepStrictEqual((await fs.readJSON(path.join(root, Workspace.fileName))).members, ['loan', 'core']);
+    assert.ok(await fs.pathExists(path.join(root, 'core', 'vnext.config.json')));
+
+    const duplicate = runCli(['create', 'loan-v2', '--domain', 'loan', '--template', templateDir, '--workspace', '--yes', '--no-hooks'], root, env);
+    assert.strictEqual(duplicate.status, 1);
+    assert.match(duplicate.stdout, /Domain loan already exists in workspace member 'loan'/);
+    assert.strictEqual(await fs.pathExists(path.join(root, 'loan-v2')), false);
+  }
+});